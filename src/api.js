@@ -1,113 +1,78 @@
 // src/api.js
 /**
  * This module contains functions for interacting with TheMealDB API
- * All functions use the built-in fetch API available in Node.js 20+
+ * All functions go through the shared request layer in http.js
+ *
+ * Result contract:
+ * - List functions resolve to an array; an empty array means "no results"
+ * - Single-item functions resolve to a meal object, or reject with NotFoundError
+ * - Any failure to talk to the API rejects with an ApiError subclass
+ *   (NetworkError, TimeoutError, CancelledError, HttpError, ParseError), see errors.js
+ *
+ * Every function takes an `options` object with an AbortSignal (`signal`) and
+ * a timeout (`timeoutMs`); both abort the underlying fetch, see http.js
  */
 
-const BASE_URL = 'https://www.themealdb.com/api/json/v1/1';
+import { getApiUrl } from './config.js';
+import { requestList, requestMeals } from './http.js';
+import { ApiError, NotFoundError } from './errors.js';
+import { delay } from './utils.js';
+
+// Defaults to https://www.themealdb.com/api/json/v1/1, see src/config.js
+const BASE_URL = getApiUrl();
+
+const RETRY_DELAY_MS = 1000;
 
 /**
  * Search for meals by name
  * @param {string} query - Search term
- * @returns {Promise<Array>} - Array of meal objects
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Array>} - Array of meal objects (empty if none match)
+ * @throws {ApiError} - If the API could not be reached or answered badly
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch | MDN: fetch API}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  */
-export async function searchMealsByName(query) {
-  // CHALLENGE 1: Implement the searchMealsByName function
-  // 1. Use the fetch API to make a request to `${BASE_URL}/search.php?s=${encodeURIComponent(query)}`
-  // 2. Check if the response is ok (response.ok)
-  // 3. If not ok, throw an error with the status code
-  // 4. Parse the JSON response (response.json())
-  // 5. Return data.meals or an empty array if meals is null
-  // 6. Wrap everything in a try/catch block and return empty array on error
-
-  try {
-    console.log("Commencing searchMealsByName");
-
-    const response = await fetch(`${BASE_URL}/search.php?s=${encodeURIComponent(query)}`);
-    if (!response.ok) {
-      throw new Error(`Response status: ${response.status}`);
-    }
-
-    const json = await response.json();
-    console.log("json = " + json);
-    if (json.meals != null) {
-      return json.meals;
-    }
-    else {
-      return [];
-    }
-  } catch (error) {
-    console.error(error.message);
-    return [];
-  }
+export async function searchMealsByName(query, options = {}) {
+  return requestMeals(`${BASE_URL}/search.php?s=${encodeURIComponent(query)}`, options);
 }
 
 /**
  * Get detailed information about a specific meal by ID
- * Implementation includes retry logic for resilience
+ * Implementation includes retry logic for resilience: network errors,
+ * timeouts and 5xx responses are retried, "not found" is not
  *
  * @param {string} id - Meal ID
- * @param {number} attempts - Number of retry attempts (default: 2)
- * @returns {Promise<Object|null>} - Meal details or null if not found
+ * @param {number|Object} options - Total number of attempts, or an options object
+ * @param {number} options.attempts - Total number of attempts (default: 2)
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @param {number} options.timeoutMs - Abort each attempt after this many milliseconds
+ * @returns {Promise<Object>} - Meal details
+ * @throws {NotFoundError} - If no meal has this ID
+ * @throws {ApiError} - If every attempt failed
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/await | MDN: await}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Control_flow_and_error_handling | MDN: Error handling}
  */
-export async function getMealById(id, attempts = 2) {
-  // CHALLENGE 2: Implement the getMealById function with retry logic
-  // 1. Use fetch to get meal details from `${BASE_URL}/lookup.php?i=${id}`
-  // 2. Check if response is ok
-  // 3. Parse JSON and return the first meal (data.meals[0]) or null if no meals
-  // 4. Add retry logic: if fetch fails and attempts > 1, wait 1 second and retry
-  //    (use "await new Promise(resolve => setTimeout(resolve, 1000))" to wait)
-  // 5. Decrement attempts and call the function recursively
-  // 6. Handle errors with try/catch
+export async function getMealById(id, options = {}) {
+  const { attempts = 2, ...requestOptions } = typeof options === 'number' ? { attempts: options } : options;
+  const url = `${BASE_URL}/lookup.php?i=${encodeURIComponent(id)}`;
 
   try {
-    const response = await fetch(`${BASE_URL}/lookup.php?i=${id}`);
-    if (!response.ok) {
-      if (attempts >= 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        attempts--;
-        return getMealById(id, attempts);
-      }
-
-      else {
-        throw new Error(`Response status: ${response.status}`);
-      }
-
-    }
-
-    else {
-      const json = await response.json();
-      if (json.meals != null) {
-        return json.meals[0];
-      }
-
-      else {
-        return null;
-      }
+    const meals = await requestMeals(url, requestOptions);
+    if (meals.length === 0) {
+      throw new NotFoundError(`No recipe found with ID ${id}`, { url });
     }
-
-  }
-
-  catch {
-    if (attempts >= 1) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      attempts--;
-      return getMealById(id, attempts);
-    }
-
-    else {
-      //  throw new Error("Get meal by id error.");
-      return getMealById(id, attempts);
+    return meals[0];
+  } catch (error) {
+    if (attempts > 1 && error instanceof ApiError && error.retryable) {
+      await delay(RETRY_DELAY_MS, requestOptions.signal);
+      return getMealById(id, { ...requestOptions, attempts: attempts - 1 });
     }
-
+    throw error;
   }
 }
 
@@ -116,134 +81,108 @@ export async function getMealById(id, attempts = 2) {
  * Uses Promise.all to fetch results for multiple letters in parallel
  *
  * @param {Array<string>} letters - Array of letters to search by
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
  * @returns {Promise<Array>} - Combined array of meals starting with any of the letters
+ * @throws {ApiError} - If any of the requests failed
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/map | MDN: Array.map}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set | MDN: Set}
  */
-export async function searchMealsByFirstLetter(letters) {
-  // CHALLENGE 3: Implement searchMealsByFirstLetter using Promise.all
-  // 1. Create an array of promises by mapping over the letters array
-  // 2. For each letter, create a fetch promise that:
-  //    - Fetches from `${BASE_URL}/search.php?f=${letter.charAt(0)}`
-  //    - Handles the response (checks if ok, parses JSON)
-  //    - Returns meals array or empty array
-  //    - Catches errors and returns empty array
-  // 3. Use Promise.all to wait for all promises to resolve
-  // 4. Combine results and remove duplicates (using meal IDs and Set)
-  // 5. Return the combined array of meals
-  // 6. Wrap in a try/catch block
-  try {
-    console.log("Commencing searchMealsByFirstLetter");
-    const promises = letters.map(async (letter) => {
-      const response = await fetch(`${BASE_URL}/search.php?f=${letter.charAt(0)}`);
-      if (response.ok) {
-        console.log("Response ok: " + response.status);
-        return response.json();
-      }
-
-      else {
-        console.log("Error retreiving data: " + response.status);
-        return [];
-      }
-
-    });
-
-
-    const results = await Promise.all(promises);
-
-    let fullMealsArray = [];
-
-    results.forEach(json => {
-
-      if (json.meals != null) {
-        json.meals.forEach(meal => {
-          fullMealsArray.push(meal);
-        });
-      }
-
-    });
-
-    console.log("fullMealsArray length: " + fullMealsArray.length);
-
-    const mealIdsSet = new Set();
-    const uniqueMeals = fullMealsArray.filter(meal => {
-      if (mealIdsSet.has(meal.idMeal)) {
-        return false;
-      } else {
-        mealIdsSet.add(meal.idMeal);
-        return true;
-      }
-    });
-
-    console.log("uniqueMeals length: " + uniqueMeals.length);
-    return uniqueMeals;
-
-
-  } catch (e) {
-    console.error("searchMealsByFirstLetter error: " + e);
-    return []
-  }
-
+export async function searchMealsByFirstLetter(letters, options = {}) {
+  const results = await Promise.all(
+    letters.map(letter => requestMeals(`${BASE_URL}/search.php?f=${encodeURIComponent(letter.charAt(0))}`, options))
+  );
+
+  // Combine results and remove duplicates by meal ID
+  const mealIdsSet = new Set();
+  return results.flat().filter(meal => {
+    if (mealIdsSet.has(meal.idMeal)) {
+      return false;
+    }
+    mealIdsSet.add(meal.idMeal);
+    return true;
+  });
 }
 
 /**
  * Search for meals containing a specific ingredient
- * Implements a timeout using Promise.race
  *
  * @param {string} ingredient - Ingredient to search for
- * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Promise<Array|string>} - Array of meals or error message if timeout
+ * @param {number|Object} options - Timeout in milliseconds, or an options object
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds (default: 5000)
+ * @returns {Promise<Array>} - Array of meals (empty if none use the ingredient)
+ * @throws {TimeoutError} - If the API took longer than timeoutMs
+ * @throws {ApiError} - If the API could not be reached or answered badly
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/typeof | MDN: typeof}
  */
-export async function getMealsByIngredient(ingredient, timeoutMs = 5000) {
-  // CHALLENGE 4: Implement getMealsByIngredient with timeout using Promise.race
-  // 1. Create a timeout promise that rejects after timeoutMs milliseconds
-  // 2. Create a fetch promise that gets meals by ingredient
-  //    - Fetch from `${BASE_URL}/filter.php?i=${encodeURIComponent(ingredient)}`
-  //    - Handle the response (check if ok, parse JSON)
-  //    - Return meals array or empty array
-  // 3. Use Promise.race to race the fetch against the timeout
-  // 4. Return the result (either meals array or error message)
-  // 5. Handle errors and return a user-friendly message if timeout occurs
+export async function getMealsByIngredient(ingredient, options = {}) {
+  const { timeoutMs = 5000, ...requestOptions } = typeof options === 'number' ? { timeoutMs: options } : options;
+  return requestMeals(`${BASE_URL}/filter.php?i=${encodeURIComponent(ingredient)}`, { ...requestOptions, timeoutMs });
+}
 
-  try {
-    const timeoutPromise = new Promise((_, reject) => {
-      // Reject after timeoutMs milliseconds
-      setTimeout(() => {
-        reject(new Error('Request timed out'));
-      }, timeoutMs);
-    });
+/**
+ * Search for meals using several ingredients at once
+ * Fans out one filter.php?i= request per ingredient in parallel, keeps meals
+ * that use at least `minMatches` of the required ingredients, drops meals that
+ * use any excluded ingredient, and ranks the rest by how many required
+ * ingredients they use
+ *
+ * @param {Array<string>} required - Ingredients the meals should use
+ * @param {Array<string>} excluded - Ingredients the meals must not use
+ * @param {Object} options - Search options
+ * @param {number} options.minMatches - Minimum number of required ingredients a
+ *   meal must use (default: all of them)
+ * @param {Function} options.fetchFn - Function(ingredient, { signal }) returning the meals
+ *   for one ingredient (default: getMealsByIngredient), e.g. to go through the cache
+ * @param {AbortSignal} options.signal - Cancels all of the requests
+ * @returns {Promise<Array>} - Short meal objects with `matchedIngredients` added,
+ *   best matches first
+ * @throws {ApiError} - If any of the requests failed
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ */
+export async function searchMealsByIngredients(required, excluded = [], options = {}) {
+  const normalize = list => Array.from(new Set(list.map(item => item.trim().toLowerCase()).filter(Boolean)));
+  const wanted = normalize(required);
+  const unwanted = normalize(excluded).filter(item => !wanted.includes(item));
+
+  if (wanted.length === 0) {
+    return [];
+  }
+
+  const { minMatches = wanted.length, fetchFn = getMealsByIngredient, signal } = options;
+
+  const [wantedResults, unwantedResults] = await Promise.all([
+    Promise.all(wanted.map(ingredient => fetchFn(ingredient, { signal }))),
+    Promise.all(unwanted.map(ingredient => fetchFn(ingredient, { signal })))
+  ]);
+
+  const excludedIds = new Set(unwantedResults.flat().map(meal => meal.idMeal));
 
-    const fetchPromise = fetch(`${BASE_URL}/filter.php?i=${encodeURIComponent(ingredient)}`).then(response => {
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
+  // Count, per meal, which required ingredients it uses
+  const matches = new Map();
+  wantedResults.forEach((meals, index) => {
+    meals.forEach(meal => {
+      if (excludedIds.has(meal.idMeal)) {
+        return;
       }
-      return response.json();
-    }).then(data => {
-      // Check if meals exist in the response
-      if (data.meals) {
-        return data.meals; // Return the meals array
-      } else {
-        return []; // Return empty array if no meals found
+      if (!matches.has(meal.idMeal)) {
+        matches.set(meal.idMeal, { ...meal, matchedIngredients: [] });
       }
+      matches.get(meal.idMeal).matchedIngredients.push(wanted[index]);
     });
+  });
 
-    const result = await Promise.race([fetchPromise, timeoutPromise]);
-
-
-    return result;
-  } catch (error) {
-    console.error('Error fetching meals by ingredient:', error.message);
-    if (error.message.includes("Request timed out")) {
-      return `The request for meals with "${ingredient}" took too long. Please try again later.`;
-    }
-    return [];
-  }
+  return Array.from(matches.values())
+    .filter(meal => meal.matchedIngredients.length >= minMatches)
+    .sort((a, b) => b.matchedIngredients.length - a.matchedIngredients.length || a.strMeal.localeCompare(b.strMeal));
 }
 
 /**
@@ -252,83 +191,129 @@ export async function getMealsByIngredient(ingredient, timeoutMs = 5000) {
  *
  * @param {Object} recipe - Recipe object with strCategory property
  * @param {number} limit - Maximum number of related recipes to return
- * @returns {Promise<Array>} - Array of related recipes
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Array>} - Array of related recipes (empty if the recipe has no category)
+ * @throws {ApiError} - If the API could not be reached or answered badly
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter | MDN: Array.filter}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice | MDN: Array.slice}
  */
-export async function getRelatedRecipes(recipe, limit = 3) {
-  // CHALLENGE 5: Implement getRelatedRecipes function
-  // 1. Check if recipe is valid and has a category (strCategory)
-  // 2. Fetch recipes by category: `${BASE_URL}/filter.php?c=${encodeURIComponent(recipe.strCategory)}`
-  // 3. Handle the response (check if ok, parse JSON)
-  // 4. Remove the original recipe from results using filter
-  // 5. Limit the number of results using slice
-  // 6. Return the filtered & limited array
-  // 7. Handle errors with try/catch
-
-  try {
-
-    if (recipe != null && recipe.strCategory != null && recipe.strCategory != 'undefined') {
-      return [];
-    }
-
-    const response = await fetch(`${BASE_URL}/filter.php?c=${encodeURIComponent(recipe.strCategory)}`);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
+export async function getRelatedRecipes(recipe, limit = 3, options = {}) {
+  if (!recipe || !recipe.strCategory) {
+    return [];
+  }
 
-    const data = await response.json();
+  const meals = await getMealsByCategory(recipe.strCategory, options);
 
-    const meals = data.meals || [];
+  return meals
+    .filter(meal => meal.idMeal !== recipe.idMeal)
+    .slice(0, limit);
+}
 
-    const filtered = meals.filter((meal) => meal.idMeal !== recipe.idMeal);
+/**
+ * Get a random meal from the API
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Object>} - Random meal
+ * @throws {NotFoundError} - If the API returned no meal
+ * @throws {ApiError} - If the API could not be reached or answered badly
+ */
+export async function getRandomMeal(options = {}) {
+  const url = `${BASE_URL}/random.php`;
+  const meals = await requestMeals(url, options);
 
-    return filtered.slice(0, limit);
-  }
-
-  catch (error) {
-    error;
-    console.error('Error fetching related recipes: ', error);
-    return [];
+  if (meals.length === 0) {
+    throw new NotFoundError('The API did not return a random recipe', { url });
   }
+  return meals[0];
+}
 
+/**
+ * Get every meal category with its description and thumbnail
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Array<Object>>} - Objects with idCategory, strCategory,
+ *   strCategoryThumb and strCategoryDescription
+ * @throws {ApiError} - If the API could not be reached or answered badly
+ */
+export async function getCategories(options = {}) {
+  return requestList(`${BASE_URL}/categories.php`, 'categories', options);
+}
 
+/**
+ * List the names of all meal categories
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Array<string>>} - Category names, e.g. ['Beef', 'Chicken', ...]
+ * @throws {ApiError} - If the API could not be reached or answered badly
+ */
+export async function listCategories(options = {}) {
+  const items = await requestMeals(`${BASE_URL}/list.php?c=list`, options);
+  return items.map(item => item.strCategory);
 }
 
 /**
- * Get a random meal from the API
+ * List the names of all areas (cuisines)
  *
- * @returns {Promise<Object|null>} - Random meal or null if error
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Array<string>>} - Area names, e.g. ['American', 'British', ...]
+ * @throws {ApiError} - If the API could not be reached or answered badly
  */
-export async function getRandomMeal() {
-  // CHALLENGE 6: Implement getRandomMeal function
-  // 1. Fetch a random meal from `${BASE_URL}/random.php`
-  // 2. Handle the response (check if ok, parse JSON)
-  // 3. Return the first meal or null if no meals
-  // 4. Handle errors with try/catch
+export async function listAreas(options = {}) {
+  const items = await requestMeals(`${BASE_URL}/list.php?a=list`, options);
+  return items.map(item => item.strArea);
+}
 
-  try {
-    console.log("Commencing getRandomMeal");
+/**
+ * List every ingredient known to the API
+ *
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Array<Object>>} - Objects with idIngredient, strIngredient,
+ *   strDescription and strType
+ * @throws {ApiError} - If the API could not be reached or answered badly
+ */
+export async function listIngredients(options = {}) {
+  return requestMeals(`${BASE_URL}/list.php?i=list`, options);
+}
 
-    const response = await fetch(`${BASE_URL}/random.php`);
-    if (!response.ok) {
-      throw new Error(`Response status: ${response.status}`);
-    }
+/**
+ * Get the meals in a category
+ *
+ * @param {string} category - Category name, e.g. 'Seafood'
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Array>} - Short meal objects (strMeal, strMealThumb, idMeal)
+ * @throws {ApiError} - If the API could not be reached or answered badly
+ */
+export async function getMealsByCategory(category, options = {}) {
+  return requestMeals(`${BASE_URL}/filter.php?c=${encodeURIComponent(category)}`, options);
+}
 
-    const json = await response.json();
-    if (json.meals != null) {
-      console.log("meal = " + JSON.stringify(json.meals[0]));
-      return json.meals[0];
-    }
-    else {
-      return [];
-    }
-  } catch (error) {
-    console.error(error.message);
-    return [];
-  }
+/**
+ * Get the meals from an area (cuisine)
+ *
+ * @param {string} area - Area name, e.g. 'Italian'
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {number} options.timeoutMs - Abort the request after this many milliseconds
+ * @returns {Promise<Array>} - Short meal objects (strMeal, strMealThumb, idMeal)
+ * @throws {ApiError} - If the API could not be reached or answered badly
+ */
+export async function getMealsByArea(area, options = {}) {
+  return requestMeals(`${BASE_URL}/filter.php?a=${encodeURIComponent(area)}`, options);
 }
 
 export default {
@@ -336,6 +321,13 @@ export default {
   getMealById,
   searchMealsByFirstLetter,
   getMealsByIngredient,
+  searchMealsByIngredients,
   getRelatedRecipes,
-  getRandomMeal
+  getRandomMeal,
+  getCategories,
+  listCategories,
+  listAreas,
+  listIngredients,
+  getMealsByCategory,
+  getMealsByArea
 };
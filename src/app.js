@@ -5,19 +5,32 @@
  */
 
 import readlineSync from 'readline-sync';
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
 import * as api from './api.js';
 import * as cache from './cache.js';
 import * as favorites from './favorites.js';
+import * as catalog from './catalog.js';
+import * as related from './related.js';
+import * as storage from './storage.js';
+import * as history from './history.js';
+import * as warmup from './warmup.js';
+import * as exchange from './exchange.js';
+import * as sync from './sync.js';
 import * as utils from './utils.js';
+import { ApiError, NotFoundError, TimeoutError, CancelledError } from './errors.js';
+import { getRateLimiterStats } from './http.js';
 
 /**
  * Initialize the application
  *
+ * @param {Object} options - Options
+ * @param {boolean} options.clearExpired - Clear expired cache entries (the cache command does this on request instead)
  * @returns {Promise<boolean>} - True if initialization successful
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
  */
-async function initialize() {
+async function initialize({ clearExpired = true } = {}) {
   // CHALLENGE 18: Implement initialize function
   // 1. Use Promise.all to initialize both the cache and favorites in parallel
   // 2. After initialization, clear expired cache entries
@@ -26,9 +39,16 @@ async function initialize() {
 
   try {
 
-    await Promise.all([cacheInit, favoritesInit]);
+    await Promise.all([cache.initializeCache(), favorites.initializeFavorites(), history.initializeHistory()]);
 
-    cache.clearExpiredEntries();
+    const purged = await cache.purgePoisonedEntries();
+    if (purged > 0) {
+      console.log(`Removed ${purged} cached ${purged === 1 ? 'error' : 'errors'} saved as results.`);
+    }
+
+    if (clearExpired) {
+      await cache.clearExpiredCache();
+    }
 
     return true;
   }
@@ -38,6 +58,278 @@ async function initialize() {
   }
 }
 
+/**
+ * Tell the user when a background refresh of a stale cache entry brought newer data
+ * The notice shows up at the next prompt, since readline-sync blocks while waiting for input
+ *
+ * @see {@link https://nodejs.org/api/events.html#emitteronEventname-listener | Node.js: emitter.on}
+ */
+function watchRevalidations() {
+  cache.cacheEvents.on('revalidated', ({ key, changed }) => {
+    if (changed) {
+      console.log(`\n(Newer data arrived for ${key}; it will be shown next time.)`);
+    }
+  });
+  cache.cacheEvents.on('revalidate-failed', ({ key, error }) => {
+    // Cancelling the request that served the stale entry is not worth reporting
+    if (!(error instanceof CancelledError)) {
+      console.log(`\n(Could not refresh ${key}: ${error.message})`);
+    }
+  });
+}
+
+/**
+ * Report a failed operation to the user
+ * API failures get a friendly message, anything else is logged as an error
+ *
+ * @param {string} context - What was being done, e.g. 'Error searching recipes'
+ * @param {Error} error - The error that was thrown
+ */
+function reportError(context, error) {
+  if (error instanceof CancelledError) {
+    console.log('Cancelled.');
+  } else if (error instanceof NotFoundError) {
+    console.log(error.message);
+  } else if (error instanceof TimeoutError) {
+    console.log('The recipe API took too long to respond. Please try again later.');
+  } else if (error instanceof ApiError) {
+    console.log(`The recipe API is unavailable right now (${error.message}). Please try again later.`);
+  } else {
+    console.error(`${context}:`, error.message);
+  }
+}
+
+/**
+ * Run a network task that the user can cancel with Ctrl+C
+ * While the task runs, SIGINT aborts its signal instead of ending the app
+ *
+ * @param {Function} task - Receives an AbortSignal and returns a promise
+ * @returns {Promise<*>} - The task's result
+ * @throws {CancelledError} - If the user pressed Ctrl+C
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
+ * @see {@link https://nodejs.org/api/process.html#signal-events | Node.js: Signal events}
+ */
+async function withCancellation(task) {
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    console.log('\nCancelling...');
+    controller.abort();
+  };
+
+  process.on('SIGINT', onInterrupt);
+  try {
+    return await task(controller.signal);
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Get a recipe's full details, from the cache, the offline catalog or the API
+ *
+ * @param {string} recipeId - Recipe ID
+ * @param {Object} options - Request options for api.getMealById, e.g. { signal }
+ * @param {Object} cacheOptions - Options for cache.getCachedOrFetch, e.g. { pin: true }
+ * @returns {Promise<Object>} - Raw meal
+ */
+async function fetchRecipe(recipeId, options, cacheOptions = {}) {
+  return cache.getCachedOrFetch(`recipe_${recipeId}`, async () => {
+    return (await catalog.getCatalogMeal(recipeId)) || api.getMealById(recipeId, options);
+  }, cacheOptions);
+}
+
+// Cached versions of the API lookups, sharing cache entries between the menu flows
+const cachedLookup = {
+  getMealById: fetchRecipe,
+  getMealsByIngredient: (ingredient, options) => cache.getCachedOrFetch(
+    `ingredient_${ingredient.toLowerCase()}`,
+    () => api.getMealsByIngredient(ingredient, options)
+  ),
+  getMealsByCategory: (category, options) => cache.getCachedOrFetch(
+    `category_${category.toLowerCase()}`,
+    () => api.getMealsByCategory(category, options)
+  ),
+  getMealsByArea: (area, options) => cache.getCachedOrFetch(
+    `area_${area.toLowerCase()}`,
+    () => api.getMealsByArea(area, options)
+  )
+};
+
+/**
+ * Display a list of recipes and offer to view the details of one of them
+ *
+ * @param {Array<Object>} recipes - Recipes to list
+ * @param {Function} describe - Optional extra text per recipe, see utils.formatRecipeList
+ */
+async function offerRecipeDetails(recipes, describe) {
+  console.log(utils.formatRecipeList(recipes, describe));
+
+  const viewDetails = readlineSync.keyInYN('Would you like to view details for a recipe?');
+
+  if (viewDetails) {
+    const index = readlineSync.questionInt(`Enter recipe number (1-${recipes.length}): `, {
+      limit: input => {
+        const num = parseInt(input);
+        return num >= 1 && num <= recipes.length;
+      },
+      limitMessage: `Please enter a number between 1 and ${recipes.length}`
+    });
+
+    await viewRecipeDetails(recipes[index - 1].idMeal);
+  }
+}
+
+/**
+ * Offer to add a recipe to favorites, or to remove it if it is already there
+ *
+ * @param {Object} recipe - Recipe being viewed
+ */
+async function offerFavoriteToggle(recipe) {
+  const isFavorite = await favorites.isInFavorites(recipe.idMeal);
+
+  if (isFavorite) {
+    const remove = readlineSync.keyInYN('This recipe is in your favorites. Remove it?');
+    if (remove) {
+      await favorites.removeFavorite(recipe.idMeal);
+      console.log('Recipe removed from favorites.');
+    } else if (readlineSync.keyInYN('Edit your rating, notes, cook log, tweaks, collections or tags?')) {
+      await editFavorite(recipe);
+    }
+  } else {
+    const add = readlineSync.keyInYN('Add this recipe to favorites?');
+    if (add) {
+      await favorites.addFavorite(recipe);
+      console.log('Recipe added to favorites.');
+    }
+  }
+}
+
+/**
+ * Ask for a new collection name and create the collection
+ *
+ * @returns {Promise<string|null>} - The new collection's name, or null if none was created
+ */
+async function createCollectionFromMenu() {
+  const name = readlineSync.question('Collection name: ').trim();
+  if (!name || !(await favorites.createCollection(name))) {
+    return null;
+  }
+  console.log(`Created collection ${name}.`);
+  return name;
+}
+
+// Actions for a favorite being viewed, in display order; each is called with
+// { recipe, favorite, collections } where collections are the ones holding it
+const FAVORITE_ACTIONS = [
+  {
+    label: 'Rate it',
+    action: ({ recipe }) => {
+      const rating = readlineSync.questionInt(`Rating (1-${favorites.MAX_RATING}, 0 to clear): `, {
+        limit: input => parseInt(input) >= 0 && parseInt(input) <= favorites.MAX_RATING,
+        limitMessage: `Please enter a number between 0 and ${favorites.MAX_RATING}`
+      });
+      return favorites.rateFavorite(recipe.idMeal, rating === 0 ? null : rating);
+    }
+  },
+  {
+    label: 'Edit notes',
+    action: ({ recipe, favorite }) => {
+      console.log(`Current notes: ${favorite.notes || 'none'}`);
+      return favorites.setFavoriteNotes(recipe.idMeal, readlineSync.question('New notes (leave blank to clear): '));
+    }
+  },
+  {
+    label: 'Log that I cooked it',
+    action: ({ recipe }) => {
+      const date = readlineSync.question('Date cooked, e.g. 2024-05-31 (leave blank for today): ').trim();
+      return favorites.logCooked(recipe.idMeal, date || new Date());
+    }
+  },
+  {
+    label: 'Remove a cooked date',
+    action: ({ recipe, favorite }) => {
+      const date = chooseFromList(favorite.cookedOn || [], 'Cooked on');
+      return date && favorites.removeCookedDate(recipe.idMeal, date);
+    }
+  },
+  {
+    label: 'Add a tweak',
+    action: ({ recipe }) => favorites.addFavoriteTweak(recipe.idMeal, readlineSync.question('Tweak, e.g. "Half the chili": '))
+  },
+  {
+    label: 'Remove a tweak',
+    action: ({ recipe, favorite }) => {
+      const tweaks = favorite.tweaks || [];
+      const tweak = chooseFromList(tweaks, 'Tweaks');
+      return tweak && favorites.removeFavoriteTweak(recipe.idMeal, tweaks.indexOf(tweak));
+    }
+  },
+  {
+    label: 'Add to a collection',
+    action: async ({ recipe, collections }) => {
+      const NEW_COLLECTION = 'New collection...';
+      const others = (await favorites.getCollections())
+        .map(collection => collection.name)
+        .filter(name => !collections.includes(name));
+      let name = chooseFromList([...others, NEW_COLLECTION], 'Collections');
+      if (name === NEW_COLLECTION) {
+        name = await createCollectionFromMenu();
+      }
+      if (name && await favorites.addToCollection(name, recipe.idMeal)) {
+        console.log(`Added to ${name}.`);
+      }
+    }
+  },
+  {
+    label: 'Remove from a collection',
+    action: async ({ recipe, collections }) => {
+      const name = chooseFromList(collections, 'Collections');
+      if (name && await favorites.removeFromCollection(name, recipe.idMeal)) {
+        console.log(`Removed from ${name}.`);
+      }
+    }
+  },
+  {
+    label: 'Add tags',
+    action: ({ recipe }) => favorites.addFavoriteTags(recipe.idMeal, parseList(readlineSync.question('Tags, separated by commas: ')))
+  },
+  {
+    label: 'Remove a tag',
+    action: ({ recipe, favorite }) => {
+      const tag = chooseFromList(favorite.tags || [], 'Tags');
+      return tag && favorites.removeFavoriteTags(recipe.idMeal, [tag]);
+    }
+  }
+];
+
+/**
+ * Edit a favorite's rating, notes, cook log, tweaks, collections and tags,
+ * until the user backs out
+ *
+ * @param {Object} recipe - Favorite recipe being viewed
+ */
+async function editFavorite(recipe) {
+  for (;;) {
+    const favorite = await favorites.getFavoriteById(recipe.idMeal);
+    if (!favorite) {
+      return;
+    }
+    const collections = (await favorites.getCollections())
+      .filter(collection => collection.recipeIds.includes(recipe.idMeal))
+      .map(collection => collection.name);
+
+    console.log(utils.formatFavoriteDetails(favorite));
+    console.log(`Collections: ${collections.join(', ') || 'none'}`);
+
+    const label = chooseFromList(FAVORITE_ACTIONS.map(option => option.label), `Edit ${recipe.strMeal}`);
+    if (!label) {
+      return;
+    }
+    await FAVORITE_ACTIONS.find(option => option.label === label).action({ recipe, favorite, collections });
+  }
+}
+
 /**
  * Search for recipes with caching
  * Demonstrates using cache before making API calls
@@ -53,7 +345,7 @@ async function searchRecipes() {
     return;
   }
 
-  console.log(`Searching for "${query}"...`);
+  console.log(`Searching for "${query}"... (Ctrl+C to cancel)`);
 
   try {
     // CHALLENGE 19: Implement searchRecipes function
@@ -65,31 +357,19 @@ async function searchRecipes() {
     // 4. If recipes were found, offer to view details for a specific recipe
     // 5. If the user wants to view details, call viewRecipeDetails with the chosen recipe ID
 
-    let cacheKey = `search_${query.toLowerCase()}`;
-    let recipes = await cache.getCachedOrFetch(cacheKey, async () => {
-
-      const result = await api.searchMealsByName(query);
-      return result;
+    const cacheKey = `search_${query.toLowerCase()}`;
+    const recipes = await withCancellation(signal => {
+      return cache.getCachedOrFetch(cacheKey, () => api.searchMealsByName(query, { signal }));
     });
 
-    // Check if the result is a string (error message)
-    if (typeof recipes === 'string') {
-      console.log(recipes); // Display error message
-      return;
-    }
-    // Check if recipes were found
     if (recipes.length === 0) {
       console.log('No recipes found for your search term.');
       return;
     }
-    // Display the list of recipes
-    console.log(utils.formatRecipeList(recipes));
-
-    const viewRecipeID = readlineSync.question('Enter a specific recipe ID: ');
-    viewRecipeDetails(viewRecipeID); // Call viewRecipeDetails with the chosen recipe ID
 
+    await offerRecipeDetails(recipes);
   } catch (error) {
-    console.error('Error searching recipes:', error.message);
+    reportError('Error searching recipes', error);
   }
 }
 
@@ -126,26 +406,38 @@ async function viewRecipeDetails(recipeId) {
     //    - Display them when the promise resolves
     //    - Handle any errors in the chain
 
-    let cacheKey = `recipe_${recipeId}`;
-    let recipeDetails = await cache.getCachedOrFetch(cacheKey, async () => {
-      const result = await api.getMealById(recipeId);
-      return result;
+    const recipeDetails = await withCancellation(signal => fetchRecipe(recipeId, { signal }));
+
+    console.log(utils.formatRecipe(recipeDetails, await favorites.getFavoriteById(recipeId)));
+    await history.recordView(recipeDetails);
+    await showRelatedRecipes(recipeDetails);
+    await offerFavoriteToggle(recipeDetails);
+  } catch (error) {
+    reportError('Error viewing recipe details', error);
+  }
+}
+
+/**
+ * Show a "You might also like" section for a recipe
+ * Failing to find suggestions never stops the detail view
+ *
+ * @param {Object} recipe - Recipe being viewed
+ */
+async function showRelatedRecipes(recipe) {
+  console.log('Finding related recipes... (Ctrl+C to skip)');
+
+  try {
+    const suggestions = await withCancellation(signal => {
+      return related.findRelatedRecipes(recipe, { lookup: cachedLookup, signal });
     });
 
-    // Check if the result is a string (error message)
-    if (typeof recipeDetails === 'string') {
-      console.log(recipeDetails); // Display error message
-      return;
-    }
-    // Check if recipe details were found
-    if (!recipeDetails) {
-      console.log(`No details found for recipe ID ${recipeId}.`);
-      return;
-    }
-    // Display the recipe details
-    console.log(utils.formatRecipe(recipeDetails));
+    console.log(utils.formatRelatedRecipes(suggestions) || 'No related recipes found.');
   } catch (error) {
-    console.error('Error viewing recipe details:', error.message);
+    if (error instanceof CancelledError) {
+      console.log('Skipped related recipes.');
+    } else {
+      console.error('Error finding related recipes:', error.message);
+    }
   }
 }
 
@@ -164,7 +456,7 @@ async function exploreByFirstLetter() {
   // Get unique letters (limit to 3 to avoid API abuse)
   const uniqueLetters = Array.from(new Set(letters.toLowerCase())).slice(0, 3);
 
-  console.log(`Searching for recipes starting with: ${uniqueLetters.join(', ')}...`);
+  console.log(`Searching for recipes starting with: ${uniqueLetters.join(', ')}... (Ctrl+C to cancel)`);
 
   try {
     // CHALLENGE 21: Implement exploreByFirstLetter function
@@ -174,9 +466,19 @@ async function exploreByFirstLetter() {
     // 4. If recipes were found, offer to view details for a specific recipe
     // 5. If the user wants to view details, call viewRecipeDetails with the chosen recipe ID
 
-    // YOUR CODE HERE
+    const cacheKey = `letters_${[...uniqueLetters].sort().join('')}`;
+    const recipes = await withCancellation(signal => {
+      return cache.getCachedOrFetch(cacheKey, () => api.searchMealsByFirstLetter(uniqueLetters, { signal }));
+    });
+
+    if (recipes.length === 0) {
+      console.log('No recipes found starting with those letters.');
+      return;
+    }
+
+    await offerRecipeDetails(recipes);
   } catch (error) {
-    console.error('Error exploring recipes by first letter:', error.message);
+    reportError('Error exploring recipes by first letter', error);
   }
 }
 
@@ -192,7 +494,7 @@ async function searchByIngredient() {
     return;
   }
 
-  console.log(`Searching for recipes with ${ingredient}...`);
+  console.log(`Searching for recipes with ${ingredient}... (Ctrl+C to cancel)`);
 
   try {
     // CHALLENGE 22: Implement searchByIngredient function
@@ -204,234 +506,1269 @@ async function searchByIngredient() {
     // 6. If recipes were found, offer to view details for a specific recipe
     // 7. If the user wants to view details, call viewRecipeDetails with the chosen recipe ID
 
-    // YOUR CODE HERE
+    const recipes = await withCancellation(signal => cachedLookup.getMealsByIngredient(ingredient, { signal }));
+
+    if (recipes.length === 0) {
+      console.log(`No recipes found with ${ingredient}.`);
+      return;
+    }
+
+    await offerRecipeDetails(recipes);
   } catch (error) {
-    console.error('Error searching by ingredient:', error.message);
+    reportError('Error searching by ingredient', error);
   }
 }
 
 /**
- * View favorite recipes
+ * Ask the user to pick one item from a numbered list
+ *
+ * @param {Array<string>} items - Items to choose from
+ * @param {string} title - Heading shown above the list
+ * @returns {string|null} - The chosen item, or null if the user backed out
  */
-async function viewFavorites() {
+function chooseFromList(items, title) {
+  console.log(`\n=== ${title} ===`);
+  items.forEach((item, index) => {
+    console.log(`${index + 1}. ${item}`);
+  });
+  console.log('0. Back');
+
+  const index = readlineSync.questionInt(`Enter a number (0-${items.length}): `, {
+    limit: input => {
+      const num = parseInt(input);
+      return num >= 0 && num <= items.length;
+    },
+    limitMessage: `Please enter a number between 0 and ${items.length}`
+  });
+
+  return index === 0 ? null : items[index - 1];
+}
+
+/**
+ * Pick a category from the catalog and list its recipes
+ */
+async function browseByCategory() {
   try {
-    // Get favorites
-    const favoriteRecipes = await favorites.getFavorites();
+    const categories = await withCancellation(signal => {
+      return cache.getCachedOrFetch('categories_list', () => api.listCategories({ signal }));
+    });
+    const category = chooseFromList(categories, 'Categories');
 
-    if (favoriteRecipes.length === 0) {
-      console.log('You have no favorite recipes');
+    if (!category) {
       return;
     }
 
-    console.log(utils.formatRecipeList(favoriteRecipes));
+    console.log(`Fetching ${category} recipes...`);
+    const recipes = await withCancellation(signal => cachedLookup.getMealsByCategory(category, { signal }));
 
-    // Allow viewing details
-    const viewDetails = readlineSync.keyInYN('Would you like to view details for a recipe?');
+    if (recipes.length === 0) {
+      console.log(`No recipes found in ${category}.`);
+      return;
+    }
 
-    if (viewDetails) {
-      const index = readlineSync.questionInt(`Enter recipe number (1-${favoriteRecipes.length}): `, {
-        limit: input => {
-          const num = parseInt(input);
-          return num >= 1 && num <= favoriteRecipes.length;
-        },
-        limitMessage: `Please enter a number between 1 and ${favoriteRecipes.length}`
-      });
+    await offerRecipeDetails(recipes);
+  } catch (error) {
+    reportError('Error browsing by category', error);
+  }
+}
+
+/**
+ * Pick a cuisine (area) from the catalog and list its recipes
+ */
+async function browseByArea() {
+  try {
+    const areas = await withCancellation(signal => {
+      return cache.getCachedOrFetch('areas_list', () => api.listAreas({ signal }));
+    });
+    const area = chooseFromList(areas, 'Cuisines');
 
-      // View the selected recipe
-      await viewRecipeDetails(favoriteRecipes[index - 1].idMeal);
+    if (!area) {
+      return;
+    }
+
+    console.log(`Fetching ${area} recipes...`);
+    const recipes = await withCancellation(signal => cachedLookup.getMealsByArea(area, { signal }));
+
+    if (recipes.length === 0) {
+      console.log(`No ${area} recipes found.`);
+      return;
     }
+
+    await offerRecipeDetails(recipes);
   } catch (error) {
-    console.error('Error viewing favorites:', error.message);
+    reportError('Error browsing by cuisine', error);
   }
 }
 
 /**
- * Discover random recipes
- * Demonstrates Promise.race to get the first of several random recipes
+ * Split a comma-separated answer into trimmed, non-empty items
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ * @param {string} answer - e.g. 'chicken, lemon ,garlic'
+ * @returns {Array<string>} - e.g. ['chicken', 'lemon', 'garlic']
  */
-async function discoverRandom() {
-  console.log('Fetching random recipes...');
+function parseList(answer) {
+  return answer.split(',').map(item => item.trim()).filter(Boolean);
+}
 
-  try {
-    // CHALLENGE 23: Implement discoverRandom function
-    // 1. Create three promises for random recipes using api.getRandomMeal()
-    // 2. Use Promise.race to get the first one that resolves
-    // 3. Handle the case where no recipe is found
-    // 4. Display the recipe using utils.formatRecipe
-    // 5. Check if the recipe is in favorites and offer to add/remove
-    // 6. Handle any errors appropriately
+/**
+ * Search recipes using several ingredients, optionally excluding some
+ * Each ingredient lookup goes through the cache, so it shares entries with searchByIngredient
+ */
+async function searchByIngredients() {
+  const required = parseList(readlineSync.question('Enter ingredients to use (comma-separated): '));
+
+  if (required.length === 0) {
+    console.log('Please enter at least one ingredient');
+    return;
+  }
 
-    const randomPromises = [
-      api.getRandomMeal(),
-      api.getRandomMeal(),
-      api.getRandomMeal()
-    ];
+  const excluded = parseList(readlineSync.question('Enter ingredients to avoid (comma-separated, optional): '));
+  const requireAll = required.length === 1 || readlineSync.keyInYN('Only show recipes that use all of them?');
 
-    const randomRecipe = await Promise.race(randomPromises);
-    // Check if the result is a string (error message)
-    if (typeof randomRecipe === 'string') {
-      console.log(randomRecipe); // Display error message
-      return;
-    }
-    // Check if a random recipe was found
-    if (!randomRecipe) {
-      console.log('Failed to fetch a random recipe.');
+  console.log(`Searching for recipes with ${required.join(', ')}... (Ctrl+C to cancel)`);
+
+  try {
+    const recipes = await withCancellation(signal => {
+      return api.searchMealsByIngredients(required, excluded, {
+        minMatches: requireAll ? required.length : 1,
+        signal,
+        fetchFn: cachedLookup.getMealsByIngredient
+      });
+    });
+
+    if (recipes.length === 0) {
+      console.log('No recipes found for that combination of ingredients.');
       return;
     }
 
-    // Display the random recipe
-    console.log(utils.formatRecipe(randomRecipe));
-    // Check if the recipe is in favorites
-    const isFavorite = await favorites.isInFavorites(randomRecipe.idMeal);
-    if (isFavorite) {
-      const remove = readlineSync.keyInYN('This recipe is in your favorites. Remove it?');
-      if (remove) {
-        await favorites.removeFavorite(randomRecipe.idMeal);
-        console.log('Recipe removed from favorites.');
-      }
-    } else {
-      const add = readlineSync.keyInYN('Add this recipe to favorites?');
-      if (add) {
-        await favorites.addFavorite(randomRecipe);
-        console.log('Recipe added to favorites.');
+    await offerRecipeDetails(recipes, recipe => {
+      return `uses ${recipe.matchedIngredients.length}/${required.length}: ${recipe.matchedIngredients.join(', ')}`;
+    });
+  } catch (error) {
+    reportError('Error searching by ingredients', error);
+  }
+}
+
+/**
+ * Crawl the full catalog into the local index
+ */
+async function syncCatalog() {
+  console.log(`Syncing the recipe catalog (${catalog.CATALOG_KEYS.length} letters and digits)...`);
+
+  try {
+    const result = await withCancellation(signal => catalog.syncCatalog({
+      signal,
+      onProgress: (done, total, letter) => {
+        const { queued } = getRateLimiterStats();
+        process.stdout.write(`\rFetched ${done}/${total} (last: ${letter}, ${queued} requests queued)  `);
       }
-    }
+    }));
 
+    process.stdout.write('\n');
+    console.log(`Catalog synced: ${result.counts.meals} recipes in ${(result.durationMs / 1000).toFixed(1)}s`);
 
+    if (result.failedKeys.length > 0) {
+      console.log(`Could not fetch: ${result.failedKeys.join(', ')} (kept the previous results for these)`);
+    }
   } catch (error) {
-    console.error('Error discovering random recipes:', error.message);
+    reportError('Error syncing catalog', error);
   }
 }
 
 /**
- * Display the main menu and handle user input
+ * Search, filter and browse the local catalog without touching the network
  */
-async function showMainMenu() {
-  console.log('\n===== RECIPE EXPLORER =====');
-  console.log('1. Search recipes');
-  console.log('2. View recipe details by ID');
-  console.log('3. Explore recipes by first letter');
-  console.log('4. Search by ingredient');
-  console.log('5. View favorites');
-  console.log('6. Discover random recipe');
-  console.log('7. Exit');
-
-  const choice = readlineSync.questionInt('Enter your choice (1-7): ', {
-    limit: [1, 2, 3, 4, 5, 6, 7],
-    limitMessage: 'Please enter a number between 1 and 7'
-  });
+async function searchOfflineCatalog() {
+  try {
+    const index = await catalog.loadCatalog();
 
-  switch (choice) {
-    case 1:
-      await searchRecipes();
-      break;
-    case 2:
-      await viewRecipeDetails();
-      break;
-    case 3:
-      await exploreByFirstLetter();
-      break;
-    case 4:
-      await searchByIngredient();
-      break;
-    case 5:
-      await viewFavorites();
-      break;
-    case 6:
-      await discoverRandom();
-      break;
-    case 7:
-      console.log('Thank you for using Recipe Explorer!');
-      process.exit(0);
-  }
+    if (!index) {
+      console.log('The offline catalog is empty. Sync it first from the main menu.');
+      return;
+    }
 
-  // Return to main menu after function completes
-  try {
-    return showMainMenu();
-  }
+    console.log(`Offline catalog: ${index.counts.meals} recipes, synced ${new Date(index.syncedAt).toLocaleString()}`);
 
-  catch (error) {
-    console.error('Error discovering random recipes:', error.message);
+    const query = readlineSync.question('Name contains (leave blank for any): ').trim();
+    const ingredient = readlineSync.question('Uses ingredient (leave blank for any): ').trim();
+    const category = readlineSync.keyInYN('Filter by category?')
+      ? chooseFromList(catalog.getCatalogValues(index, 'strCategory'), 'Categories')
+      : null;
+    const area = readlineSync.keyInYN('Filter by cuisine?')
+      ? chooseFromList(catalog.getCatalogValues(index, 'strArea'), 'Cuisines')
+      : null;
+
+    const recipes = catalog.searchCatalog(index, { query, ingredient, category, area });
+
+    if (recipes.length === 0) {
+      console.log('No recipes in the catalog match those filters.');
+      return;
+    }
+
+    await offerRecipeDetails(recipes, recipe => `${recipe.strCategory}, ${recipe.strArea}`);
+  } catch (error) {
+    reportError('Error searching the offline catalog', error);
   }
 }
 
 /**
- * Display the main menu and handle user input
+ * Pick a collection to rename or delete
+ *
+ * @returns {Promise<string|null>} - Collection name, or null if there are none or the user backed out
  */
-async function showMainMenu() {
-  console.log('\n===== RECIPE EXPLORER =====');
-  console.log('1. Search recipes');
-  console.log('2. View recipe details by ID');
-  console.log('3. Explore recipes by first letter');
-  console.log('4. Search by ingredient');
-  console.log('5. View favorites');
-  console.log('6. Discover random recipe');
-  console.log('7. Exit');
-
-  const choice = readlineSync.questionInt('Enter your choice (1-7): ', {
-    limit: [1, 2, 3, 4, 5, 6, 7],
-    limitMessage: 'Please enter a number between 1 and 7'
-  });
+async function chooseCollection() {
+  const collections = await favorites.getCollections();
+  if (collections.length === 0) {
+    console.log('You have no collections yet');
+    return null;
+  }
+  return chooseFromList(collections.map(collection => collection.name), 'Collections');
+}
 
-  switch (choice) {
-    case 1:
-      await searchRecipes();
-      break;
-    case 2:
-      await viewRecipeDetails();
-      break;
-    case 3:
-      await exploreByFirstLetter();
-      break;
-    case 4:
-      await searchByIngredient();
-      break;
-    case 5:
-      await viewFavorites();
-      break;
-    case 6:
-      await discoverRandom();
-      break;
-    case 7:
-      console.log('Thank you for using Recipe Explorer!');
-      process.exit(0);
+// Actions of the "Manage collections" menu, in display order
+const COLLECTION_ACTIONS = [
+  { label: 'Create a collection', action: createCollectionFromMenu },
+  {
+    label: 'Rename a collection',
+    action: async () => {
+      const name = await chooseCollection();
+      if (name && await favorites.renameCollection(name, readlineSync.question('New name: '))) {
+        console.log('Collection renamed.');
+      } else if (name) {
+        console.log('That name is empty or already taken.');
+      }
+    }
+  },
+  {
+    label: 'Delete a collection',
+    action: async () => {
+      const name = await chooseCollection();
+      if (name && readlineSync.keyInYN(`Delete ${name}? Its recipes stay in your favorites.`)) {
+        await favorites.deleteCollection(name);
+        console.log('Collection deleted.');
+      }
+    }
   }
+];
 
-  // Return to main menu after function completes
-  return showMainMenu();
+/**
+ * Create, rename and delete collections until the user backs out
+ */
+async function manageCollections() {
+  for (;;) {
+    const label = chooseFromList(COLLECTION_ACTIONS.map(option => option.label), 'Manage collections');
+    if (!label) {
+      return;
+    }
+    await COLLECTION_ACTIONS.find(option => option.label === label).action();
+  }
 }
 
 /**
- * Main application entry point
+ * Export favorites to a file
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/catch | MDN: Promise.catch}
+ * @param {string} file - File to write; its extension picks the format unless one is given
+ * @param {Object} options - Options for favorites.exportFavorites: format, collection, tag, sortBy
+ * @returns {Promise<boolean>} - True if exported
  */
-async function main() {
-  // CHALLENGE 24: Implement main function
-  // 1. Display an initialization message
-  // 2. Call initialize() to set up the application
-  // 3. Handle initialization failure (exit with error code 1)
-  // 4. Display a welcome message on success
-  // 5. Start the main menu loop by calling showMainMenu()
-  // 6. Add error handling for any uncaught exceptions
+async function exportFavoritesToFile(file, options = {}) {
+  if (!file) {
+    console.log('File name cannot be empty');
+    return false;
+  }
+  const format = options.format || exchange.formatForFile(file) || 'json';
 
   try {
+    const text = await favorites.exportFavorites({ ...options, format });
+    await fs.writeFile(file, text, 'utf-8');
+    console.log(`Exported favorites to ${file} as ${format}.`);
+    return true;
+  } catch (error) {
+    reportError('Error exporting favorites', error);
+    return false;
+  }
+}
 
+/**
+ * Ask what to do with imported recipes that are already favorites
+ *
+ * @param {Array<Object>} duplicates - Imported favorites that are already saved
+ * @returns {string} - One of favorites.DUPLICATE_ACTIONS
+ */
+function askDuplicateAction(duplicates) {
+  const names = duplicates.slice(0, 5).map(favorite => favorite.strMeal).join(', ');
+  console.log(`\n${duplicates.length} of the imported recipes are already favorites: ${names}${duplicates.length > 5 ? ', ...' : ''}`);
+
+  const choices = {
+    'Skip them, keeping what is saved': 'skip',
+    'Overwrite them with the imported copies': 'overwrite',
+    'Merge them: keep what is saved and add imported tags, cook dates, notes and tweaks': 'merge'
+  };
+  return choices[chooseFromList(Object.keys(choices), 'Duplicates')] || 'skip';
+}
 
-    console.log('Now initializing Recipe Explorer...');
-
-    const initialized = await initialize();
+/**
+ * Import favorites from a file and report what happened, including bad rows
+ *
+ * @param {string} file - File to read; its extension picks the format unless one is given
+ * @param {Object} options - Options
+ * @param {string} options.format - 'json' or 'csv'
+ * @param {string} options.onDuplicate - One of favorites.DUPLICATE_ACTIONS (default: ask)
+ * @returns {Promise<boolean>} - True if every row was imported (or skipped as a duplicate)
+ */
+async function importFavoritesFromFile(file, { format, onDuplicate = askDuplicateAction } = {}) {
+  if (!file) {
+    console.log('File name cannot be empty');
+    return false;
+  }
 
-    if (!initialized) {
-      console.error('Failed to initialize. Exiting...');
+  try {
+    const text = await fs.readFile(file, 'utf-8');
+    const result = await favorites.importFavorites(text, {
+      format: format || exchange.formatForFile(file) || 'json',
+      onDuplicate
+    });
 
-      process.exit(1);
+    console.log(`Imported ${result.added} new ${result.added === 1 ? 'favorite' : 'favorites'}` +
+      (result.overwritten ? `, overwrote ${result.overwritten}` : '') +
+      (result.merged ? `, merged ${result.merged}` : '') +
+      (result.skipped ? `, skipped ${result.skipped} already saved` : '') + '.');
+    if (result.collections > 0) {
+      console.log(`Created or updated ${result.collections} ${result.collections === 1 ? 'collection' : 'collections'}.`);
     }
-
-    console.log('Welcome to the Recipe Explorer!');
+    if (result.errors.length > 0) {
+      console.log(`${result.errors.length} ${result.errors.length === 1 ? 'entry was' : 'entries were'} not imported:`);
+      result.errors.forEach(({ row, message }) => console.log(`- ${row === null ? '' : `Row ${row}: `}${message}`));
+    }
+    return result.errors.length === 0;
+  } catch (error) {
+    reportError('Error importing favorites', error);
+    return false;
+  }
+}
+
+/**
+ * Show a value from a merge conflict
+ *
+ * @param {string} field - 'rating' or 'notes'
+ * @param {*} value - The value, or null
+ * @returns {string} - Text to show
+ */
+function describeConflictValue(field, value) {
+  if (value === null) {
+    return '(none)';
+  }
+  return field === 'rating' ? `${value}/${favorites.MAX_RATING}` : String(value);
+}
+
+/**
+ * Ask how to settle a conflict found while merging favorites, see sync.mergeFavorites
+ *
+ * @param {Object} conflict - { idMeal, strMeal, field, base, ours, theirs }
+ * @returns {string} - One of sync.CONFLICT_RESOLUTIONS
+ */
+function askConflictResolution(conflict) {
+  console.log(`\nConflict in ${conflict.strMeal} (ID ${conflict.idMeal}):`);
+
+  let choices;
+  if (conflict.field === 'removed') {
+    console.log(conflict.ours
+      ? 'You changed it since the last merge, and it was removed from the other file.'
+      : 'You removed it since the last merge, and it was changed in the other file.');
+    choices = conflict.ours
+      ? { 'Keep my copy': 'ours', 'Remove it': 'theirs' }
+      : { 'Keep it removed': 'ours', 'Bring back their copy': 'theirs' };
+  } else {
+    console.log(`Both sides changed the ${conflict.field}.`);
+    if (conflict.base !== null) {
+      console.log(`  Before: ${describeConflictValue(conflict.field, conflict.base)}`);
+    }
+    console.log(`  Mine:   ${describeConflictValue(conflict.field, conflict.ours)}`);
+    console.log(`  Theirs: ${describeConflictValue(conflict.field, conflict.theirs)}`);
+    choices = { 'Keep mine': 'ours', 'Take theirs': 'theirs' };
+    if (conflict.field === 'notes') {
+      choices['Keep both'] = 'both';
+    }
+  }
+  return choices[chooseFromList(Object.keys(choices), 'Resolve conflict')] || 'ours';
+}
+
+/**
+ * Describe what a merge changed on one side
+ *
+ * @param {Object} counts - { added, removed, updated } from sync.diffFavorites
+ * @returns {string} - e.g. '2 added, 1 updated', or 'no changes'
+ */
+function describeSyncChanges({ added, removed, updated }) {
+  const parts = [[added, 'added'], [removed, 'removed'], [updated, 'updated']]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}`);
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+}
+
+/**
+ * Merge favorites with another favorites file and report what changed
+ *
+ * @param {string} file - The other favorites file
+ * @param {Object} options - Options
+ * @param {string} options.direction - One of sync.SYNC_DIRECTIONS (default: 'pull')
+ * @param {Function} options.resolve - Settles conflicts (default: ask)
+ * @returns {Promise<boolean>} - True if merged
+ */
+async function syncFavoritesWith(file, { direction = 'pull', resolve = askConflictResolution } = {}) {
+  if (!file) {
+    console.log('File name cannot be empty');
+    return false;
+  }
+
+  try {
+    const result = await sync.syncFavorites(file, { direction, resolve });
+
+    console.log(result.hadBase
+      ? `Merged with ${result.file} since the last merge.`
+      : `First merge with ${result.file}: nothing was removed, both sides were combined.`);
+    if (result.local) {
+      console.log(`Your favorites: ${describeSyncChanges(result.local)}.`);
+    }
+    if (result.other) {
+      console.log(`${result.file}: ${describeSyncChanges(result.other)}.`);
+    }
+    if (result.conflicts.length > 0) {
+      console.log(`Settled ${result.conflicts.length} ${result.conflicts.length === 1 ? 'conflict' : 'conflicts'}.`);
+    }
+    return true;
+  } catch (error) {
+    reportError('Error merging favorites', error);
+    return false;
+  }
+}
+
+/**
+ * Ask for a shared folder and which way to sync, then sync
+ */
+async function syncWithSharedFolder() {
+  const folder = readlineSync.question('Shared folder: ').trim();
+  if (!folder) {
+    console.log('Folder cannot be empty');
+    return;
+  }
+
+  const directions = {
+    'Both ways': 'both',
+    'Only bring changes from the folder here': 'pull',
+    'Only send my changes to the folder': 'push'
+  };
+  const direction = directions[chooseFromList(Object.keys(directions), 'Sync')];
+  if (direction) {
+    await syncFavoritesWith(sync.sharedFavoritesFile(folder), { direction });
+  }
+}
+
+/**
+ * Ask which favorites to list: all of them, a collection or the ones with a tag
+ *
+ * @returns {Promise<Object|null>} - Filters for favorites.getFavorites, or null if the user backed out
+ */
+async function chooseFavoritesFilter() {
+  for (;;) {
+    const view = chooseFromList([
+      'All favorites',
+      'A collection',
+      'Favorites with a tag',
+      'Manage collections',
+      'Export favorites',
+      'Import favorites',
+      'Merge a favorites file',
+      'Sync with a shared folder'
+    ], 'Favorites');
+
+    if (view === 'All favorites') {
+      return {};
+    } else if (view === 'A collection') {
+      const collections = await favorites.getCollections();
+      if (collections.length === 0) {
+        console.log('You have no collections yet; create one under "Manage collections" or while viewing a favorite');
+        continue;
+      }
+      const labels = collections.map(collection => `${collection.name} (${collection.recipeIds.length})`);
+      const label = chooseFromList(labels, 'Collections');
+      if (label) {
+        return { collection: collections[labels.indexOf(label)].name };
+      }
+    } else if (view === 'Favorites with a tag') {
+      const tags = await favorites.getTags();
+      if (tags.length === 0) {
+        console.log('None of your favorites are tagged yet; tag them while viewing a favorite');
+        continue;
+      }
+      const labels = tags.map(({ tag, count }) => `${tag} (${count})`);
+      const label = chooseFromList(labels, 'Tags');
+      if (label) {
+        return { tag: tags[labels.indexOf(label)].tag };
+      }
+    } else if (view === 'Manage collections') {
+      await manageCollections();
+    } else if (view === 'Export favorites') {
+      await exportFavoritesToFile(readlineSync.question('File to export to (.json, .csv or .md): ').trim());
+    } else if (view === 'Import favorites') {
+      await importFavoritesFromFile(readlineSync.question('File to import (.json or .csv): ').trim());
+    } else if (view === 'Merge a favorites file') {
+      await syncFavoritesWith(readlineSync.question('Favorites file to merge, e.g. another data/favorites.json: ').trim());
+    } else if (view === 'Sync with a shared folder') {
+      await syncWithSharedFolder();
+    } else {
+      return null;
+    }
+  }
+}
+
+// How favorites can be sorted, see favorites.FAVORITE_SORTS
+const FAVORITE_SORT_LABELS = {
+  added: 'Order added',
+  rating: 'Rating, highest first',
+  lastCooked: 'Last cooked, most recent first'
+};
+
+/**
+ * Describe a favorite in the list: rating, when it was last cooked and its tags
+ *
+ * @param {Object} favorite - Favorite record
+ * @returns {string} - Details, or an empty string if there are none
+ */
+function describeFavorite(favorite) {
+  const cooked = favorites.lastCooked(favorite);
+  return [
+    favorite.rating ? `${favorite.rating}/${favorites.MAX_RATING}` : null,
+    cooked ? `cooked ${cooked}` : null,
+    (favorite.tags || []).join(', ')
+  ].filter(Boolean).join(' - ');
+}
+
+/**
+ * View favorite recipes, all of them or a collection or tag, in the order the user picks
+ */
+async function viewFavorites() {
+  try {
+    const filters = await chooseFavoritesFilter();
+    if (!filters) {
+      return;
+    }
+
+    const sortLabel = chooseFromList(Object.values(FAVORITE_SORT_LABELS), 'Sort by');
+    const sortBy = Object.keys(FAVORITE_SORT_LABELS).find(key => FAVORITE_SORT_LABELS[key] === sortLabel);
+    if (!sortBy) {
+      return;
+    }
+
+    // Get favorites
+    const favoriteRecipes = await favorites.getFavorites({ ...filters, sortBy });
+
+    if (favoriteRecipes.length === 0) {
+      console.log(filters.collection || filters.tag ? 'No favorite recipes match' : 'You have no favorite recipes');
+      return;
+    }
+
+    await offerRecipeDetails(favoriteRecipes, describeFavorite);
+  } catch (error) {
+    console.error('Error viewing favorites:', error.message);
+  }
+}
+
+/**
+ * Discover random recipes
+ * Demonstrates Promise.any to get the first of several random recipes
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/any | MDN: Promise.any}
+ */
+async function discoverRandom() {
+  console.log('Fetching random recipes...');
+
+  try {
+    // CHALLENGE 23: Implement discoverRandom function
+    // 1. Create three promises for random recipes using api.getRandomMeal()
+    // 2. Use Promise.race to get the first one that resolves
+    // 3. Handle the case where no recipe is found
+    // 4. Display the recipe using utils.formatRecipe
+    // 5. Check if the recipe is in favorites and offer to add/remove
+    // 6. Handle any errors appropriately
+
+    // Promise.any takes the first recipe that arrives, ignoring individual failures
+    const randomRecipe = await withCancellation(signal => Promise.any([
+      api.getRandomMeal({ signal }),
+      api.getRandomMeal({ signal }),
+      api.getRandomMeal({ signal })
+    ]));
+
+    console.log(utils.formatRecipe(randomRecipe));
+    await offerFavoriteToggle(randomRecipe);
+  } catch (error) {
+    // If every request failed, report the first underlying error
+    reportError('Error discovering random recipes', error instanceof AggregateError ? error.errors[0] : error);
+  }
+}
+
+// How to fetch each kind of cache entry again, by key prefix; the rest of the key is the argument
+const CACHE_REFRESHERS = {
+  search_: (term, options) => api.searchMealsByName(term, options),
+  recipe_: (id, options) => api.getMealById(id, options),
+  letters_: (letters, options) => api.searchMealsByFirstLetter(letters.split(''), options),
+  ingredient_: (ingredient, options) => api.getMealsByIngredient(ingredient, options),
+  category_: (category, options) => api.getMealsByCategory(category, options),
+  area_: (area, options) => api.getMealsByArea(area, options),
+  categories_: (_, options) => api.listCategories(options),
+  areas_: (_, options) => api.listAreas(options)
+};
+
+// How many lines of an entry's data inspectCacheKey prints
+const CACHE_INSPECT_LINES = 40;
+
+/**
+ * Print cache entries, one per line
+ *
+ * @param {Array<Object>} entries - Entries from cache.listCacheEntries
+ */
+function printCacheEntries(entries) {
+  entries.forEach(({ key, ageMs, sizeBytes, expired, pinned }) => {
+    const details = [`${utils.formatDuration(ageMs)} old`, utils.formatBytes(sizeBytes)];
+    if (expired) {
+      details.push('expired');
+    }
+    if (pinned) {
+      details.push('pinned');
+    }
+    console.log(`- ${key} (${details.join(', ')})`);
+  });
+}
+
+/**
+ * Show what is in the cache and how well it has worked
+ */
+async function showCacheSummary() {
+  const summary = await cache.getCacheSummary();
+
+  console.log('\n=== Cache ===');
+  console.log(`Entries: ${summary.entries} (${summary.expired} expired)`);
+  console.log(`Size on disk: ${utils.formatBytes(summary.sizeBytes)} in ${summary.location}`);
+  if (summary.compression !== 'none' && summary.rawBytes > 0) {
+    const saved = Math.round((1 - summary.sizeBytes / summary.rawBytes) * 100);
+    console.log(`Raw size: ${utils.formatBytes(summary.rawBytes)} (${summary.compression} saves ${saved}%)`);
+  } else {
+    console.log(`Raw size: ${utils.formatBytes(summary.rawBytes)} (not compressed)`);
+  }
+
+  const { maxBytes, maxEntries } = summary.limits;
+  const limits = [
+    Number.isFinite(maxBytes) && `${utils.formatBytes(summary.rawBytes)} of ${utils.formatBytes(maxBytes)}`,
+    Number.isFinite(maxEntries) && `${summary.entries} of ${maxEntries} entries`
+  ].filter(Boolean);
+  if (limits.length > 0) {
+    console.log(`Limits: ${limits.join(', ')}${summary.evicted > 0 ? ` (${summary.evicted} evicted this session)` : ''}`);
+  }
+  console.log(summary.hitRatio === null
+    ? 'Hit ratio: no lookups yet this session'
+    : `Hit ratio: ${Math.round(summary.hitRatio * 100)}% this session (${summary.hits} hits, ${summary.misses} misses)`);
+  if (summary.stale > 0) {
+    console.log(`Stale answers: ${summary.stale} hits answered with expired entries while they were refreshed`);
+  }
+
+  if (summary.oldest) {
+    console.log(`Oldest: ${summary.oldest.key} (${utils.formatDuration(summary.oldest.ageMs)} old)`);
+    console.log(`Newest: ${summary.newest.key} (${utils.formatDuration(summary.newest.ageMs)} old)`);
+  }
+
+  const prefixes = Object.entries(summary.prefixes).sort(([a], [b]) => a.localeCompare(b));
+  if (prefixes.length > 0) {
+    console.log(`By prefix: ${prefixes.map(([prefix, count]) => `${prefix} ${count}`).join(', ')}`);
+  }
+}
+
+/**
+ * List cache keys, optionally only those with a prefix
+ *
+ * @param {string} prefix - Key prefix, e.g. 'search_'
+ */
+async function listCacheKeys(prefix = '') {
+  const entries = await cache.listCacheEntries(prefix);
+
+  if (entries.length === 0) {
+    console.log(prefix ? `No cache entries start with "${prefix}".` : 'The cache is empty.');
+    return;
+  }
+
+  printCacheEntries(entries);
+  console.log(`${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`);
+}
+
+/**
+ * Show one cache entry, including its data
+ *
+ * @param {string} key - Cache key
+ */
+async function inspectCacheKey(key) {
+  const entry = await cache.inspectCacheEntry(key);
+
+  if (!entry) {
+    console.log(`"${key}" is not in the cache.`);
+    return;
+  }
+
+  const { ttl } = entry.policy;
+  console.log(`\n=== ${entry.key} ===`);
+  console.log(`Saved: ${new Date(entry.timestamp).toLocaleString()} (${utils.formatDuration(entry.ageMs)} ago)`);
+  console.log(`Kept for: ${ttl > 0 ? utils.formatDuration(ttl) : 'never cached'}${entry.expired ? ' (expired)' : ''}`);
+  console.log(`Size: ${utils.formatBytes(entry.sizeBytes)}`);
+
+  // Long results (e.g. a whole letter of recipes) are cut short
+  const lines = JSON.stringify(entry.data, null, 2).split('\n');
+  console.log(lines.slice(0, CACHE_INSPECT_LINES).join('\n'));
+  if (lines.length > CACHE_INSPECT_LINES) {
+    console.log(`... (${lines.length - CACHE_INSPECT_LINES} more lines)`);
+  }
+}
+
+/**
+ * Remove cache entries by prefix and/or age
+ *
+ * @param {Object} criteria - See cache.purgeCache
+ */
+async function purgeCacheEntries({ prefix = '', olderThanMs } = {}) {
+  const removed = await cache.purgeCache({ prefix, olderThanMs });
+  console.log(`Removed ${removed} cache ${removed === 1 ? 'entry' : 'entries'}.`);
+}
+
+/**
+ * Fetch a cached key again from the API and replace its entry
+ *
+ * @param {string} key - Cache key, e.g. 'search_chicken'
+ */
+async function refreshCacheKey(key) {
+  const prefix = Object.keys(CACHE_REFRESHERS).find(candidate => key.startsWith(candidate));
+
+  if (!prefix) {
+    console.log(`Don't know how to refresh "${key}". Refreshable prefixes: ${Object.keys(CACHE_REFRESHERS).join(', ')}`);
+    return;
+  }
+
+  console.log(`Refreshing ${key}... (Ctrl+C to cancel)`);
+
+  try {
+    const data = await withCancellation(signal => {
+      return cache.getCachedOrFetch(key, () => CACHE_REFRESHERS[prefix](key.slice(prefix.length), { signal }), true);
+    });
+    const count = Array.isArray(data) ? data.length : 1;
+    console.log(`Refreshed ${key} (${count} ${count === 1 ? 'result' : 'results'}).`);
+  } catch (error) {
+    reportError(`Error refreshing ${key}`, error);
+  }
+}
+
+/**
+ * Clear expired cache entries now and report what was removed
+ */
+async function clearExpiredWithReport() {
+  const removed = [];
+  const count = await cache.clearExpiredCache({
+    onRemove: key => removed.push(key)
+  });
+
+  if (count === 0) {
+    console.log('No expired cache entries.');
+    return;
+  }
+
+  console.log(`Removed ${count} expired cache ${count === 1 ? 'entry' : 'entries'}:`);
+  removed.sort((a, b) => a.localeCompare(b)).forEach(key => console.log(`- ${key}`));
+}
+
+/**
+ * Ask for an age such as '7d', re-asking until it parses
+ *
+ * @param {string} prompt - Question to ask
+ * @returns {number|undefined} - Milliseconds, or undefined if left blank
+ */
+function askDuration(prompt) {
+  for (;;) {
+    const answer = readlineSync.question(prompt).trim();
+    if (!answer) {
+      return undefined;
+    }
+    const ms = utils.parseDuration(answer);
+    if (ms !== null) {
+      return ms;
+    }
+    console.log('Please enter an age like 30m, 12h or 7d');
+  }
+}
+
+// Actions of the "Manage cache" menu, in display order
+const CACHE_ACTIONS = [
+  { label: 'Show cache summary', action: showCacheSummary },
+  {
+    label: 'List entries',
+    action: () => listCacheKeys(readlineSync.question('Key prefix (leave blank for all): ').trim())
+  },
+  {
+    label: 'Inspect an entry',
+    action: () => inspectCacheKey(readlineSync.question('Cache key: ').trim())
+  },
+  {
+    label: 'Purge entries',
+    action: () => {
+      const prefix = readlineSync.question('Key prefix (leave blank for any): ').trim();
+      const olderThanMs = askDuration('Older than, e.g. 7d (leave blank for any age): ');
+      if (!prefix && olderThanMs === undefined && !readlineSync.keyInYN('Remove every cache entry?')) {
+        return;
+      }
+      return purgeCacheEntries({ prefix, olderThanMs });
+    }
+  },
+  {
+    label: 'Refresh an entry',
+    action: () => refreshCacheKey(readlineSync.question('Cache key: ').trim())
+  },
+  { label: 'Clear expired entries', action: clearExpiredWithReport },
+  { label: 'Warm up for offline use', action: warmUpFromMenu }
+];
+
+// Lookups for the warm-up, with the same keys as the menu flows; pinned, so
+// the entries stay available offline after they expire
+const warmUpLookup = {
+  searchMealsByName: (term, options) => cache.getCachedOrFetch(
+    `search_${term.toLowerCase()}`,
+    () => api.searchMealsByName(term, options),
+    { pin: true }
+  ),
+  getMealById: (id, options) => fetchRecipe(id, options, { pin: true })
+};
+
+/**
+ * Cache favorites, recently viewed recipes and saved searches (with the recipes
+ * they find) so the app keeps working offline
+ *
+ * @param {Object} options - What to include
+ * @param {Array<string>} options.searchTerms - Search terms to save first, so later warm-ups include them too
+ * @param {boolean} options.includeFavorites - Include favorite recipes (default: true)
+ * @param {boolean} options.includeRecent - Include recently viewed recipes (default: true)
+ * @returns {Promise<boolean>} - True if everything was cached
+ */
+async function warmUpCache({ searchTerms = [], includeFavorites = true, includeRecent = true } = {}) {
+  if (searchTerms.length > 0) {
+    await history.saveSearchTerms(searchTerms);
+  }
+
+  const favoriteIds = includeFavorites ? (await favorites.getFavorites()).map(favorite => favorite.idMeal) : [];
+  const recentIds = includeRecent ? (await history.getRecentlyViewed()).map(view => view.idMeal) : [];
+  const targets = {
+    recipeIds: Array.from(new Set([...favoriteIds, ...recentIds])),
+    searchTerms: await history.getSavedSearches()
+  };
+
+  if (targets.recipeIds.length === 0 && targets.searchTerms.length === 0) {
+    console.log('Nothing to warm up: add favorites, view some recipes or save search terms first.');
+    return true;
+  }
+
+  console.log(`Warming up the cache: ${favoriteIds.length} favorites, ${recentIds.length} recently viewed recipes `
+    + `and ${targets.searchTerms.length} saved searches... (Ctrl+C to cancel)`);
+
+  try {
+    const result = await withCancellation(signal => warmup.warmUpCache(targets, {
+      lookup: warmUpLookup,
+      signal,
+      onProgress: (done, total, label) => console.log(`[${done}/${total}] ${label}`)
+    }));
+    await cache.flushCache();
+
+    console.log(`Cached ${result.searches} ${result.searches === 1 ? 'search' : 'searches'} and `
+      + `${result.recipes} ${result.recipes === 1 ? 'recipe' : 'recipes'} for offline use.`);
+    if (result.failures.length > 0) {
+      console.log(`Could not cache ${result.failures.length}:`);
+      result.failures.forEach(({ label, error }) => console.log(`- ${label}: ${error.message}`));
+    }
+    return result.failures.length === 0;
+  } catch (error) {
+    reportError('Error warming up the cache', error);
+    return false;
+  }
+}
+
+/**
+ * Ask for more search terms, then warm up the cache
+ */
+async function warmUpFromMenu() {
+  const saved = await history.getSavedSearches();
+  console.log(saved.length > 0 ? `Saved searches: ${saved.join(', ')}` : 'No saved searches yet.');
+
+  const searchTerms = parseList(readlineSync.question('More search terms to save, comma separated (leave blank for none): '));
+
+  await warmUpCache({ searchTerms });
+}
+
+/**
+ * Show the "Manage cache" menu until the user goes back
+ */
+async function manageCache() {
+  for (;;) {
+    const label = chooseFromList(CACHE_ACTIONS.map(option => option.label), 'Manage cache');
+    if (!label) {
+      return;
+    }
+
+    try {
+      await CACHE_ACTIONS.find(option => option.label === label).action();
+    } catch (error) {
+      reportError('Error managing the cache', error);
+    }
+  }
+}
+
+/**
+ * Run a cache action from the command line, e.g. `node src/app.js cache purge --prefix search_ --older-than 7d`
+ *
+ * @param {string} action - stats, list, inspect, purge, refresh or clear-expired
+ * @param {...string} args - The action's arguments
+ *
+ * @see {@link https://nodejs.org/api/util.html#utilparseargsconfig | Node.js: util.parseArgs}
+ */
+async function cacheCommand(action = 'stats', ...args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      prefix: { type: 'string' },
+      'older-than': { type: 'string' },
+      all: { type: 'boolean' }
+    },
+    allowPositionals: true
+  });
+  const [key] = positionals;
+
+  switch (action) {
+    case 'stats':
+      return showCacheSummary();
+    case 'list':
+      return listCacheKeys(key);
+    case 'inspect':
+    case 'refresh':
+      if (!key) {
+        console.error(`Usage: cache ${action} <key>`);
+        process.exitCode = 1;
+        return;
+      }
+      return action === 'inspect' ? inspectCacheKey(key) : refreshCacheKey(key);
+    case 'purge': {
+      const olderThanMs = values['older-than'] === undefined ? undefined : utils.parseDuration(values['older-than']);
+      if (olderThanMs === null || (!values.prefix && olderThanMs === undefined && !values.all)) {
+        console.error('Usage: cache purge [--prefix <prefix>] [--older-than <age, e.g. 7d>] | --all');
+        process.exitCode = 1;
+        return;
+      }
+      return purgeCacheEntries({ prefix: values.prefix, olderThanMs });
+    }
+    case 'clear-expired':
+      return clearExpiredWithReport();
+    default:
+      console.error(`Unknown cache action "${action}". Available actions: stats, list, inspect, purge, refresh, clear-expired`);
+      process.exitCode = 1;
+  }
+}
+
+/**
+ * Warm up the cache from the command line, e.g. `node src/app.js warm-up chicken "beef stew"`
+ * Search terms given are saved for later warm-ups; --forget removes saved terms instead
+ *
+ * @param {...string} args - Search terms and options
+ *
+ * @see {@link https://nodejs.org/api/util.html#utilparseargsconfig | Node.js: util.parseArgs}
+ */
+async function warmUpCommand(...args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      forget: { type: 'string', multiple: true },
+      'no-favorites': { type: 'boolean' },
+      'no-recent': { type: 'boolean' }
+    },
+    allowPositionals: true
+  });
+
+  if (values.forget) {
+    const removed = await history.removeSearchTerms(values.forget);
+    console.log(`Forgot ${removed} saved ${removed === 1 ? 'search' : 'searches'}.`);
+    return;
+  }
+
+  const succeeded = await warmUpCache({
+    searchTerms: positionals,
+    includeFavorites: !values['no-favorites'],
+    includeRecent: !values['no-recent']
+  });
+  if (!succeeded) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Copy the cache, favorites and history from one storage backend to another,
+ * e.g. `node src/app.js migrate-storage json sqlite`
+ *
+ * @param {string} from - Backend to copy from
+ * @param {string} to - Backend to copy to
+ */
+async function migrateStorageCommand(from, to) {
+  if (!from || !to) {
+    console.error(`Usage: migrate-storage <from> <to> (backends: ${storage.BACKENDS.join(', ')})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await storage.migrateStorage(from, to, {
+      migrations: { favorites: favorites.favoritesMigrations },
+      onProgress: (namespace, count) => console.log(`Copied ${count} ${namespace} ${count === 1 ? 'entry' : 'entries'}`)
+    });
+    console.log(`Done. Set "storage": { "backend": "${to}" } in data/config.json (or RECIPE_EXPLORER_STORAGE=${to}) to use it.`);
+  } catch (error) {
+    reportError('Error migrating storage', error);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Leave the application
+ */
+function exitApp() {
+  console.log('Thank you for using Recipe Explorer!');
+  process.exit(0);
+}
+
+// Main menu entries, in display order
+const MENU_OPTIONS = [
+  { label: 'Search recipes', action: searchRecipes },
+  { label: 'View recipe details by ID', action: () => viewRecipeDetails() },
+  { label: 'Explore recipes by first letter', action: exploreByFirstLetter },
+  { label: 'Search by ingredient', action: searchByIngredient },
+  { label: 'Search by several ingredients', action: searchByIngredients },
+  { label: 'Browse by category', action: browseByCategory },
+  { label: 'Browse by cuisine', action: browseByArea },
+  { label: 'View favorites', action: viewFavorites },
+  { label: 'Discover random recipe', action: discoverRandom },
+  { label: 'Search offline catalog', action: searchOfflineCatalog },
+  { label: 'Sync recipe catalog', action: syncCatalog },
+  { label: 'Manage cache', action: manageCache },
+  { label: 'Exit', action: exitApp }
+];
+
+/**
+ * Export favorites from the command line, e.g. `export-favorites favorites.csv --tag spicy`
+ *
+ * @param {...string} args - <file> [--format json|csv|markdown] [--collection <name>] [--tag <tag>] [--sort added|rating|lastCooked]
+ */
+async function exportFavoritesCommand(...args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string' },
+      collection: { type: 'string' },
+      tag: { type: 'string' },
+      sort: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+
+  if (!positionals[0]) {
+    console.error(`Usage: export-favorites <file> [--format ${exchange.FORMATS.join('|')}] [--collection <name>] [--tag <tag>] [--sort ${Object.keys(favorites.FAVORITE_SORTS).join('|')}]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const succeeded = await exportFavoritesToFile(positionals[0], {
+    format: values.format,
+    collection: values.collection,
+    tag: values.tag,
+    sortBy: values.sort
+  });
+  if (!succeeded) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Import favorites from the command line, e.g. `import-favorites favorites.json --on-duplicate merge`
+ *
+ * @param {...string} args - <file> [--format json|csv] [--on-duplicate skip|overwrite|merge]
+ */
+async function importFavoritesCommand(...args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string' },
+      'on-duplicate': { type: 'string' }
+    },
+    allowPositionals: true
+  });
+
+  if (!positionals[0]) {
+    console.error(`Usage: import-favorites <file> [--format json|csv] [--on-duplicate ${favorites.DUPLICATE_ACTIONS.join('|')}]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const succeeded = await importFavoritesFromFile(positionals[0], {
+    format: values.format,
+    onDuplicate: values['on-duplicate'] || 'skip'
+  });
+  if (!succeeded) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Read the arguments of merge-favorites and sync-favorites: a path, --prefer and the command's own options
+ *
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} usage - Printed when the path is missing
+ * @param {Object} extraOptions - parseArgs options for the command
+ * @returns {Object|null} - { target, values, resolve }, or null after printing an error
+ */
+function parseSyncArgs(args, usage, extraOptions = {}) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: { prefer: { type: 'string' }, ...extraOptions },
+    allowPositionals: true
+  });
+
+  if (!positionals[0]) {
+    console.error(`Usage: ${usage}`);
+    return null;
+  }
+  if (values.prefer !== undefined && !['ours', 'theirs'].includes(values.prefer)) {
+    console.error(`Unknown --prefer "${values.prefer}", expected ours or theirs`);
+    return null;
+  }
+  // Without --prefer, conflicts are asked about one by one
+  const resolve = values.prefer ? () => values.prefer : askConflictResolution;
+  return { target: positionals[0], values, resolve };
+}
+
+/**
+ * Merge another favorites file into ours from the command line, e.g. `merge-favorites ~/Downloads/favorites.json`
+ *
+ * @param {...string} args - <file> [--prefer ours|theirs]
+ */
+async function mergeFavoritesCommand(...args) {
+  const parsed = parseSyncArgs(args, 'merge-favorites <file> [--prefer ours|theirs]');
+  if (!parsed) {
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!(await syncFavoritesWith(parsed.target, { direction: 'pull', resolve: parsed.resolve }))) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Sync favorites with a shared folder from the command line, e.g. `sync-favorites /mnt/team --direction both`
+ *
+ * @param {...string} args - <folder> [--direction both|pull|push] [--prefer ours|theirs]
+ */
+async function syncFavoritesCommand(...args) {
+  const parsed = parseSyncArgs(args, `sync-favorites <folder> [--direction ${sync.SYNC_DIRECTIONS.join('|')}] [--prefer ours|theirs]`, {
+    direction: { type: 'string' }
+  });
+  if (!parsed) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const file = sync.sharedFavoritesFile(parsed.target);
+  if (!(await syncFavoritesWith(file, { direction: parsed.values.direction || 'both', resolve: parsed.resolve }))) {
+    process.exitCode = 1;
+  }
+}
+
+// Commands that can be run non-interactively, e.g. `node src/app.js sync-catalog`
+// Anything after the command name is passed on as arguments
+const COMMANDS = {
+  'sync-catalog': syncCatalog,
+  cache: cacheCommand,
+  'warm-up': warmUpCommand,
+  'migrate-storage': migrateStorageCommand,
+  'export-favorites': exportFavoritesCommand,
+  'import-favorites': importFavoritesCommand,
+  'merge-favorites': mergeFavoritesCommand,
+  'sync-favorites': syncFavoritesCommand
+};
+
+/**
+ * Display the main menu and handle user input
+ */
+async function showMainMenu() {
+  console.log('\n===== RECIPE EXPLORER =====');
+  MENU_OPTIONS.forEach((option, index) => {
+    console.log(`${index + 1}. ${option.label}`);
+  });
+
+  const count = MENU_OPTIONS.length;
+  const choice = readlineSync.questionInt(`Enter your choice (1-${count}): `, {
+    limit: input => {
+      const num = parseInt(input);
+      return num >= 1 && num <= count;
+    },
+    limitMessage: `Please enter a number between 1 and ${count}`
+  });
+
+  await MENU_OPTIONS[choice - 1].action();
+
+  // Return to main menu after function completes
+  return showMainMenu();
+}
+
+/**
+ * Main application entry point
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/catch | MDN: Promise.catch}
+ */
+async function main() {
+  // CHALLENGE 24: Implement main function
+  // 1. Display an initialization message
+  // 2. Call initialize() to set up the application
+  // 3. Handle initialization failure (exit with error code 1)
+  // 4. Display a welcome message on success
+  // 5. Start the main menu loop by calling showMainMenu()
+  // 6. Add error handling for any uncaught exceptions
+
+  try {
+
+
+    console.log('Now initializing Recipe Explorer...');
+
+    // The cache command reports on expired entries, so leave them for it
+    const [command, ...args] = process.argv.slice(2);
+    const initialized = await initialize({ clearExpired: command !== 'cache' });
+
+    if (!initialized) {
+      console.error('Failed to initialize. Exiting...');
+
+      process.exit(1);
+    }
+
+    // Run a single command and exit if one was given on the command line
+    if (command) {
+      if (!COMMANDS[command]) {
+        console.error(`Unknown command "${command}". Available commands: ${Object.keys(COMMANDS).join(', ')}`);
+        process.exit(1);
+      }
+      await COMMANDS[command](...args);
+      // Let background refreshes of stale entries finish saving before exiting
+      await cache.settleRevalidations();
+      process.exit(process.exitCode ?? 0);
+    }
+
+    console.log('Welcome to the Recipe Explorer!');
+
+    watchRevalidations();
 
     showMainMenu();
   }
@@ -455,6 +1792,16 @@ export default {
   viewRecipeDetails,
   exploreByFirstLetter,
   searchByIngredient,
+  searchByIngredients,
+  browseByCategory,
+  browseByArea,
   viewFavorites,
-  discoverRandom
+  discoverRandom,
+  searchOfflineCatalog,
+  syncCatalog,
+  manageCache,
+  warmUpCache,
+  exportFavoritesToFile,
+  importFavoritesFromFile,
+  syncFavoritesWith
 };
@@ -2,258 +2,1053 @@
 /**
  * This module provides caching functionality to store API responses locally
  * to reduce API calls and improve performance
+ *
+ * The cache has two tiers: recently used entries are kept in memory, in front
+ * of the 'cache' store (data/cache.json unless config.storage picks another
+ * backend, see storage.js). Saved entries are written to the store in batches,
+ * after config.cache.flushIntervalMs and when the process exits
+ *
+ * The stored cache is kept within config.cache.maxBytes and maxEntries by
+ * evicting the least recently used entries. When entries were last read is
+ * saved with them (usedAt) along with the next batch, so eviction also
+ * follows use across runs
+ *
+ * createCache builds an independent cache with its own store, clock and
+ * state, e.g. for tests, tools or a second profile. The functions exported
+ * by name belong to the default cache, which uses the 'cache' store
  */
 
-import fs from 'fs/promises';
-// import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Get the directory path using ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { EventEmitter } from 'events';
+import { config } from './config.js';
+import { CancelledError } from './errors.js';
+import { isFullMeal, normalizeMeal, toMeal } from './recipe.js';
+import { createJsonFileStore, openStore } from './storage.js';
 
-const CACHE_FILE = path.join(__dirname, '../data/cache.json');
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
 
 /**
- * Initialize the cache file if it doesn't exist
+ * Cache policies by key prefix
+ * - ttl: how long an entry stays fresh, in milliseconds (0 = never cache)
+ * - maxEntries: how many entries with the prefix are kept; the oldest go first
+ * - cacheEmpty: whether empty results (no meals) are cached at all
+ * - emptyTtl: how long a cached empty result stays fresh; kept short, since
+ *   "no results" can stop being true as soon as a recipe is added
+ * - staleWhileRevalidate: whether getCachedOrFetch answers with an expired
+ *   entry right away and refreshes it in the background
+ * - maxStale: how long after expiring an entry may still be answered that way,
+ *   in milliseconds; older entries are fetched again before answering
+ * - pin: keep entries for offline use: they are still fetched again once they
+ *   expire, but expiry, maxEntries and the cache's limits never remove them
+ *   (purgeCache does). Usually passed per call, e.g. by the warm-up
+ * Keys without a matching prefix use DEFAULT_POLICY. data/config.json can
+ * override these under cache.policies, e.g. { "search_": { "ttl": 3600000 } },
+ * and turn stale-while-revalidate on for every key with cache.staleWhileRevalidate
+ */
+export const CACHE_POLICIES = {
+  // Search results change as recipes are added
+  search_: { ttl: 6 * HOUR, maxEntries: 200, cacheEmpty: true },
+  // A recipe looked up by ID almost never changes
+  recipe_: { ttl: 30 * 24 * HOUR, maxEntries: 1000, cacheEmpty: false },
+  ingredient_: { ttl: 24 * HOUR, maxEntries: 300, cacheEmpty: true },
+  letters_: { ttl: 24 * HOUR, maxEntries: 100, cacheEmpty: true },
+  // Random results are meant to be different every time
+  random_: { ttl: 0, maxEntries: 0, cacheEmpty: false }
+};
+
+export const DEFAULT_POLICY = {
+  ttl: CACHE_DURATION,
+  maxEntries: Infinity,
+  cacheEmpty: true,
+  emptyTtl: 15 * MINUTE,
+  staleWhileRevalidate: false,
+  maxStale: 7 * 24 * HOUR,
+  pin: false
+};
+
+/**
+ * Find the longest policy prefix a key starts with
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
- * @see {@link https://nodejs.org/api/fs.html#fs_promises_api | Node.js: fs/promises}
+ * @param {string} key - Cache key
+ * @returns {string|undefined} - Prefix, or undefined if the key uses DEFAULT_POLICY
  */
-export async function initializeCache() {
-  // CHALLENGE 7: Implement initializeCache function
-  // 1. Try to access the CACHE_FILE using fs.access
-  // 2. If the file doesn't exist (access throws an error), create it:
-  //    - Make sure the directory exists (get the directory using path.dirname)
-  //    - Create the directory if needed using fs.mkdir with { recursive: true }
-  //    - Write an empty object as JSON to the file using fs.writeFile
-  // 3. Handle any errors appropriately
+function findPolicyPrefix(key) {
+  return Object.keys({ ...CACHE_POLICIES, ...config.cache.policies })
+    .filter(candidate => key.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Check whether fetched data is an empty result
+ *
+ * @param {*} data - Fetched data
+ * @returns {boolean}
+ */
+function isEmptyResult(data) {
+  return data === null || data === undefined || (Array.isArray(data) && data.length === 0);
+}
+
+/**
+ * Check whether fetched data is really an error; the API functions throw
+ * typed errors, but a fetcher that returns one must not have it cached
+ *
+ * @param {*} data - Fetched data
+ * @returns {boolean}
+ */
+function isErrorResult(data) {
+  return data instanceof Error;
+}
+
+/**
+ * How much space an entry takes before compression
+ *
+ * @param {Object} entry - Cache entry
+ * @returns {number} - Size in bytes
+ *
+ * @see {@link https://nodejs.org/api/buffer.html#static-method-bufferbytelengthstring-encoding | Node.js: Buffer.byteLength}
+ */
+function entrySize(entry) {
+  return Buffer.byteLength(JSON.stringify(entry));
+}
+
+/**
+ * How the default cache stores data
+ * Full meals are stored as structured recipes, which drops the dozens of empty
+ * strIngredientN/strMeasureN fields and keeps the cache file small
+ * - serialize(data): the fields saved with the entry's timestamp, at least { data }
+ * - deserialize(entry): the data from a saved entry, in the shape it was saved in
+ */
+export const recipeSerializer = {
+  serialize(data) {
+    const meals = Array.isArray(data) ? data : [data];
+    if (meals.length > 0 && meals.every(isFullMeal)) {
+      return {
+        format: 'recipe',
+        data: Array.isArray(data) ? data.map(normalizeMeal) : normalizeMeal(data)
+      };
+    }
+    return { data };
+  },
+
+  deserialize(entry) {
+    if (entry.format === 'recipe') {
+      return Array.isArray(entry.data) ? entry.data.map(toMeal) : toMeal(entry.data);
+    }
+    return entry.data;
+  }
+};
+
+/**
+ * Create a cache with its own store and state
+ * Instances share config.cache (policies, limits, flush interval) but nothing else
+ *
+ * @param {Object} options - Cache options
+ * @param {string} options.file - Keep the cache in this JSON file instead of the 'cache' store
+ * @param {Object} options.store - Keep the cache in this store (see storage.js); ignored if file is given
+ * @param {number} options.ttl - Time to live for keys without a policy prefix (default: DEFAULT_POLICY.ttl)
+ * @param {Function} options.now - Clock returning the current time in milliseconds, e.g. a fixed time in tests
+ * @param {Object} options.serializer - { serialize, deserialize }, see recipeSerializer
+ * @returns {Object} - The cache API: getCachedOrFetch, getFromCache, saveToCache, flushCache, cacheEvents, ...
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Closures | MDN: Closures}
+ */
+export function createCache({
+  file,
+  store = file ? createJsonFileStore(file, { layout: 'object' }) : openStore('cache'),
+  ttl = DEFAULT_POLICY.ttl,
+  now = () => Date.now(),
+  serializer = recipeSerializer
+} = {}) {
+  /**
+   * Cache events
+   * - 'revalidated' ({ key, data, changed }): a background refresh saved newer data
+   * - 'revalidate-failed' ({ key, error }): a background refresh failed; the stale entry is kept
+   *
+   * @see {@link https://nodejs.org/api/events.html#class-eventemitter | Node.js: EventEmitter}
+   */
+  const cacheEvents = new EventEmitter();
+
+  /**
+   * Build a cache entry for some data, see the serializer option
+   *
+   * @param {*} data - Data to cache
+   * @returns {Object} - { timestamp, ...serializer.serialize(data) }
+   */
+  function createEntry(data) {
+    return { timestamp: now(), ...serializer.serialize(data) };
+  }
+
+  /**
+   * Get the data stored in a cache entry, in the shape it was saved in
+   *
+   * @param {Object} entry - Cache entry from createEntry
+   * @returns {*} - Cached data
+   */
+  function readEntry(entry) {
+    return serializer.deserialize(entry);
+  }
+
+  // Background refreshes in progress, by key, so a key is only refreshed once at a time
+  const revalidations = new Map();
+
+  // Lookups in progress, by key, so concurrent callers share one fetch and one write
+  const pendingLookups = new Map();
+
+  // Recently used entries by key, least recently used first
+  const memory = new Map();
+
+  // Entries saved since the last flush, by key
+  const pendingWrites = new Map();
+  // When entries were last read since the last flush, by key
+  const accessTimes = new Map();
+  let flushTimer = null;
+  let exitHandlerInstalled = false;
+
+  // Flushes run one after another so they never overwrite each other's changes
+  let flushQueue = Promise.resolve();
+
+  // How getCachedOrFetch calls were answered since startup (or the last reset)
+  const stats = {
+    hits: 0,
+    misses: 0,
+    coalesced: 0,
+    // Hits answered with an expired entry while it was refreshed in the background
+    stale: 0,
+    // Entries dropped to stay within the cache's limits
+    evicted: 0
+  };
+
+  /**
+   * Get the cache policy for a key
+   *
+   * @param {string} key - Cache key
+   * @param {Object} overrides - Per-call changes to the policy, e.g. { ttl: 60000 }
+   * @returns {Object} - { ttl, maxEntries, cacheEmpty, emptyTtl, staleWhileRevalidate, maxStale, pin }
+   */
+  function getCachePolicy(key, overrides = {}) {
+    const configured = config.cache.policies || {};
+    const prefix = findPolicyPrefix(key);
+
+    return {
+      ...DEFAULT_POLICY,
+      ttl,
+      staleWhileRevalidate: config.cache.staleWhileRevalidate ?? DEFAULT_POLICY.staleWhileRevalidate,
+      maxStale: config.cache.maxStale ?? DEFAULT_POLICY.maxStale,
+      ...(prefix && CACHE_POLICIES[prefix]),
+      ...(prefix && configured[prefix]),
+      ...overrides
+    };
+  }
+
+  /**
+   * How long an entry stays fresh: empty results use the policy's shorter emptyTtl
+   *
+   * @param {Object} entry - Cache entry
+   * @param {Object} policy - Cache policy, see getCachePolicy
+   * @returns {number} - Time to live in milliseconds
+   */
+  function entryTtl(entry, policy) {
+    return isEmptyResult(entry.data) ? Math.min(policy.emptyTtl, policy.ttl) : policy.ttl;
+  }
 
-  try {
-    await fs.access(CACHE_FILE);
+  /**
+   * Check whether a stored entry should never have been cached: an error saved
+   * as if it were data (older API functions returned the message instead of
+   * throwing), or an empty result under a prefix that never caches those
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   * @returns {boolean}
+   */
+  function isPoisonedEntry(key, entry) {
+    // Those error messages were the only strings ever cached
+    return typeof entry.data === 'string' || (isEmptyResult(entry.data) && !getCachePolicy(key).cacheEmpty);
   }
-  catch (error) {
 
-    console.error('File does not exist.');
-    const dirPath = path.dirname(CACHE_FILE);
+  /**
+   * Drop the oldest entries of every prefix that holds more than its policy's maxEntries
+   *
+   * @param {Map} cacheData - Cache entries by key, changed in place
+   * @returns {number} - Number of entries removed
+   */
+  function enforceMaxEntries(cacheData) {
+    const keysByPrefix = new Map();
+    for (const [key, entry] of cacheData) {
+      const { maxEntries } = getCachePolicy(key);
+      if (Number.isFinite(maxEntries) && !entry.pinned) {
+        const prefix = findPolicyPrefix(key) || '';
+        if (!keysByPrefix.has(prefix)) {
+          keysByPrefix.set(prefix, { maxEntries, keys: [] });
+        }
+        keysByPrefix.get(prefix).keys.push(key);
+      }
+    }
+
+    let removed = 0;
+    for (const { maxEntries, keys } of keysByPrefix.values()) {
+      keys
+        .sort((a, b) => cacheData.get(b).timestamp - cacheData.get(a).timestamp)
+        .slice(maxEntries)
+        .forEach(key => {
+          cacheData.delete(key);
+          memory.delete(key);
+          removed++;
+        });
+    }
+    return removed;
+  }
+
+  /**
+   * Drop the least recently used entries until the cache is within
+   * config.cache.maxEntries and config.cache.maxBytes (sizes before compression)
+   *
+   * @param {Map} cacheData - Cache entries by key, changed in place
+   * @returns {number} - Number of entries removed
+   */
+  function enforceBudget(cacheData) {
+    const { maxBytes, maxEntries } = config.cache;
+    const sizes = new Map(Array.from(cacheData, ([key, entry]) => [key, entrySize(entry)]));
+    let totalBytes = Array.from(sizes.values()).reduce((total, size) => total + size, 0);
+    const overBudget = () => (Number.isFinite(maxEntries) && cacheData.size > maxEntries)
+      || (Number.isFinite(maxBytes) && totalBytes > maxBytes);
+
+    if (!overBudget()) {
+      return 0;
+    }
+
+    const lastUsed = key => cacheData.get(key).usedAt ?? cacheData.get(key).timestamp;
+    const leastRecentlyUsed = Array.from(cacheData.keys())
+      .filter(key => !cacheData.get(key).pinned)
+      .sort((a, b) => lastUsed(a) - lastUsed(b));
+
+    let removed = 0;
+    for (const key of leastRecentlyUsed) {
+      if (!overBudget()) {
+        break;
+      }
+      cacheData.delete(key);
+      memory.delete(key);
+      totalBytes -= sizes.get(key);
+      removed++;
+    }
+
+    stats.evicted += removed;
+    return removed;
+  }
+
+  /**
+   * Put an entry in the memory tier as the most recently used one,
+   * evicting the least recently used entries beyond config.cache.memoryEntries
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   *
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+   */
+  function rememberEntry(key, entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+
+    while (memory.size > config.cache.memoryEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Get an entry from memory, including saved entries not yet written to disk
+   *
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Cache entry, or null if it has to be read from disk
+   */
+  function recallEntry(key) {
+    const entry = memory.get(key) || pendingWrites.get(key);
+    if (!entry) {
+      return null;
+    }
+    rememberEntry(key, entry);
+    return entry;
+  }
+
+  /**
+   * Note that an entry was used, so it is evicted after entries that were not
+   * The time is saved with the next flush
+   *
+   * @param {string} key - Cache key
+   */
+  function touchEntry(key) {
+    accessTimes.set(key, now());
+    installExitHandler();
+  }
+
+  /**
+   * Pin an entry that is already cached, by saving it again with the next batch
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   */
+  function pinEntry(key, entry) {
+    const pinned = { ...entry, pinned: true };
+    rememberEntry(key, pinned);
+    pendingWrites.set(key, pinned);
+    scheduleFlush();
+  }
+
+  /**
+   * Copy entries and access times into the cache data, then apply the
+   * maxEntries policies and the cache's limits
+   * A pinned entry stays pinned when it is replaced by a newer one
+   *
+   * @param {Map} cacheData - Cache entries by key, changed in place
+   * @param {Map} writes - Entries to store, by key
+   * @param {Map} touches - When entries were last used, by key
+   * @returns {Map} - The same cache data
+   */
+  function mergeEntries(cacheData, writes, touches) {
+    for (const [key, entry] of writes) {
+      const pinned = entry.pinned || cacheData.get(key)?.pinned;
+      cacheData.set(key, pinned ? { ...entry, pinned } : entry);
+    }
+    for (const [key, usedAt] of touches) {
+      const entry = cacheData.get(key);
+      if (entry && !writes.has(key)) {
+        cacheData.set(key, { ...entry, usedAt });
+      }
+    }
+    enforceMaxEntries(cacheData);
+    enforceBudget(cacheData);
+    return cacheData;
+  }
+
+  /**
+   * Write pending entries to the cache file, see flushCache
+   */
+  async function writePendingEntries() {
+    if (pendingWrites.size === 0 && accessTimes.size === 0) {
+      return true;
+    }
+
+    const writes = new Map(pendingWrites);
+    const touches = new Map(accessTimes);
+    pendingWrites.clear();
+    accessTimes.clear();
 
     try {
-      await fs.access(dirPath);
-    } catch (error2) {
-      console.error('Directory does not exist.');
-      console.log('Creating directory');
-      await fs.mkdir(dirPath, { recursive: true });
+      // Merge into what is stored now, which another instance may have changed
+      await store.update(cacheData => mergeEntries(cacheData, writes, touches));
+      return true;
+    } catch (error) {
+      // Keep the entries for the next flush, unless they were saved (or used) again meanwhile
+      for (const [key, entry] of writes) {
+        if (!pendingWrites.has(key)) {
+          pendingWrites.set(key, entry);
+        }
+      }
+      for (const [key, usedAt] of touches) {
+        if (!accessTimes.has(key)) {
+          accessTimes.set(key, usedAt);
+        }
+      }
+      console.error('Error writing cache file:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Write pending entries synchronously, for the process 'exit' event
+   * where asynchronous work no longer runs
+   *
+   * @see {@link https://nodejs.org/api/process.html#event-exit | Node.js: process 'exit' event}
+   */
+  function flushCacheSync() {
+    if (pendingWrites.size === 0 && accessTimes.size === 0) {
+      return;
     }
 
     try {
+      store.updateSync(cacheData => mergeEntries(cacheData, pendingWrites, accessTimes));
+      pendingWrites.clear();
+      accessTimes.clear();
+    } catch (error) {
+      console.error('Error writing cache file:', error.message);
+    }
+  }
 
-      await fs.writeFile(CACHE_FILE, JSON.stringify({}, null, 2));
+  function installExitHandler() {
+    if (!exitHandlerInstalled) {
+      process.once('exit', flushCacheSync);
+      exitHandlerInstalled = true;
     }
-    catch (e) {
-      console.error('Error creating file.');
+  }
+
+  /**
+   * Make sure pending entries get written: after the flush interval, or on exit
+   */
+  function scheduleFlush() {
+    installExitHandler();
+
+    if (!flushTimer) {
+      flushTimer = setTimeout(flushCache, config.cache.flushIntervalMs);
+      // Don't keep the process alive just to flush; the exit handler covers that
+      flushTimer.unref?.();
     }
+  }
+
+  /**
+   * Write all saved entries that are not on disk yet
+   *
+   * @returns {Promise<boolean>} - True if everything was written
+   */
+  async function flushCache() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
 
+    flushQueue = flushQueue.then(writePendingEntries);
+    return flushQueue;
   }
 
+  /**
+   * Forget everything held in memory, including unflushed entries
+   * The file is left as it is, so this mainly gives tests a clean start
+   */
+  function resetMemoryCache() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    memory.clear();
+    pendingWrites.clear();
+    accessTimes.clear();
+  }
 
-}
+  /**
+   * Initialize the cache store if it doesn't exist, e.g. create data/cache.json
+   *
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
+   */
+  async function initializeCache() {
+    try {
+      await store.initialize();
+    } catch (error) {
+      console.error(`Error creating the cache in ${store.location}:`, error.message);
+    }
+  }
 
-/**
- * Get data from cache if it exists and hasn't expired
- *
- * @param {string} key - Cache key
- * @returns {Promise<Object|null>} - Cached data or null if not found or expired
- *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/now | MDN: Date.now}
- */
-export async function getFromCache(key) {
-  // CHALLENGE 8: Implement getFromCache function
-  // 1. Read the cache file using fs.readFile
-  // 2. Parse the JSON data
-  // 3. Check if the key exists in the cache
-  // 4. If it exists, check if it has expired by comparing:
-  //    - Current time (Date.now())
-  //    - Cached item's timestamp
-  //    - CACHE_DURATION
-  // 5. If not expired, return the cached data
-  // 6. If expired or not found, return null
-  // 7. Handle any errors appropriately and return null
-  try {
-    const content = await fs.readFile(CACHE_FILE);
-
-    const cacheData = await JSON.parse(content);
-
-    if (cacheData[key]) {
-      const currentTime = Date.now();
-
-      if (currentTime - cacheData[key].timestamp < CACHE_DURATION) {
-        console.log('Key found in Cache:', key);
-        return cacheData[key].data;
-      } else {
-        console.log('Cache expired for key:', key);
+  /**
+   * Get data from cache if it exists and hasn't expired
+   *
+   * @param {string} key - Cache key
+   * @param {Object} policy - Cache policy, see getCachePolicy
+   * @returns {Promise<Object|null>} - Cached data or null if not found or expired
+   *
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/now | MDN: Date.now}
+   */
+  async function getFromCache(key, policy = getCachePolicy(key)) {
+    if (policy.ttl <= 0) {
+      return null;
+    }
+
+    try {
+      // Only go to disk for entries that are not in memory
+      let entry = recallEntry(key);
+      if (!entry) {
+        entry = await store.get(key);
+        if (entry) {
+          rememberEntry(key, entry);
+        }
+      }
+
+      if (entry) {
+        const currentTime = now();
+
+        if (currentTime - entry.timestamp < entryTtl(entry, policy)) {
+          console.log('Key found in Cache:', key);
+          touchEntry(key);
+          if (policy.pin && !entry.pinned) {
+            pinEntry(key, entry);
+          }
+          return readEntry(entry);
+        } else {
+          console.log('Cache expired for key:', key);
+          return null;
+        }
+      }
+
+      else {
         return null;
       }
-    }
+    } catch (error) {
 
-    else {
+      console.error("Get from cache error. " + error);
       return null;
     }
-  } catch (error) {
-
-    console.error("Get from cache error. " + error);
-    return null;
   }
-}
 
-/**
- * Save data to cache with a timestamp
- *
- * @param {string} key - Cache key
- * @param {Object} data - Data to cache
- * @returns {Promise<boolean>} - True if successfully saved to cache
- *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify | MDN: JSON.stringify}
- */
-export async function saveToCache(key, data) {
-  // CHALLENGE 9: Implement saveToCache function
-  // 1. Make sure cache is initialized by calling initializeCache
-  // 2. Read current cache file using fs.readFile
-  // 3. Parse the JSON data
-  // 4. Add the new entry with:
-  //    - Current timestamp (Date.now())
-  //    - The data to be cached
-  // 5. Write the updated cache back to the file
-  // 6. Return true on success
-  // 7. Handle any errors and return false on failure
-  try {
-    await initializeCache();
-    const cacheData = await JSON.parse(await fs.readFile(CACHE_FILE, 'utf-8'));
-    cacheData[key] = {
-      timestamp: Date.now(),
-      data: data
-    };
-    fs.writeFile(CACHE_FILE, JSON.stringify(cacheData, null, 2));
-    return true;
-  } catch (error) {
-    return false;
+  /**
+   * Save data to cache with a timestamp
+   * The entry is available from memory right away and written to disk with the
+   * next batch; call flushCache to write it immediately
+   *
+   * @param {string} key - Cache key
+   * @param {Object} data - Data to cache
+   * @param {Object} policy - Cache policy, see getCachePolicy
+   * @returns {Promise<boolean>} - True if saved, false if the policy skipped it, the data is an
+   *   error (see isErrorResult) or saving failed
+   */
+  async function saveToCache(key, data, policy = getCachePolicy(key)) {
+    if (policy.ttl <= 0 || policy.maxEntries <= 0 || isErrorResult(data) || (!policy.cacheEmpty && isEmptyResult(data))) {
+      return false;
+    }
+
+    try {
+      const entry = createEntry(data);
+      if (policy.pin) {
+        entry.pinned = true;
+      }
+      rememberEntry(key, entry);
+      pendingWrites.set(key, entry);
+      scheduleFlush();
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
-}
 
-/**
- * Clear expired entries from the cache
- *
- * @returns {Promise<number>} - Number of entries removed
- *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/delete | MDN: delete operator}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for...in | MDN: for...in}
- */
-export async function clearExpiredCache() {
-  // CHALLENGE 10: Implement clearExpiredCache function
-  // 1. Make sure cache is initialized
-  // 2. Read and parse the cache file
-  // 3. Get the current time using Date.now()
-  // 4. Loop through each key in the cache
-  // 5. Check if each entry has expired
-  // 6. If expired, delete the entry and increment a counter
-  // 7. Write the updated cache back to file if any entries were removed
-  // 8. Return the count of removed entries
-  // 9. Handle any errors appropriately
-
-  try {
-
-    initializeCache();
-    const content = await fs.readFile(CACHE_FILE, 'utf-8');
-    const cacheData = await JSON.parse(content);
-
-    const now = Date.now();
+  /**
+   * Remove entries from the cache file and memory
+   *
+   * @param {Function} shouldRemove - Called with (key, entry); return true to remove the entry
+   * @param {Function} onRemove - Optional, called with (key, entry) for each removed entry
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async function removeEntries(shouldRemove, onRemove) {
+    // Write pending entries first so the file has everything
+    await flushCache();
+
     let removedCount = 0;
+    await store.update(cacheData => {
+      for (const [key, entry] of cacheData) {
+        if (shouldRemove(key, entry)) {
+          cacheData.delete(key);
+          memory.delete(key);
+          removedCount++;
+          if (onRemove) {
+            onRemove(key, entry);
+          }
+        }
+      }
+
+      // Leave the store alone if nothing was removed
+      return removedCount > 0 ? cacheData : undefined;
+    });
 
-    for (let key in cacheData) {
+    return removedCount;
+  }
+
+  /**
+   * Clear expired entries from the cache
+   *
+   * @param {Object} options - Options
+   * @param {Function} options.onRemove - Called with (key, entry) for each removed entry, e.g. to report them
+   * @returns {Promise<number>} - Number of entries removed
+   *
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/delete | MDN: delete operator}
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/entries | MDN: Object.entries}
+   */
+  async function clearExpiredCache({ onRemove } = {}) {
+    try {
 
+      const currentTime = now();
 
       // Check if the cached item has expired
-      if (now - cacheData[key].timestamp >= CACHE_DURATION) {
-        delete cacheData[key];
-        removedCount++;
-      }
+      // Pinned entries are kept for offline use after they expire
+      return await removeEntries((key, entry) => {
+        return !entry.pinned && currentTime - entry.timestamp >= entryTtl(entry, getCachePolicy(key));
+      }, onRemove);
+
+    } catch (error) {
+      console.error('Error reading cache file:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Remove entries that hold an error instead of data, see isPoisonedEntry
+   * Run at startup, so an outage cached by an older version doesn't keep
+   * showing up as "no results"
+   *
+   * @param {Object} options - Options
+   * @param {Function} options.onRemove - Called with (key, entry) for each removed entry
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async function purgePoisonedEntries({ onRemove } = {}) {
+    try {
+      return await removeEntries(isPoisonedEntry, onRemove);
+    } catch (error) {
+      console.error('Error reading cache file:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Remove entries by key prefix and/or age, whether or not they have expired
+   * Without any criteria every entry is removed
+   *
+   * @param {Object} criteria - Which entries to remove; entries must match all given criteria
+   * @param {string} criteria.prefix - Only keys starting with this, e.g. 'search_'
+   * @param {number} criteria.olderThanMs - Only entries saved more than this many milliseconds ago
+   * @param {Function} criteria.onRemove - Called with (key, entry) for each removed entry
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async function purgeCache({ prefix = '', olderThanMs, onRemove } = {}) {
+    const currentTime = now();
+    return removeEntries((key, entry) => {
+      return key.startsWith(prefix) && (olderThanMs === undefined || currentTime - entry.timestamp > olderThanMs);
+    }, onRemove);
+  }
+
+  /**
+   * Describe an entry without its data
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   * @param {number} currentTime - Current time
+   * @returns {Object} - { key, timestamp, ageMs, expired, pinned, sizeBytes }
+   */
+  function describeEntry(key, entry, currentTime) {
+    return {
+      key,
+      timestamp: entry.timestamp,
+      ageMs: currentTime - entry.timestamp,
+      expired: currentTime - entry.timestamp >= entryTtl(entry, getCachePolicy(key)),
+      pinned: Boolean(entry.pinned),
+      sizeBytes: entrySize(entry)
     };
+  }
 
-    if (removedCount > 0) {
-      await fs.writeFile(CACHE_FILE, JSON.stringify(cacheData, null, 2));
+  /**
+   * List the cached entries, including ones not written to disk yet
+   *
+   * @param {string} prefix - Only list keys starting with this
+   * @returns {Promise<Array<Object>>} - { key, timestamp, ageMs, expired, pinned, sizeBytes } sorted by key
+   */
+  async function listCacheEntries(prefix = '') {
+    await flushCache();
+    const cacheData = await store.getAll();
+    const currentTime = now();
+
+    return Array.from(cacheData.keys())
+      .filter(key => key.startsWith(prefix))
+      .sort((a, b) => a.localeCompare(b))
+      .map(key => describeEntry(key, cacheData.get(key), currentTime));
+  }
+
+  /**
+   * Get one entry with its data and policy, even if it has expired
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - { key, timestamp, ageMs, expired, pinned, sizeBytes, policy, data }, or null if not cached
+   */
+  async function inspectCacheEntry(key) {
+    const entry = recallEntry(key) || await store.get(key);
+    if (!entry) {
+      return null;
     }
 
-    return removedCount;
+    return {
+      ...describeEntry(key, entry, now()),
+      policy: getCachePolicy(key),
+      data: readEntry(entry)
+    };
+  }
 
+  /**
+   * Summarize the cache: what is stored and how well it has worked this session
+   *
+   * @returns {Promise<Object>} - { entries, expired, sizeBytes, rawBytes, compression, limits, location,
+   *   hitRatio, oldest, newest, prefixes, ...getCacheStats() } where sizeBytes is the space taken on
+   *   disk and rawBytes the size of the entries before compression, limits is { maxBytes, maxEntries },
+   *   hitRatio is null before the first lookup, oldest/newest are entries as listed by
+   *   listCacheEntries (or null) and prefixes counts entries by key prefix
+   */
+  async function getCacheSummary() {
+    const entries = await listCacheEntries();
 
-  } catch (error) {
-    console.error('Error reading cache file:', error);
-    return 0;
+    const sizeBytes = await store.sizeBytes();
+
+    const byAge = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+    const prefixes = {};
+    for (const { key } of entries) {
+      // Keys are named like 'search_chicken', so the part up to the first '_' says what they hold
+      const prefix = key.includes('_') ? key.slice(0, key.indexOf('_') + 1) : key;
+      prefixes[prefix] = (prefixes[prefix] || 0) + 1;
+    }
+
+    const lookups = stats.hits + stats.misses;
+    return {
+      ...getCacheStats(),
+      entries: entries.length,
+      expired: entries.filter(entry => entry.expired).length,
+      sizeBytes,
+      rawBytes: entries.reduce((total, entry) => total + entry.sizeBytes, 0),
+      compression: store.compression,
+      limits: { maxBytes: config.cache.maxBytes, maxEntries: config.cache.maxEntries },
+      location: store.location,
+      hitRatio: lookups > 0 ? stats.hits / lookups : null,
+      oldest: byAge[0] || null,
+      newest: byAge[byAge.length - 1] || null,
+      prefixes
+    };
   }
-}
 
-/**
- * Get a cached API response or fetch it if not available
- *
- * @param {string} key - Cache key
- * @param {Function} fetchFn - Function to call if cache miss
- * @param {boolean} forceRefresh - Force a fresh fetch even if cached
- * @returns {Promise<Object>} - Data from cache or fresh fetch
- *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
- */
-export async function getCachedOrFetch(key, fetchFn, forceRefresh = false) {
-  // CHALLENGE 11: Implement getCachedOrFetch function
-  // 1. If not forcing a refresh, try to get data from cache using getFromCache
-  // 2. If data was found in cache, return it
-  // 3. If no data in cache or forcing refresh, call the fetchFn() to get fresh data
-  // 4. Save the fresh data to cache using saveToCache
-  // 5. Return the fresh data
-  // 6. Add error handling that tries to use expired cache as fallback if fetch fails
-  //    (you can directly read the cache file again to get even expired data)
-
-  try {
-    // If not forcing a refresh, try to get data from cache
-    if (!forceRefresh) {
-      const cachedData = await getFromCache(key);
-      if (cachedData) {
-        return cachedData;
-      }
+  /**
+   * Find an expired entry that is still recent enough to answer with while it is refreshed
+   *
+   * @param {string} key - Cache key
+   * @param {Object} policy - Cache policy, see getCachePolicy
+   * @returns {Promise<Object|null>} - Cache entry, or null if there is none within policy.maxStale
+   */
+  async function findStaleEntry(key, policy) {
+    if (policy.ttl <= 0) {
+      return null;
     }
-    console.log(`Fetching fresh data for key: ${key}`);
-    const freshData = await fetchFn();
 
-    saveToCache(key, freshData);
+    try {
+      const entry = recallEntry(key) || await store.get(key);
+      return entry && now() - entry.timestamp < entryTtl(entry, policy) + policy.maxStale ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-    console.log('Returning new data for key:', key);
-    return freshData;
+  /**
+   * Fetch a key again without making the caller wait, then save the result and
+   * emit 'revalidated' on cacheEvents
+   *
+   * @param {string} key - Cache key
+   * @param {Function} fetchFn - Function that fetches the data
+   * @param {Object} policy - Cache policy, see getCachePolicy
+   * @param {Object} staleEntry - The entry being replaced, to tell whether the data changed
+   */
+  function revalidateInBackground(key, fetchFn, policy, staleEntry) {
+    if (revalidations.has(key)) {
+      return;
+    }
 
-  } catch (error) {
-    console.error('Error in getCachedOrFetch:', error.message);
-    if (!forceRefresh) {
+    const refresh = (async () => {
       try {
-        const cacheData = JSON.parse(await fs.readFile(CACHE_FILE, 'utf-8'));
+        const data = await fetchFn();
+        if (isErrorResult(data)) {
+          throw data;
+        }
+        await saveToCache(key, data, policy);
+        const changed = JSON.stringify(createEntry(data).data) !== JSON.stringify(staleEntry.data);
+        cacheEvents.emit('revalidated', { key, data, changed });
+      } catch (error) {
+        cacheEvents.emit('revalidate-failed', { key, error });
+      } finally {
+        revalidations.delete(key);
+      }
+    })();
+    revalidations.set(key, refresh);
+  }
+
+  /**
+   * Wait for the background refreshes in progress, e.g. before exiting or in tests
+   *
+   * @returns {Promise<void>}
+   */
+  async function settleRevalidations() {
+    await Promise.all(revalidations.values());
+  }
+
+  /**
+   * Read a key from the cache or fetch and save it, see getCachedOrFetch
+   *
+   * @param {string} key - Cache key
+   * @param {Function} fetchFn - Function to call if cache miss
+   * @param {boolean} forceRefresh - Force a fresh fetch even if cached
+   * @param {Object} policy - Cache policy, see getCachePolicy
+   * @returns {Promise<Object>} - Data from cache or fresh fetch
+   */
+  async function lookupOrFetch(key, fetchFn, forceRefresh, policy) {
+    try {
+      // If not forcing a refresh, try to get data from cache
+      if (!forceRefresh) {
+        const cachedData = await getFromCache(key, policy);
+        if (cachedData) {
+          stats.hits++;
+          return cachedData;
+        }
+
+        const staleEntry = policy.staleWhileRevalidate ? await findStaleEntry(key, policy) : null;
+        if (staleEntry) {
+          stats.hits++;
+          stats.stale++;
+          touchEntry(key);
+          revalidateInBackground(key, fetchFn, policy, staleEntry);
+          return readEntry(staleEntry);
+        }
+      }
+      stats.misses++;
+      console.log(`Fetching fresh data for key: ${key}`);
+      const freshData = await fetchFn();
+
+      await saveToCache(key, freshData, policy);
+
+      console.log('Returning new data for key:', key);
+      return freshData;
+
+    } catch (error) {
+      // A cancelled request was not a failure, so don't substitute stale data for it
+      if (error instanceof CancelledError) {
+        throw error;
+      }
+
+      console.error('Error in getCachedOrFetch:', error.message);
+      if (!forceRefresh) {
+        try {
+          const entry = recallEntry(key) || await store.get(key);
 
-        if (cacheData[key]) {
-          console.log(`Using expired cache as fallback for key: ${key}`);
-          return cacheData[key].data;
+          if (entry) {
+            console.log(`Using expired cache as fallback for key: ${key}`);
+            return readEntry(entry);
+          }
+        }
+        catch (cacheError) {
+          console.error('Error accessing expired cache:', cacheError.message);
         }
       }
-      catch (cacheError) {
-        console.error('Error accessing expired cache:', cacheError.message);
+
+      // No fallback available, let the caller tell the failure apart from "no results"
+      throw error;
+    }
+  }
+
+  /**
+   * Get how getCachedOrFetch calls were answered
+   *
+   * @returns {Object} - { hits, misses, coalesced, stale, evicted, pending, revalidating, memoryEntries, unflushed }
+   */
+  function getCacheStats() {
+    return {
+      ...stats,
+      pending: pendingLookups.size,
+      revalidating: revalidations.size,
+      memoryEntries: memory.size,
+      unflushed: pendingWrites.size
+    };
+  }
+
+  /**
+   * Reset the getCachedOrFetch counters, e.g. before a bulk operation
+   */
+  function resetCacheStats() {
+    stats.hits = 0;
+    stats.misses = 0;
+    stats.coalesced = 0;
+    stats.stale = 0;
+    stats.evicted = 0;
+  }
+
+  /**
+   * Get a cached API response or fetch it if not available
+   * Concurrent calls for the same key share one lookup: only the first one reads
+   * the cache, calls fetchFn and saves the result, the others wait for it
+   *
+   * @param {string} key - Cache key
+   * @param {Function} fetchFn - Function to call if cache miss
+   * @param {Object|boolean} options - Options, or just forceRefresh
+   * @param {boolean} options.forceRefresh - Force a fresh fetch even if cached
+   * @param {number} options.ttl - Accept cached data up to this age, instead of the key's policy
+   * @param {boolean} options.cacheEmpty - Whether to cache an empty result, instead of the key's policy
+   * @param {number} options.maxEntries - Set to 0 to not cache this result at all
+   * @param {boolean} options.staleWhileRevalidate - Answer with an expired entry at once and refresh
+   *   it in the background (see cacheEvents), instead of the key's policy
+   * @param {number} options.maxStale - How long after expiring an entry may be answered that way
+   * @param {boolean} options.pin - Keep the entry for offline use, see CACHE_POLICIES
+   * @returns {Promise<Object>} - Data from cache or fresh fetch
+   * @throws {Error} - The fetch error, if fetching failed and there is no expired entry to fall back on
+   *
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
+   * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
+   */
+  async function getCachedOrFetch(key, fetchFn, options = {}) {
+    const { forceRefresh = false, ...overrides } = typeof options === 'boolean' ? { forceRefresh: options } : options;
+
+    const pending = pendingLookups.get(key);
+    if (pending) {
+      stats.coalesced++;
+      try {
+        return await pending;
+      } catch (error) {
+        // The caller that started the lookup cancelled it, which says nothing about this caller
+        if (error instanceof CancelledError) {
+          if (pendingLookups.get(key) === pending) {
+            pendingLookups.delete(key);
+          }
+          return getCachedOrFetch(key, fetchFn, options);
+        }
+        throw error;
       }
     }
+
+    const lookup = lookupOrFetch(key, fetchFn, forceRefresh, getCachePolicy(key, overrides));
+    pendingLookups.set(key, lookup);
+    try {
+      return await lookup;
+    } finally {
+      pendingLookups.delete(key);
+    }
   }
+
+  return {
+    cacheEvents,
+    getCachePolicy,
+    initializeCache,
+    getFromCache,
+    saveToCache,
+    clearExpiredCache,
+    purgePoisonedEntries,
+    purgeCache,
+    listCacheEntries,
+    inspectCacheEntry,
+    getCacheSummary,
+    getCachedOrFetch,
+    flushCache,
+    resetMemoryCache,
+    settleRevalidations,
+    getCacheStats,
+    resetCacheStats
+  };
 }
 
-export default {
+// The cache the app uses; its functions keep working as plain named exports
+const defaultCache = createCache();
+
+export const {
+  cacheEvents,
+  getCachePolicy,
   initializeCache,
   getFromCache,
   saveToCache,
   clearExpiredCache,
-  getCachedOrFetch
+  purgePoisonedEntries,
+  purgeCache,
+  listCacheEntries,
+  inspectCacheEntry,
+  getCacheSummary,
+  getCachedOrFetch,
+  flushCache,
+  resetMemoryCache,
+  settleRevalidations,
+  getCacheStats,
+  resetCacheStats
+} = defaultCache;
+
+export default {
+  CACHE_POLICIES,
+  DEFAULT_POLICY,
+  recipeSerializer,
+  createCache,
+  ...defaultCache
 };
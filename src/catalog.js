@@ -0,0 +1,194 @@
+// src/catalog.js
+/**
+ * This module keeps a local index of the full TheMealDB catalog so recipes
+ * can be searched, filtered and browsed offline
+ * The catalog is built by crawling search.php?f= for every letter and digit
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as api from './api.js';
+import { runWithConcurrency } from './utils.js';
+import { CancelledError } from './errors.js';
+import { writeJsonFile } from './persistence.js';
+import { normalizeMeal } from './recipe.js';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CATALOG_FILE = path.join(__dirname, '../data/catalog.json');
+const CATALOG_VERSION = 1;
+
+// Every first character a meal name can start with
+export const CATALOG_KEYS = 'abcdefghijklmnopqrstuvwxyz0123456789'.split('');
+
+// In-memory copy of the catalog file, loaded on first use
+let loadedCatalog = null;
+
+/**
+ * Crawl the whole catalog and save it to the local index
+ *
+ * @param {Object} options - Sync options
+ * @param {number} options.concurrency - Maximum number of letters fetched at once
+ * @param {Function} options.onProgress - Called with (done, total, letter) after each letter
+ * @param {AbortSignal} options.signal - Cancels the sync; nothing is saved if it fires
+ * @returns {Promise<Object>} - The saved catalog
+ * @throws {CancelledError} - If the sync was cancelled
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
+ */
+export async function syncCatalog({ concurrency = 3, onProgress, signal } = {}) {
+  const startedAt = Date.now();
+  let done = 0;
+
+  const tasks = CATALOG_KEYS.map(letter => async () => {
+    try {
+      return await api.searchMealsByFirstLetter([letter], { signal });
+    } finally {
+      done++;
+      if (onProgress) {
+        onProgress(done, CATALOG_KEYS.length, letter);
+      }
+    }
+  });
+
+  // runWithConcurrency turns failed tasks into null
+  const results = await runWithConcurrency(tasks, concurrency);
+
+  if (signal?.aborted) {
+    throw new CancelledError('Catalog sync cancelled', { cause: signal.reason });
+  }
+
+  const meals = {};
+  const failedKeys = [];
+  results.forEach((letterMeals, index) => {
+    if (letterMeals === null) {
+      failedKeys.push(CATALOG_KEYS[index]);
+      return;
+    }
+    letterMeals.forEach(meal => {
+      meals[meal.idMeal] = meal;
+    });
+  });
+
+  // Keep what an earlier sync found for letters that failed this time
+  const previous = await loadCatalog();
+  if (previous) {
+    for (const meal of Object.values(previous.meals)) {
+      const key = meal.strMeal.charAt(0).toLowerCase();
+      if (failedKeys.includes(key) && !meals[meal.idMeal]) {
+        meals[meal.idMeal] = meal;
+      }
+    }
+  }
+
+  const catalog = {
+    version: CATALOG_VERSION,
+    syncedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    counts: {
+      meals: Object.keys(meals).length,
+      keys: CATALOG_KEYS.length,
+      failedKeys: failedKeys.length
+    },
+    failedKeys,
+    meals
+  };
+
+  await writeJsonFile(CATALOG_FILE, catalog);
+  loadedCatalog = catalog;
+
+  return catalog;
+}
+
+/**
+ * Load the local catalog
+ *
+ * @returns {Promise<Object|null>} - The catalog, or null if it has never been synced
+ */
+export async function loadCatalog() {
+  if (loadedCatalog) {
+    return loadedCatalog;
+  }
+
+  try {
+    const catalog = JSON.parse(await fs.readFile(CATALOG_FILE, 'utf-8'));
+    if (!catalog || typeof catalog.meals !== 'object') {
+      return null;
+    }
+    loadedCatalog = catalog;
+    return catalog;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading catalog file:', error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Get a full meal record from the local catalog
+ *
+ * @param {string} id - Meal ID
+ * @returns {Promise<Object|null>} - Meal or null if not in the catalog
+ */
+export async function getCatalogMeal(id) {
+  const catalog = await loadCatalog();
+  return (catalog && catalog.meals[id]) || null;
+}
+
+/**
+ * Search a loaded catalog
+ * All criteria are optional and case-insensitive; meals must match every one given
+ *
+ * @param {Object} catalog - Catalog from loadCatalog
+ * @param {Object} criteria - Search criteria
+ * @param {string} criteria.query - Text contained in the meal name
+ * @param {string} criteria.category - Exact category, e.g. 'Seafood'
+ * @param {string} criteria.area - Exact area, e.g. 'British'
+ * @param {string} criteria.ingredient - Text contained in one of the ingredients
+ * @returns {Array<Object>} - Matching meals sorted by name
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter | MDN: Array.filter}
+ */
+export function searchCatalog(catalog, { query, category, area, ingredient } = {}) {
+  if (!catalog) {
+    return [];
+  }
+
+  const lower = value => (value || '').toLowerCase();
+
+  return Object.values(catalog.meals)
+    .filter(meal => !query || lower(meal.strMeal).includes(lower(query)))
+    .filter(meal => !category || lower(meal.strCategory) === lower(category))
+    .filter(meal => !area || lower(meal.strArea) === lower(area))
+    .filter(meal => !ingredient || normalizeMeal(meal).ingredients.some(({ name }) => lower(name).includes(lower(ingredient))))
+    .sort((a, b) => a.strMeal.localeCompare(b.strMeal));
+}
+
+/**
+ * Get the distinct values of a field across the catalog
+ *
+ * @param {Object} catalog - Catalog from loadCatalog
+ * @param {string} field - Meal field, e.g. 'strCategory' or 'strArea'
+ * @returns {Array<string>} - Sorted distinct values
+ */
+export function getCatalogValues(catalog, field) {
+  if (!catalog) {
+    return [];
+  }
+
+  const values = Object.values(catalog.meals).map(meal => meal[field]).filter(Boolean);
+  return Array.from(new Set(values)).sort((a, b) => a.localeCompare(b));
+}
+
+export default {
+  CATALOG_KEYS,
+  syncCatalog,
+  loadCatalog,
+  getCatalogMeal,
+  searchCatalog,
+  getCatalogValues
+};
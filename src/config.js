@@ -0,0 +1,122 @@
+// src/config.js
+/**
+ * This module loads application settings from defaults, an optional JSON
+ * config file and environment variables (later sources win)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_FILE = process.env.RECIPE_EXPLORER_CONFIG || path.join(__dirname, '../data/config.json');
+
+const DEFAULT_CONFIG = {
+  api: {
+    baseUrl: 'https://www.themealdb.com/api/json/v1',
+    apiKey: '1'
+  },
+  rateLimit: {
+    // Sustained rate and how many requests may go out at once after a quiet period
+    requestsPerSecond: 5,
+    burst: 5,
+    // How often a request answered with HTTP 429 is retried after backing off
+    maxRetries: 2
+  },
+  cache: {
+    // Entries kept in memory in front of data/cache.json
+    memoryEntries: 500,
+    // How long saved entries may wait before they are written to disk together
+    flushIntervalMs: 5000,
+    // Answer with expired entries at once and refresh them in the background (see cache.js)
+    staleWhileRevalidate: false,
+    // How long after expiring an entry may still be answered that way, in milliseconds
+    maxStale: 7 * 24 * 60 * 60 * 1000,
+    // Limits for the whole cache; the least recently used entries are evicted beyond them (null = no limit)
+    maxBytes: 5 * 1024 * 1024,
+    maxEntries: 2000,
+    // How the stored cache is compressed: 'none', 'gzip' or 'brotli' (json and sharded backends)
+    compression: 'none'
+  },
+  storage: {
+    // Where the cache and favorites are kept: 'json', 'sharded' or 'sqlite' (see storage.js)
+    backend: 'json',
+    // Data directory; null means data/ next to src/
+    directory: null
+  }
+};
+
+// Environment variables that override a config setting: [variable, section, key, parse]
+const ENV_OVERRIDES = [
+  ['MEALDB_BASE_URL', 'api', 'baseUrl', String],
+  ['MEALDB_API_KEY', 'api', 'apiKey', String],
+  ['MEALDB_RATE_LIMIT_RPS', 'rateLimit', 'requestsPerSecond', Number],
+  ['MEALDB_RATE_LIMIT_BURST', 'rateLimit', 'burst', Number],
+  ['RECIPE_EXPLORER_STORAGE', 'storage', 'backend', String]
+];
+
+/**
+ * Read the optional JSON config file
+ *
+ * @param {string} file - Path to the config file
+ * @returns {Object} - Parsed settings or an empty object if the file is missing
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fsreadfilesyncpath-options | Node.js: fs.readFileSync}
+ */
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Ignoring invalid config file ${file}:`, error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Build the application config
+ *
+ * @param {Object} env - Environment variables to read overrides from
+ * @param {string} file - Path to the JSON config file
+ * @returns {Object} - Resolved configuration
+ */
+export function loadConfig(env = process.env, file = CONFIG_FILE) {
+  const fileConfig = readConfigFile(file);
+  const config = { ...fileConfig };
+
+  for (const section of Object.keys(DEFAULT_CONFIG)) {
+    config[section] = { ...DEFAULT_CONFIG[section], ...fileConfig[section] };
+  }
+
+  for (const [variable, section, key, parse] of ENV_OVERRIDES) {
+    const value = env[variable] ? parse(env[variable]) : undefined;
+    if (value !== undefined && !Number.isNaN(value)) {
+      config[section][key] = value;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Get the API root URL, including the API key segment
+ *
+ * @param {Object} apiConfig - The `api` section of the config
+ * @returns {string} - e.g. https://www.themealdb.com/api/json/v1/1
+ */
+export function getApiUrl(apiConfig = config.api) {
+  const baseUrl = apiConfig.baseUrl.replace(/\/+$/, '');
+  return apiConfig.apiKey ? `${baseUrl}/${apiConfig.apiKey}` : baseUrl;
+}
+
+export const config = loadConfig();
+
+export default {
+  config,
+  loadConfig,
+  getApiUrl
+};
@@ -0,0 +1,97 @@
+// src/errors.js
+/**
+ * Typed errors raised by the API layer, so callers can tell
+ * "no results" (an empty array) from "the API is down" (a thrown ApiError)
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types | MDN: Custom error types}
+ */
+
+/**
+ * Base class for every error raised while talking to TheMealDB
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} options - Extra details
+   * @param {string} options.url - Request URL
+   * @param {Error} options.cause - Underlying error, if any
+   */
+  constructor(message, { url, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.url = url;
+  }
+
+  /**
+   * Whether repeating the same request might succeed
+   *
+   * @returns {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The request never got a response (DNS failure, connection refused, offline...)
+ */
+export class NetworkError extends ApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request took longer than the allowed time
+ */
+export class TimeoutError extends ApiError {
+  constructor(message, { timeoutMs, ...options } = {}) {
+    super(message, options);
+    this.timeoutMs = timeoutMs;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request was cancelled through its AbortSignal, e.g. by the user pressing Ctrl+C
+ */
+export class CancelledError extends ApiError {}
+
+/**
+ * The API answered with a non-2xx status code
+ */
+export class HttpError extends ApiError {
+  constructor(message, { status, retryAfterMs, ...options } = {}) {
+    super(message, options);
+    this.status = status;
+    // From the Retry-After header, if the API sent one
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return this.status >= 500 || this.status === 429;
+  }
+}
+
+/**
+ * The API answered with a body that is not valid JSON
+ */
+export class ParseError extends ApiError {}
+
+/**
+ * A lookup for a single item (by ID, or a random meal) came back empty
+ */
+export class NotFoundError extends ApiError {}
+
+export default {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  CancelledError,
+  HttpError,
+  ParseError,
+  NotFoundError
+};
@@ -0,0 +1,431 @@
+// src/exchange.js
+/**
+ * File formats for moving favorites between machines, see
+ * favorites.exportFavorites and favorites.importFavorites
+ * - json: everything, including collections, in a versioned envelope
+ *   { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt, favorites, collections }
+ * - csv: one row per recipe (CSV_COLUMNS), for spreadsheets; ingredients and
+ *   tweaks are one per line within their cell, tags and cook dates are
+ *   separated by '; ' (a ';' or '\' inside a tag is escaped with '\')
+ * - markdown: a digest to read or print; it can't be imported
+ *
+ * This module only turns favorites into text and back; favorites.js decides
+ * what is a valid favorite
+ */
+
+import { normalizeMeal, MAX_INGREDIENTS, MAX_RATING } from './recipe.js';
+
+export const EXPORT_FORMAT = 'recipe-explorer-favorites';
+export const EXPORT_VERSION = 1;
+export const FORMATS = ['json', 'csv', 'markdown'];
+
+// File extensions for each format, the first one being used for new files
+export const FORMAT_EXTENSIONS = {
+  json: ['.json'],
+  csv: ['.csv'],
+  markdown: ['.md', '.markdown']
+};
+
+export const CSV_COLUMNS = [
+  'idMeal',
+  'strMeal',
+  'strCategory',
+  'strArea',
+  'strTags',
+  'ingredients',
+  'strInstructions',
+  'strMealThumb',
+  'strYoutube',
+  'strSource',
+  'rating',
+  'tags',
+  'cookedOn',
+  'notes',
+  'tweaks'
+];
+
+// Separators inside a CSV cell
+const LIST_SEPARATOR = '; ';
+const LINE_SEPARATOR = '\n';
+// One item of a list cell: anything up to a ';' that isn't escaped
+const LIST_ITEM = /(?:\\[\s\S]?|[^\\;])+/g;
+
+/**
+ * A file can't be imported at all, e.g. it is not JSON or comes from a newer version
+ * Problems with single rows are reported by importFavorites instead
+ */
+export class ImportError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Pick a format from a file name
+ *
+ * @param {string} file - File name, e.g. favorites.csv
+ * @returns {string|null} - One of FORMATS, or null if the extension is not known
+ */
+export function formatForFile(file) {
+  const lower = file.toLowerCase();
+  return FORMATS.find(format => FORMAT_EXTENSIONS[format].some(extension => lower.endsWith(extension))) || null;
+}
+
+/**
+ * Quote a CSV cell if it needs it
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - CSV text for the cell
+ *
+ * @see {@link https://www.rfc-editor.org/rfc/rfc4180 | RFC 4180: CSV}
+ */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of cells, allowing quoted cells with commas,
+ * quotes ("") and line breaks
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - { line, cells } where line is the line the row starts on
+ * @throws {ImportError} - If a quoted cell is never closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    // Skip blank lines, e.g. the one after the last line break
+    if (cells.length > 1 || cells[0] !== '') {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n') {
+      line++;
+    }
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportError(`Unclosed quote in the row starting on line ${rowLine}`);
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Join a list into a cell; in LIST_SEPARATOR lists, ';' and '\' inside an
+ * item are escaped with '\', since tags may contain them
+ *
+ * @param {Array<string>} items - Items
+ * @param {string} separator - LIST_SEPARATOR or LINE_SEPARATOR
+ * @returns {string} - Cell text
+ */
+function joinCell(items, separator) {
+  return (separator === LIST_SEPARATOR ? items.map(item => String(item).replace(/[\\;]/g, '\\$&')) : items).join(separator);
+}
+
+/**
+ * Split a list cell, dropping blanks
+ *
+ * @param {string} text - Cell text
+ * @param {string} separator - LIST_SEPARATOR or LINE_SEPARATOR
+ * @returns {Array<string>}
+ */
+function splitCell(text, separator) {
+  const items = separator === LIST_SEPARATOR
+    ? (text.match(LIST_ITEM) || []).map(item => item.replace(/\\([\s\S])/g, '$1'))
+    : text.split(/\r?\n/);
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Turn a favorite into a CSV row
+ *
+ * @param {Object} favorite - Favorite record
+ * @returns {string} - CSV line
+ */
+function toCsvRow(favorite) {
+  const { ingredients } = normalizeMeal(favorite);
+  const values = {
+    ...favorite,
+    // 'soy sauce: 3/4 cup', one per line
+    ingredients: ingredients
+      .map(ingredient => (ingredient.measure ? `${ingredient.name}: ${ingredient.measure}` : ingredient.name))
+      .join(LINE_SEPARATOR),
+    tags: joinCell(favorite.tags || [], LIST_SEPARATOR),
+    cookedOn: joinCell(favorite.cookedOn || [], LIST_SEPARATOR),
+    tweaks: joinCell(favorite.tweaks || [], LINE_SEPARATOR)
+  };
+  return CSV_COLUMNS.map(column => toCsvCell(values[column])).join(',');
+}
+
+/**
+ * Turn a CSV row back into a favorite record
+ * Values are left as text (except lists), for favorites.js to check
+ *
+ * @param {Object} row - Cells by column name
+ * @returns {Object} - Favorite record
+ */
+function fromCsvRow(row) {
+  const favorite = {};
+  for (const column of CSV_COLUMNS) {
+    if (row[column] !== undefined && !['ingredients', 'tags', 'cookedOn', 'tweaks'].includes(column)) {
+      favorite[column] = row[column] === '' ? null : row[column];
+    }
+  }
+
+  // Ingredients go back into the numbered MealDB fields
+  const ingredients = splitCell(row.ingredients || '', LINE_SEPARATOR);
+  for (let i = 1; i <= MAX_INGREDIENTS; i++) {
+    const [name, ...measure] = (ingredients[i - 1] || '').split(':');
+    favorite[`strIngredient${i}`] = name.trim();
+    favorite[`strMeasure${i}`] = measure.join(':').trim();
+  }
+
+  // Anything but a whole number is passed on as text, for favorites.js to report
+  favorite.rating = /^\s*\d+\s*$/.test(row.rating || '') ? Number(row.rating) : row.rating || null;
+  favorite.tags = splitCell(row.tags || '', LIST_SEPARATOR);
+  favorite.cookedOn = splitCell(row.cookedOn || '', LIST_SEPARATOR);
+  favorite.tweaks = splitCell(row.tweaks || '', LINE_SEPARATOR);
+  return favorite;
+}
+
+/**
+ * Format favorites as a Markdown digest
+ *
+ * @param {Array<Object>} favorites - Favorite records
+ * @param {string} exportedAt - ISO date of the export
+ * @returns {string} - Markdown
+ */
+function toMarkdown(favorites, exportedAt) {
+  let result = '# Favorite Recipes\n\n';
+  result += `Exported ${exportedAt.slice(0, 10)}, ${favorites.length} ${favorites.length === 1 ? 'recipe' : 'recipes'}\n`;
+
+  for (const favorite of favorites) {
+    const { name, category, area, ingredients, steps, media } = normalizeMeal(favorite);
+    const cookedOn = favorite.cookedOn || [];
+
+    const details = [
+      favorite.rating ? `Rating: ${favorite.rating}/${MAX_RATING}` : null,
+      (favorite.tags || []).length > 0 ? `Tags: ${favorite.tags.join(', ')}` : null,
+      cookedOn.length > 0
+        ? `Cooked ${cookedOn.length} ${cookedOn.length === 1 ? 'time' : 'times'}, last on ${cookedOn[cookedOn.length - 1]}`
+        : null
+    ].filter(Boolean);
+
+    result += `\n## ${name}\n\n`;
+    result += `${[category, area].filter(Boolean).join(', ') || 'Uncategorized'} (ID: ${favorite.idMeal})\n`;
+    if (details.length > 0) {
+      result += `\n${details.map(detail => `- ${detail}`).join('\n')}\n`;
+    }
+
+    result += '\n### Ingredients\n\n';
+    for (const ingredient of ingredients) {
+      result += `- ${[ingredient.measure, ingredient.name].filter(Boolean).join(' ')}\n`;
+    }
+
+    result += '\n### Instructions\n\n';
+    steps.forEach((step, index) => {
+      result += `${index + 1}. ${step}\n`;
+    });
+
+    if (favorite.notes) {
+      result += `\n### Notes\n\n${favorite.notes}\n`;
+    }
+    if ((favorite.tweaks || []).length > 0) {
+      result += `\n### Tweaks\n\n${favorite.tweaks.map(tweak => `- ${tweak}`).join('\n')}\n`;
+    }
+    if (media.youtube) {
+      result += `\nVideo: ${media.youtube}\n`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Write favorites in one of FORMATS
+ *
+ * @param {Array<Object>} favorites - Favorite records
+ * @param {string} format - One of FORMATS
+ * @param {Object} options - Export options
+ * @param {Array<Object>} options.collections - Collections to include (JSON only)
+ * @param {Date} options.exportedAt - Time of the export (default: now)
+ * @returns {string} - File contents
+ * @throws {ImportError} - If the format is unknown
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify | MDN: JSON.stringify}
+ */
+export function serializeFavorites(favorites, format, { collections = [], exportedAt = new Date() } = {}) {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        favorites,
+        collections
+      }, null, 2)}\n`;
+    case 'csv':
+      // CRLF line ends, as RFC 4180 asks and spreadsheets expect
+      return [CSV_COLUMNS.join(','), ...favorites.map(toCsvRow)].join('\r\n') + '\r\n';
+    case 'markdown':
+      return toMarkdown(favorites, exportedAt.toISOString());
+    default:
+      throw new ImportError(`Unknown format "${format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Read favorites written by serializeFavorites, or a favorites file like data/favorites.json
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @param {Object} options - Options
+ * @param {Function} options.upgrade - Called with a parsed favorites file (a bare array, or a
+ *   { schemaVersion, favorites } document) and returns its list of favorites; favorites.js
+ *   passes its migration chain so files of every schema version can be read
+ * @returns {Object} - { records, collections, errors } where records are { row, favorite } for
+ *   favorites.js to check, row being the position in the JSON list or the CSV line (both from 1),
+ *   and errors lists { row, message } for rows that could not be read at all
+ * @throws {ImportError} - If the file can't be read as that format, or is a Markdown digest
+ */
+export function parseFavorites(text, format, { upgrade = data => (Array.isArray(data) ? data : data.favorites) } = {}) {
+  // A byte order mark, as some spreadsheets write
+  text = text.replace(/^\uFEFF/, '');
+
+  switch (format) {
+    case 'json':
+      return parseJsonExport(text, upgrade);
+    case 'csv':
+      return parseCsvExport(text);
+    case 'markdown':
+      throw new ImportError('Markdown digests are for reading and can\'t be imported; export as JSON or CSV instead');
+    default:
+      throw new ImportError(`Unknown format "${format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Read a JSON export, or a favorites file of any schema version
+ *
+ * @param {string} text - File contents
+ * @param {Function} upgrade - Turns a favorites file into its list of favorites, see parseFavorites
+ * @returns {Object} - See parseFavorites
+ */
+function parseJsonExport(text, upgrade) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ImportError(`Not valid JSON: ${error.message}`, { cause: error });
+  }
+
+  let favorites;
+  if (data?.format === EXPORT_FORMAT && Array.isArray(data.favorites)) {
+    if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+      throw new ImportError(`Export version ${data.version} is not supported; this version reads up to ${EXPORT_VERSION}`);
+    }
+    favorites = data.favorites;
+  } else if (Array.isArray(data) || Number.isInteger(data?.schemaVersion)) {
+    try {
+      favorites = upgrade(data);
+    } catch (error) {
+      throw new ImportError(`Not a favorites file this version of the app can read: ${error.message}`, { cause: error });
+    }
+  } else {
+    throw new ImportError('Not a favorites export: expected an object with "format": "recipe-explorer-favorites", or a copy of data/favorites.json');
+  }
+  if (!Array.isArray(favorites)) {
+    throw new ImportError('Not a favorites file: expected a list of favorites');
+  }
+  const records = [];
+  const errors = [];
+  favorites.forEach((favorite, index) => {
+    if (favorite && typeof favorite === 'object' && !Array.isArray(favorite)) {
+      records.push({ row: index + 1, favorite });
+    } else {
+      errors.push({ row: index + 1, message: 'not an object' });
+    }
+  });
+
+  const collections = Array.isArray(data.collections) ? data.collections : [];
+  return { records, collections, errors };
+}
+
+/**
+ * Read a CSV export
+ *
+ * @param {string} text - File contents
+ * @returns {Object} - See parseFavorites
+ */
+function parseCsvExport(text) {
+  const [header, ...rows] = parseCsv(text);
+  const columns = header ? header.cells.map(cell => cell.trim()) : [];
+  if (!columns.includes('idMeal') || !columns.includes('strMeal')) {
+    throw new ImportError('Not a favorites CSV: the first line must name the columns, including idMeal and strMeal');
+  }
+
+  const records = [];
+  const errors = [];
+  for (const { line, cells } of rows) {
+    if (cells.length !== columns.length) {
+      errors.push({ row: line, message: `expected ${columns.length} cells, found ${cells.length}` });
+      continue;
+    }
+    const row = Object.fromEntries(columns.map((column, index) => [column, cells[index]]));
+    records.push({ row: line, favorite: fromCsvRow(row) });
+  }
+
+  return { records, collections: [], errors };
+}
+
+export default {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  FORMATS,
+  FORMAT_EXTENSIONS,
+  CSV_COLUMNS,
+  ImportError,
+  formatForFile,
+  serializeFavorites,
+  parseFavorites
+};
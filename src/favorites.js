@@ -1,67 +1,149 @@
 // src/favorites.js
 /**
  * This module provides functionality to manage favorite recipes
+ * Favorites live in the 'favorites' store (data/favorites.json unless
+ * config.storage picks another backend, see storage.js), keyed by idMeal.
+ * Changes go through store.update, which locks the store for the whole
+ * read-change-write so concurrent changes are not lost
+ *
+ * Favorites can be organized two ways:
+ * - collections, e.g. "Weeknight" or "Holiday": named lists of favorite
+ *   recipe IDs in the 'collections' store, { name, recipeIds, createdAt }
+ * - tags: free-form labels saved on each favorite (its tags array),
+ *   lowercased so "Spicy" and "spicy" are the same tag
+ *
+ * Each favorite also carries the user's own details next to the MealDB fields:
+ * rating (1 to MAX_RATING, or null), notes, cookedOn (dates cooked, as
+ * YYYY-MM-DD, oldest first) and tweaks (changes made to the recipe)
+ *
+ * exportFavorites and importFavorites move favorites between machines in
+ * the formats of exchange.js; readAllFavorites and replaceFavorites let
+ * sync.js merge them with another favorites file
+ *
+ * data/favorites.json is versioned (see storage.NAMESPACES):
+ * - version 1: a bare array of { recipe } wrappers around each meal
+ * - version 2: a bare array of meals
+ * - version 3: { schemaVersion, meta, favorites: [meal, ...] }
+ * initializeFavorites upgrades older files with favoritesMigrations, backing
+ * the file up before each step. To change the shape again, bump the
+ * schemaVersion in storage.NAMESPACES and register the migration below
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { normalizeMeal, toMeal, MAX_RATING } from './recipe.js';
+import { NAMESPACES, openStore } from './storage.js';
+import { ImportError, parseFavorites, serializeFavorites } from './exchange.js';
+import { createMigrationChain } from './migrations.js';
+
+const store = openStore('favorites');
+const collectionStore = openStore('collections');
 
-// Get the directory path using ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Re-exported for callers that already have favorites.js, see recipe.MAX_RATING
+export { MAX_RATING };
 
-const FAVORITES_FILE = path.join(__dirname, '../data/favorites.json');
+// What importFavorites can do with a recipe that is already a favorite
+export const DUPLICATE_ACTIONS = ['skip', 'overwrite', 'merge'];
 
 /**
- * Initialize favorites file if it doesn't exist
- *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
- * @see {@link https://nodejs.org/api/fs.html#fs_promises_api | Node.js: fs/promises}
+ * Orders getFavorites can list favorites in
+ * - added: the order they were added in
+ * - rating: highest rated first, unrated last
+ * - lastCooked: most recently cooked first, never cooked last
  */
-export async function initializeFavorites() {
-  // CHALLENGE 12: Implement initializeFavorites function
-  // 1. Try to access the FAVORITES_FILE using fs.access
-  // 2. If the file doesn't exist (access throws an error), create it:
-  //    - Make sure the directory exists (get the directory using path.dirname)
-  //    - Create the directory if needed using fs.mkdir with { recursive: true }
-  //    - Write an empty array as JSON to the file using fs.writeFile
-  // 3. Handle any errors appropriately
+export const FAVORITE_SORTS = {
+  added: () => 0,
+  rating: (a, b) => (b.rating ?? 0) - (a.rating ?? 0),
+  lastCooked: (a, b) => (lastCooked(b) ?? '').localeCompare(lastCooked(a) ?? '')
+};
 
-  try {
-    await fs.access(FAVORITES_FILE);
+/**
+ * Work out the schema version of a favorites file
+ * Versions 1 and 2 had no header, so they are told apart by their entries
+ *
+ * @param {*} document - Parsed favorites file
+ * @returns {number|null} - Schema version, or null if it isn't a favorites file
+ */
+function detectSchemaVersion(document) {
+  if (Array.isArray(document)) {
+    return document.some(entry => entry?.recipe && entry.idMeal === undefined) ? 1 : 2;
   }
-  catch (error) {
+  return Number.isInteger(document?.schemaVersion) ? document.schemaVersion : null;
+}
 
-    console.error('File does not exist: ' + error);
-    const dirPath = path.dirname(FAVORITES_FILE);
+// Upgrades for favorites files written by older versions, see the top of this file
+export const favoritesMigrations = createMigrationChain({ detectVersion: detectSchemaVersion });
 
-    try {
-      await fs.access(dirPath);
-    } catch (error2) {
-      console.error('Directory does not exist: ' + error2);
-      console.log('Creating directory');
-      fs.mkdir(dirPath, { recursive: true });
+favoritesMigrations.register(1, 'store meals directly instead of wrapped in { recipe }', entries =>
+  entries.map(entry => {
+    if (!entry?.recipe || entry.idMeal !== undefined) {
+      return entry;
     }
+    const { recipe, ...details } = entry;
+    return { ...recipe, ...details };
+  }));
+
+favoritesMigrations.register(2, 'add the schema version and metadata header', (entries, schemaVersion) => {
+  const now = new Date().toISOString();
+  return { schemaVersion, meta: { createdAt: now, updatedAt: now }, favorites: entries };
+});
+
+// Settles once this process has checked data/favorites.json, see upgradeFavorites
+let upgraded = null;
+
+/**
+ * Upgrade a favorites file written by an older version, once per process
+ *
+ * @returns {Promise<void>}
+ * @throws {MigrationError} - If the file can't be upgraded; the next call tries again
+ */
+function upgradeFavorites() {
+  if (!upgraded) {
+    upgraded = store.migrate(favoritesMigrations, {
+      onMigrate: ({ from, to, description, backup }) =>
+        console.log(`Upgraded favorites from schema version ${from} to ${to} (${description}), backup in ${backup}`)
+    }).catch(error => {
+      upgraded = null;
+      throw error;
+    });
+  }
+  return upgraded;
+}
+
+/**
+ * Initialize the favorites store if it doesn't exist, e.g. create data/favorites.json,
+ * and upgrade it if an older version of the app wrote it
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
+ */
+export async function initializeFavorites() {
+  try {
+    await Promise.all([store.initialize(), collectionStore.initialize()]);
+  } catch (error) {
+    console.error(`Error creating favorites in ${store.location}:`, error.message);
+  }
 
+  if (store.migrate) {
     try {
-      fs.writeFile(FAVORITES_FILE, "[]");
-    }
-    catch (e) {
-      console.error('Error creating file.');
+      await upgradeFavorites();
+    } catch (error) {
+      console.error(`Error upgrading favorites in ${store.location}:`, error.message);
     }
   }
 }
 
 /**
- * Get all favorite recipes
+ * Get all favorite recipes, or the ones in a collection and/or with a tag
  *
+ * @param {Object} filters - Optional filters; favorites must match all given filters
+ * @param {string} filters.collection - Only favorites in this collection, in the collection's order
+ * @param {string} filters.tag - Only favorites with this tag
+ * @param {string} filters.sortBy - One of FAVORITE_SORTS (default: 'added', or the collection's order)
  * @returns {Promise<Array>} - Array of favorite recipes
  *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/sort | MDN: Array.sort}
+ *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
  */
-export async function getFavorites() {
+export async function getFavorites({ collection, tag, sortBy = 'added' } = {}) {
   // CHALLENGE 13: Implement getFavorites function
   // 1. Make sure favorites file exists by calling initializeFavorites
   // 2. Read the favorites file using fs.readFile
@@ -70,15 +152,21 @@ export async function getFavorites() {
 
   try {
 
-    initializeFavorites();
+    await initializeFavorites();
 
-    const content = await fs.readFile(FAVORITES_FILE);
-    if (content.length === 0) {
-      return [];
-    }
+    const favorites = await store.getAll();
+    let recipes = Array.from(favorites.values());
 
-    const favoritesData = await JSON.parse(content);
-    return favoritesData;
+    if (collection !== undefined) {
+      const found = findCollection(await collectionStore.getAll(), collection);
+      recipes = found ? found.recipeIds.map(id => favorites.get(id)).filter(Boolean) : [];
+    }
+    if (tag !== undefined) {
+      const [wanted] = normalizeTags([tag]);
+      recipes = recipes.filter(recipe => (recipe.tags || []).includes(wanted));
+    }
+    // Array.sort is stable, so ties keep the order above
+    return recipes.sort(FAVORITE_SORTS[sortBy] || FAVORITE_SORTS.added);
 
   } catch (error) {
     console.error('Error reading favorites file:', error);
@@ -87,10 +175,21 @@ export async function getFavorites() {
 
 }
 
+/**
+ * Get all favorite recipes as structured recipes (see recipe.js)
+ *
+ * @returns {Promise<Array<Object>>} - Array of structured recipes
+ */
+export async function getFavoriteRecipes() {
+  const favoriteMeals = await getFavorites();
+  return favoriteMeals.map(normalizeMeal);
+}
+
 /**
  * Add a recipe to favorites
+ * Favorites are stored as raw meals, so structured recipes are converted back first
  *
- * @param {Object} recipe - Recipe to add
+ * @param {Object} recipe - Raw meal or structured recipe to add
  * @returns {Promise<boolean>} - True if added successfully
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/some | MDN: Array.some}
@@ -111,18 +210,23 @@ export async function addFavorite(recipe) {
 
     await initializeFavorites();
 
-    const favorites = await getFavorites();
+    recipe = toMeal(recipe);
+    let exists = false;
+
+    await store.update(favorites => {
+      exists = favorites.has(recipe.idMeal);
+      if (exists) {
+        return undefined;
+      }
+      favorites.set(recipe.idMeal, recipe);
+      return favorites;
+    });
 
-    const exists = favorites.some((fav) => { return fav.idMeal === recipe.idMeal });
     if (exists) {
       console.log(`Recipe ${recipe.strMeal} is already in favorites.`);
       return false;
     }
 
-    favorites.push(recipe);
-
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify(favorites, null, 2));
-
     console.log(`Added ${recipe.strMeal} to favorites`);
 
     return true;
@@ -157,20 +261,19 @@ export async function removeFavorite(recipeId) {
 
     await initializeFavorites();
 
-    const favorites = await getFavorites();
-    let initialLength = favorites.length;
-    // Filter out the recipe with the matching ID
-    const filteredFavorites = favorites.filter(favorite => favorite.idMeal !== recipeId);
-    // If the array length didn't change, return false (recipe wasn't found)
-    if (filteredFavorites.length === initialLength) {
-      // Recipe wasn't found in favorites
-      return false;
-    }
+    let found = false;
 
+    await store.update(favorites => {
+      // If the recipe wasn't found there is nothing to write
+      found = favorites.delete(recipeId);
+      return found ? favorites : undefined;
+    });
 
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify(filteredFavorites, null, 2));
+    if (found) {
+      await pruneCollections(id => id !== recipeId);
+    }
 
-    return true;
+    return found;
 
   } catch (error) {
     console.error('Error adding favorite:', error);
@@ -197,14 +300,6 @@ export async function isInFavorites(recipeId) {
 
     return favorites.some(recipe => recipe.idMeal === recipeId);
 
-    /* const exists = favorites.some(favorite => favorite.recipe.idMeal === recipeId);
-    if (exists) {
-      return true;
-    }
-
-     return false;
-*/
-
   } catch (error) {
     console.error("Error in isInFavorites: " + error);
     return false;
@@ -232,24 +327,683 @@ export async function getFavoriteById(recipeId) {
 
     return favorites.find(recipe => recipe.idMeal === recipeId) || null;
 
-    /* const recipe = favorites.find(favorite => favorite.recipe.idMeal === recipeId);
-    if (recipe) {
-      return recipe;
-    } else {
-      return null;
-    }
-*/
   } catch (error) {
     console.error("Error in getFavoriteById: ", error.message);
     return null;
   }
 }
 
+/**
+ * Clean up tags as entered: trimmed, lowercased, without blanks or duplicates
+ *
+ * @param {Array<string>} tags - Tags
+ * @returns {Array<string>} - Normalized tags
+ */
+function normalizeTags(tags) {
+  return Array.from(new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+/**
+ * Find a collection by name, ignoring case
+ *
+ * @param {Map} collections - Collections by name
+ * @param {string} name - Collection name
+ * @returns {Object|undefined} - Collection
+ */
+function findCollection(collections, name) {
+  const wanted = name.trim().toLowerCase();
+  return Array.from(collections.values()).find(collection => collection.name.toLowerCase() === wanted);
+}
+
+/**
+ * Change one favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Function} change - Called with the favorite, returns the fields to change
+ * @returns {Promise<Object|null>} - The updated favorite, or null if it is not a favorite
+ */
+async function updateFavorite(recipeId, change) {
+  try {
+    let updated = null;
+    await store.update(favorites => {
+      const favorite = favorites.get(recipeId);
+      if (!favorite) {
+        return undefined;
+      }
+      updated = { ...favorite, ...change(favorite) };
+      return favorites.set(recipeId, updated);
+    });
+    return updated;
+  } catch (error) {
+    console.error('Error updating favorite:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Change the tags of a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Function} change - Called with the current tags, returns the new ones
+ * @returns {Promise<Array<string>|null>} - The favorite's tags, or null if it is not a favorite
+ */
+async function updateTags(recipeId, change) {
+  const favorite = await updateFavorite(recipeId, current => ({ tags: normalizeTags(change(current.tags || [])) }));
+  return favorite ? favorite.tags : null;
+}
+
+/**
+ * Replace the tags of a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Array<string>} tags - New tags, e.g. ['spicy', 'freezer friendly']
+ * @returns {Promise<Array<string>|null>} - The favorite's tags, or null if it is not a favorite
+ */
+export async function setFavoriteTags(recipeId, tags) {
+  return updateTags(recipeId, () => tags);
+}
+
+/**
+ * Add tags to a favorite, keeping the ones it has
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Array<string>} tags - Tags to add
+ * @returns {Promise<Array<string>|null>} - The favorite's tags, or null if it is not a favorite
+ */
+export async function addFavoriteTags(recipeId, tags) {
+  return updateTags(recipeId, current => [...current, ...tags]);
+}
+
+/**
+ * Remove tags from a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Array<string>} tags - Tags to remove
+ * @returns {Promise<Array<string>|null>} - The favorite's tags, or null if it is not a favorite
+ */
+export async function removeFavoriteTags(recipeId, tags) {
+  const removed = normalizeTags(tags);
+  return updateTags(recipeId, current => current.filter(tag => !removed.includes(tag)));
+}
+
+/**
+ * The date a favorite was last cooked
+ *
+ * @param {Object} favorite - Favorite recipe
+ * @returns {string|null} - Date as YYYY-MM-DD, or null if it was never cooked
+ */
+export function lastCooked(favorite) {
+  const cookedOn = favorite.cookedOn || [];
+  return cookedOn.length > 0 ? cookedOn[cookedOn.length - 1] : null;
+}
+
+/**
+ * Turn a date into YYYY-MM-DD in local time
+ *
+ * @param {Date|string} date - Date, or a YYYY-MM-DD string
+ * @returns {string|null} - Date string, or null if the date is not valid
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart | MDN: String.padStart}
+ */
+function toDateString(date) {
+  if (typeof date === 'string') {
+    // Without a time, Date would read the string as UTC midnight
+    const parsed = /^\d{4}-\d{2}-\d{2}$/.test(date.trim()) ? new Date(`${date.trim()}T00:00`) : null;
+    return parsed ? toDateString(parsed) : null;
+  }
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return null;
+  }
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Rate a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {number|null} rating - Whole number from 1 to MAX_RATING, or null to clear the rating
+ * @returns {Promise<Object|null>} - The updated favorite, or null if it is not a favorite or the rating is not valid
+ */
+export async function rateFavorite(recipeId, rating) {
+  if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= MAX_RATING)) {
+    console.log(`Ratings go from 1 to ${MAX_RATING}.`);
+    return null;
+  }
+  return updateFavorite(recipeId, () => ({ rating }));
+}
+
+/**
+ * Replace the notes on a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} notes - Free text; blank clears the notes
+ * @returns {Promise<Object|null>} - The updated favorite, or null if it is not a favorite
+ */
+export async function setFavoriteNotes(recipeId, notes) {
+  return updateFavorite(recipeId, () => ({ notes: notes.trim() || null }));
+}
+
+/**
+ * Record that a favorite was cooked; each date is kept once
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {Date|string} date - When it was cooked, a Date or YYYY-MM-DD (default: today)
+ * @returns {Promise<Object|null>} - The updated favorite, or null if it is not a favorite or the date is not valid
+ */
+export async function logCooked(recipeId, date = new Date()) {
+  const day = toDateString(date);
+  if (!day) {
+    console.log('Dates are written like 2024-05-31.');
+    return null;
+  }
+  return updateFavorite(recipeId, favorite => ({
+    cookedOn: Array.from(new Set([...(favorite.cookedOn || []), day])).sort()
+  }));
+}
+
+/**
+ * Remove a date from a favorite's cook log, e.g. one logged by mistake
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object|null>} - The updated favorite, or null if it is not a favorite
+ */
+export async function removeCookedDate(recipeId, date) {
+  return updateFavorite(recipeId, favorite => ({
+    cookedOn: (favorite.cookedOn || []).filter(day => day !== date)
+  }));
+}
+
+/**
+ * Add a tweak to a favorite, e.g. "Half the chili, add lime"
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} tweak - Change made to the recipe
+ * @returns {Promise<Object|null>} - The updated favorite, or null if it is not a favorite or the tweak is blank
+ */
+export async function addFavoriteTweak(recipeId, tweak) {
+  if (!tweak.trim()) {
+    return null;
+  }
+  return updateFavorite(recipeId, favorite => ({ tweaks: [...(favorite.tweaks || []), tweak.trim()] }));
+}
+
+/**
+ * Remove a tweak from a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {number} index - Position of the tweak, from 0
+ * @returns {Promise<Object|null>} - The updated favorite, or null if it is not a favorite
+ */
+export async function removeFavoriteTweak(recipeId, index) {
+  return updateFavorite(recipeId, favorite => ({
+    tweaks: (favorite.tweaks || []).filter((tweak, position) => position !== index)
+  }));
+}
+
+/**
+ * Get every tag used on favorites, with how many favorites have it
+ *
+ * @returns {Promise<Array<Object>>} - { tag, count } sorted by tag
+ */
+export async function getTags() {
+  const counts = new Map();
+  for (const favorite of await getFavorites()) {
+    for (const tag of favorite.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Take recipes out of every collection, since a collection only holds favorites
+ *
+ * @param {Function} keep - Called with each recipe ID, returns false to take it out
+ * @returns {Promise<void>}
+ */
+async function pruneCollections(keep) {
+  await collectionStore.update(collections => {
+    let changed = false;
+    for (const [name, collection] of collections) {
+      if (!collection.recipeIds.every(keep)) {
+        collections.set(name, { ...collection, recipeIds: collection.recipeIds.filter(keep) });
+        changed = true;
+      }
+    }
+    return changed ? collections : undefined;
+  });
+}
+
+/**
+ * Get the collections in the order they were created
+ *
+ * @returns {Promise<Array<Object>>} - { name, recipeIds, createdAt }
+ */
+export async function getCollections() {
+  try {
+    await initializeFavorites();
+    return Array.from((await collectionStore.getAll()).values());
+  } catch (error) {
+    console.error('Error reading collections:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Create an empty collection
+ *
+ * @param {string} name - Collection name, e.g. 'Weeknight'
+ * @returns {Promise<boolean>} - True if created, false if the name is blank or taken (ignoring case)
+ */
+export async function createCollection(name) {
+  name = name.trim();
+  if (!name) {
+    return false;
+  }
+
+  try {
+    let created = false;
+    await collectionStore.update(collections => {
+      if (findCollection(collections, name)) {
+        return undefined;
+      }
+      created = true;
+      return collections.set(name, { name, recipeIds: [], createdAt: Date.now() });
+    });
+
+    if (!created) {
+      console.log(`There is already a collection called ${name}.`);
+    }
+    return created;
+  } catch (error) {
+    console.error('Error creating collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Rename a collection, keeping its place in the list
+ *
+ * @param {string} name - Current name (any case)
+ * @param {string} newName - New name; may differ from the current one only in case
+ * @returns {Promise<boolean>} - True if renamed, false if the collection doesn't exist or the new name is taken
+ */
+export async function renameCollection(name, newName) {
+  newName = newName.trim();
+  if (!newName) {
+    return false;
+  }
+
+  try {
+    let renamed = false;
+    await collectionStore.update(collections => {
+      const collection = findCollection(collections, name);
+      const taken = findCollection(collections, newName);
+      if (!collection || (taken && taken !== collection)) {
+        return undefined;
+      }
+      renamed = true;
+      // Rebuild the Map so the collection keeps its position under the new key
+      return new Map(Array.from(collections, ([key, value]) => (value === collection
+        ? [newName, { ...collection, name: newName }]
+        : [key, value])));
+    });
+    return renamed;
+  } catch (error) {
+    console.error('Error renaming collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a collection; its recipes stay in favorites
+ *
+ * @param {string} name - Collection name (any case)
+ * @returns {Promise<boolean>} - True if deleted
+ */
+export async function deleteCollection(name) {
+  try {
+    let deleted = false;
+    await collectionStore.update(collections => {
+      const collection = findCollection(collections, name);
+      deleted = Boolean(collection) && collections.delete(collection.name);
+      return deleted ? collections : undefined;
+    });
+    return deleted;
+  } catch (error) {
+    console.error('Error deleting collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Change the recipes in a collection
+ *
+ * @param {string} name - Collection name (any case)
+ * @param {Function} change - Called with the collection's recipe IDs, returns the new ones
+ *   or null to leave the collection as it is
+ * @returns {Promise<boolean>} - True if the collection changed
+ */
+async function updateCollection(name, change) {
+  let changed = false;
+  await collectionStore.update(collections => {
+    const collection = findCollection(collections, name);
+    const recipeIds = collection ? change(collection.recipeIds) : null;
+    if (!recipeIds) {
+      return undefined;
+    }
+    changed = true;
+    return collections.set(collection.name, { ...collection, recipeIds });
+  });
+  return changed;
+}
+
+/**
+ * Add a favorite to a collection
+ *
+ * @param {string} name - Collection name (any case)
+ * @param {string} recipeId - ID of the favorite
+ * @returns {Promise<boolean>} - True if added, false if the collection doesn't exist,
+ *   the recipe is not a favorite or it is already in the collection
+ */
+export async function addToCollection(name, recipeId) {
+  try {
+    if (!(await isInFavorites(recipeId))) {
+      console.log('Only favorite recipes can be added to a collection.');
+      return false;
+    }
+    return await updateCollection(name, recipeIds => (recipeIds.includes(recipeId) ? null : [...recipeIds, recipeId]));
+  } catch (error) {
+    console.error('Error adding to collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Remove a recipe from a collection; it stays in favorites
+ *
+ * @param {string} name - Collection name (any case)
+ * @param {string} recipeId - ID of the recipe
+ * @returns {Promise<boolean>} - True if removed
+ */
+export async function removeFromCollection(name, recipeId) {
+  try {
+    return await updateCollection(name, recipeIds => (recipeIds.includes(recipeId)
+      ? recipeIds.filter(id => id !== recipeId)
+      : null));
+  } catch (error) {
+    console.error('Error removing from collection:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Check an imported favorite and clean it up like the functions above would
+ *
+ * @param {Object} record - Favorite as read from an export
+ * @returns {Object} - { favorite } if it is valid, otherwise { error } saying what is wrong
+ */
+function validateFavorite(record) {
+  const idMeal = String(record.idMeal ?? '').trim();
+  if (!/^\d+$/.test(idMeal)) {
+    return { error: 'idMeal must be a recipe ID made of digits' };
+  }
+  if (typeof record.strMeal !== 'string' || !record.strMeal.trim()) {
+    return { error: `recipe ${idMeal} has no name (strMeal)` };
+  }
+
+  const rating = record.rating ?? null;
+  if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= MAX_RATING)) {
+    return { error: `recipe ${idMeal} has rating ${JSON.stringify(record.rating)}, expected 1 to ${MAX_RATING}` };
+  }
+
+  for (const field of ['tags', 'cookedOn', 'tweaks']) {
+    const value = record[field] ?? [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return { error: `recipe ${idMeal} has ${field} that is not a list of text` };
+    }
+  }
+  const cookedOn = (record.cookedOn || []).map(day => ({ day, parsed: toDateString(day) }));
+  // Also catches dates that don't exist, which Date would roll over, e.g. 2024-02-30
+  const badDay = cookedOn.find(({ day, parsed }) => parsed !== day.trim());
+  if (badDay) {
+    return { error: `recipe ${idMeal} has cook date "${badDay.day}", expected YYYY-MM-DD` };
+  }
+  if (record.notes !== undefined && record.notes !== null && typeof record.notes !== 'string') {
+    return { error: `recipe ${idMeal} has notes that are not text` };
+  }
+
+  return {
+    favorite: {
+      ...record,
+      idMeal,
+      strMeal: record.strMeal.trim(),
+      rating,
+      notes: record.notes?.trim() || null,
+      tags: normalizeTags(record.tags || []),
+      cookedOn: Array.from(new Set(cookedOn.map(({ parsed }) => parsed))).sort(),
+      tweaks: (record.tweaks || []).map(tweak => tweak.trim()).filter(Boolean)
+    }
+  };
+}
+
+/**
+ * Combine a favorite with an imported copy of it: the MealDB fields, rating
+ * and notes already saved win, lists are combined and both notes are kept
+ *
+ * @param {Object} existing - Saved favorite
+ * @param {Object} imported - Imported favorite
+ * @returns {Object} - Merged favorite
+ */
+function mergeFavorite(existing, imported) {
+  const union = field => Array.from(new Set([...(existing[field] || []), ...(imported[field] || [])]));
+  return {
+    ...imported,
+    ...existing,
+    rating: existing.rating ?? imported.rating ?? null,
+    notes: Array.from(new Set([existing.notes, imported.notes].filter(Boolean))).join('\n\n') || null,
+    tags: normalizeTags(union('tags')),
+    cookedOn: union('cookedOn').sort(),
+    tweaks: union('tweaks')
+  };
+}
+
+/**
+ * Export favorites, all of them or the ones getFavorites picks
+ *
+ * @param {Object} options - Export options
+ * @param {string} options.format - One of exchange.FORMATS (default: 'json')
+ * @param {string} options.collection - Only this collection, see getFavorites
+ * @param {string} options.tag - Only favorites with this tag
+ * @param {string} options.sortBy - One of FAVORITE_SORTS
+ * @returns {Promise<string>} - File contents; JSON exports include the collections holding the exported recipes
+ * @throws {ImportError} - If the format is unknown
+ */
+export async function exportFavorites({ format = 'json', collection, tag, sortBy } = {}) {
+  const favorites = await getFavorites({ collection, tag, sortBy });
+  const ids = new Set(favorites.map(favorite => favorite.idMeal));
+
+  const collections = (await getCollections())
+    .filter(found => collection === undefined || found.name.toLowerCase() === collection.trim().toLowerCase())
+    .map(found => ({ ...found, recipeIds: found.recipeIds.filter(id => ids.has(id)) }));
+
+  return serializeFavorites(favorites, format, { collections });
+}
+
+/**
+ * Add the collections from an export, or the imported recipes to collections
+ * with the same name
+ *
+ * @param {Array<Object>} collections - Collections from the export
+ * @param {Set<string>} ids - IDs of the imported favorites
+ * @param {Array<Object>} errors - { row, message } list to report bad collections in
+ * @returns {Promise<number>} - Number of collections created or changed
+ */
+async function importCollections(collections, ids, errors) {
+  let changed = 0;
+  await collectionStore.update(saved => {
+    collections.forEach((collection, index) => {
+      if (!collection || typeof collection.name !== 'string' || !collection.name.trim() || !Array.isArray(collection.recipeIds)) {
+        errors.push({ row: null, message: `collection ${index + 1} needs a name and a list of recipeIds` });
+        return;
+      }
+
+      const recipeIds = collection.recipeIds.map(String).filter(id => ids.has(id));
+      const existing = findCollection(saved, collection.name);
+      if (!existing) {
+        const name = collection.name.trim();
+        saved.set(name, { name, recipeIds, createdAt: collection.createdAt ?? Date.now() });
+        changed++;
+      } else if (recipeIds.some(id => !existing.recipeIds.includes(id))) {
+        saved.set(existing.name, { ...existing, recipeIds: Array.from(new Set([...existing.recipeIds, ...recipeIds])) });
+        changed++;
+      }
+    });
+    return changed > 0 ? saved : undefined;
+  });
+  return changed;
+}
+
+/**
+ * Import favorites exported by exportFavorites, or a copy of data/favorites.json
+ * of any schema version (upgraded in memory with favoritesMigrations)
+ * Rows that are not valid favorites are reported and skipped; the rest are imported
+ *
+ * @param {string} text - File contents
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'json' or 'csv' (default: 'json')
+ * @param {string|Function} options.onDuplicate - One of DUPLICATE_ACTIONS for recipes that are already
+ *   favorites: skip them, overwrite them, or merge the two (see mergeFavorite). May be a function,
+ *   called once with the imported duplicates if there are any, returning (a promise of) the action
+ * @returns {Promise<Object>} - { added, overwritten, merged, skipped, collections, errors } where errors
+ *   lists { row, message } for each bad row; row is the position in a JSON export or the line of a
+ *   CSV file, null for a bad collection
+ * @throws {ImportError} - If the file can't be read at all, or the duplicate action is unknown
+ */
+export async function importFavorites(text, { format = 'json', onDuplicate = 'skip' } = {}) {
+  const { records, collections, errors } = parseFavorites(text, format, {
+    upgrade: document => favoritesMigrations.upgrade(document, NAMESPACES.favorites.schemaVersion).favorites
+  });
+
+  const imported = new Map();
+  for (const { row, favorite: record } of records) {
+    const { favorite, error } = validateFavorite(record);
+    if (error) {
+      errors.push({ row, message: error });
+    } else if (imported.has(favorite.idMeal)) {
+      errors.push({ row, message: `recipe ${favorite.idMeal} is in the file more than once; only the first one is imported` });
+    } else {
+      imported.set(favorite.idMeal, favorite);
+    }
+  }
+
+  await initializeFavorites();
+  const saved = await store.getAll();
+  const duplicates = Array.from(imported.values()).filter(favorite => saved.has(favorite.idMeal));
+  const action = typeof onDuplicate === 'function'
+    ? (duplicates.length > 0 ? await onDuplicate(duplicates) : 'skip')
+    : onDuplicate;
+  if (!DUPLICATE_ACTIONS.includes(action)) {
+    throw new ImportError(`Unknown duplicate action "${action}", expected one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+  }
+
+  const result = { added: 0, overwritten: 0, merged: 0, skipped: 0, collections: 0, errors };
+  await store.update(favorites => {
+    for (const favorite of imported.values()) {
+      const existing = favorites.get(favorite.idMeal);
+      if (!existing) {
+        favorites.set(favorite.idMeal, favorite);
+        result.added++;
+      } else if (action === 'overwrite') {
+        favorites.set(favorite.idMeal, favorite);
+        result.overwritten++;
+      } else if (action === 'merge') {
+        favorites.set(favorite.idMeal, mergeFavorite(existing, favorite));
+        result.merged++;
+      } else {
+        result.skipped++;
+      }
+    }
+    return result.added + result.overwritten + result.merged > 0 ? favorites : undefined;
+  });
+
+  result.collections = await importCollections(collections, new Set(imported.keys()), errors);
+  return result;
+}
+
+/**
+ * Read every favorite, for code that writes the whole list back with replaceFavorites
+ * Unlike getFavorites, favorites that can't be read are an error rather than
+ * an empty list, so they are never replaced by a merge that never saw them
+ *
+ * @returns {Promise<Array<Object>>} - Favorites in the order they were added
+ * @throws {Error} - If the favorites can't be read
+ */
+export async function readAllFavorites() {
+  await initializeFavorites();
+  return Array.from((await store.getAll()).values());
+}
+
+/**
+ * Replace every favorite in one step, e.g. with the result of a merge
+ * Recipes that are no longer favorites are taken out of their collections
+ *
+ * @param {Array<Object>} recipes - The new favorites, in order
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.expected - Favorites as readAllFavorites returned them;
+ *   if they have changed since, nothing is written
+ * @returns {Promise<boolean>} - True if written, false if the favorites changed after expected was read
+ * @throws {Error} - If the favorites can't be written
+ */
+export async function replaceFavorites(recipes, { expected } = {}) {
+  await initializeFavorites();
+
+  let unchanged = true;
+  await store.update(favorites => {
+    unchanged = !expected || JSON.stringify(Array.from(favorites.values())) === JSON.stringify(expected);
+    return unchanged ? new Map(recipes.map(recipe => [recipe.idMeal, recipe])) : undefined;
+  });
+
+  if (unchanged) {
+    const ids = new Set(recipes.map(recipe => recipe.idMeal));
+    await pruneCollections(id => ids.has(id));
+  }
+  return unchanged;
+}
+
 export default {
+  MAX_RATING,
+  FAVORITE_SORTS,
+  DUPLICATE_ACTIONS,
+  favoritesMigrations,
   initializeFavorites,
   getFavorites,
+  getFavoriteRecipes,
   addFavorite,
   removeFavorite,
   isInFavorites,
-  getFavoriteById
+  getFavoriteById,
+  setFavoriteTags,
+  addFavoriteTags,
+  removeFavoriteTags,
+  lastCooked,
+  rateFavorite,
+  setFavoriteNotes,
+  logCooked,
+  removeCookedDate,
+  addFavoriteTweak,
+  removeFavoriteTweak,
+  getTags,
+  getCollections,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  addToCollection,
+  removeFromCollection,
+  exportFavorites,
+  importFavorites,
+  readAllFavorites,
+  replaceFavorites
 };
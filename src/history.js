@@ -0,0 +1,132 @@
+// src/history.js
+/**
+ * This module remembers what the user looks at, for features like the cache
+ * warm-up: recently viewed recipes (the 'recent' store) and saved search
+ * terms (the 'searches' store), see storage.js
+ * Backends don't all move a key to the end when it is written again, so
+ * entries carry a timestamp and are sorted by it when read
+ */
+
+import { openStore } from './storage.js';
+
+// How many recently viewed recipes are remembered
+export const MAX_RECENT = 20;
+
+const recentStore = openStore('recent');
+const searchStore = openStore('searches');
+
+/**
+ * Create the history stores if they don't exist
+ */
+export async function initializeHistory() {
+  try {
+    await Promise.all([recentStore.initialize(), searchStore.initialize()]);
+  } catch (error) {
+    console.error(`Error creating history in ${recentStore.location}:`, error.message);
+  }
+}
+
+/**
+ * Remember that a recipe was viewed, keeping the MAX_RECENT most recent ones
+ *
+ * @param {Object} recipe - Raw meal (or anything with idMeal and strMeal)
+ * @returns {Promise<boolean>} - True if recorded
+ */
+export async function recordView(recipe) {
+  try {
+    await recentStore.update(recent => {
+      recent.set(recipe.idMeal, { idMeal: recipe.idMeal, strMeal: recipe.strMeal, viewedAt: Date.now() });
+
+      const oldest = Array.from(recent.values())
+        .sort((a, b) => b.viewedAt - a.viewedAt)
+        .slice(MAX_RECENT);
+      oldest.forEach(view => recent.delete(view.idMeal));
+      return recent;
+    });
+    return true;
+  } catch (error) {
+    console.error('Error recording recently viewed recipe:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the recently viewed recipes, most recent first
+ *
+ * @returns {Promise<Array<Object>>} - { idMeal, strMeal, viewedAt }
+ */
+export async function getRecentlyViewed() {
+  try {
+    return Array.from((await recentStore.getAll()).values()).sort((a, b) => b.viewedAt - a.viewedAt);
+  } catch (error) {
+    console.error('Error reading recently viewed recipes:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Save search terms, e.g. to warm the cache with their results
+ * Terms are compared without regard to case or surrounding spaces
+ *
+ * @param {Array<string>} terms - Search terms
+ * @returns {Promise<number>} - Number of terms that were not saved before
+ */
+export async function saveSearchTerms(terms) {
+  let added = 0;
+  await searchStore.update(searches => {
+    for (const term of terms.map(term => term.trim()).filter(Boolean)) {
+      const key = term.toLowerCase();
+      if (!searches.has(key)) {
+        searches.set(key, { term: key, savedAt: Date.now() });
+        added++;
+      }
+    }
+    return added > 0 ? searches : undefined;
+  });
+  return added;
+}
+
+/**
+ * Forget saved search terms
+ *
+ * @param {Array<string>} terms - Search terms
+ * @returns {Promise<number>} - Number of terms removed
+ */
+export async function removeSearchTerms(terms) {
+  let removed = 0;
+  await searchStore.update(searches => {
+    for (const term of terms) {
+      if (searches.delete(term.trim().toLowerCase())) {
+        removed++;
+      }
+    }
+    return removed > 0 ? searches : undefined;
+  });
+  return removed;
+}
+
+/**
+ * Get the saved search terms in the order they were saved
+ *
+ * @returns {Promise<Array<string>>} - Search terms
+ */
+export async function getSavedSearches() {
+  try {
+    return Array.from((await searchStore.getAll()).values())
+      .sort((a, b) => a.savedAt - b.savedAt)
+      .map(search => search.term);
+  } catch (error) {
+    console.error('Error reading saved searches:', error.message);
+    return [];
+  }
+}
+
+export default {
+  MAX_RECENT,
+  initializeHistory,
+  recordView,
+  getRecentlyViewed,
+  saveSearchTerms,
+  removeSearchTerms,
+  getSavedSearches
+};
@@ -0,0 +1,200 @@
+// src/http.js
+/**
+ * Shared request layer for TheMealDB API
+ * Every API function goes through requestJson, which applies the shared rate
+ * limit and turns the different ways a request can fail into the typed errors
+ * from errors.js
+ */
+
+import { NetworkError, TimeoutError, CancelledError, HttpError, ParseError } from './errors.js';
+import { createRateLimiter } from './rate-limiter.js';
+import { config } from './config.js';
+
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+// First delay after an HTTP 429 without Retry-After, doubled on each retry
+const RATE_LIMIT_BACKOFF_MS = 1000;
+
+// Every outbound request shares this limiter, see configureRateLimiter
+let limiter = createRateLimiter(config.rateLimit);
+let maxRateLimitRetries = config.rateLimit.maxRetries;
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|undefined} - Delay in milliseconds, or undefined if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Fetch a URL once and parse its JSON body
+ * The request is aborted (not just abandoned) on timeout or when `signal` aborts
+ *
+ * @param {string} url - Full request URL
+ * @param {Object} options - Request options
+ * @param {number} options.timeoutMs - Abort after this many milliseconds
+ * @param {AbortSignal} options.signal - Caller's signal to cancel the request
+ * @returns {Promise<Object>} - Parsed JSON body
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
+ */
+async function fetchJson(url, { timeoutMs, signal }) {
+  if (signal?.aborted) {
+    throw new CancelledError('Request cancelled', { url, cause: signal.reason });
+  }
+
+  // One controller per attempt, aborted with the typed error that explains why
+  const controller = new AbortController();
+  const onCallerAbort = () => {
+    controller.abort(new CancelledError('Request cancelled', { url, cause: signal.reason }));
+  };
+  signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+  const timer = setTimeout(() => {
+    controller.abort(new TimeoutError(`Request timed out after ${timeoutMs}ms`, { url, timeoutMs }));
+  }, timeoutMs);
+
+  // Settle as soon as we abort, even if the response body never finishes
+  const abortPromise = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  const fetchPromise = (async () => {
+    let response;
+    try {
+      response = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      throw new NetworkError(`Could not reach the recipe API: ${error.message}`, { url, cause: error });
+    }
+
+    if (!response.ok) {
+      throw new HttpError(`API error: ${response.status}`, {
+        url,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers?.get('retry-after'))
+      });
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      throw new ParseError('The recipe API returned malformed JSON', { url, cause: error });
+    }
+  })();
+
+  try {
+    return await Promise.race([fetchPromise, abortPromise]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onCallerAbort);
+  }
+}
+
+/**
+ * Replace the shared rate limiter, e.g. to change the rate at runtime or in tests
+ *
+ * @param {Object} options - Same options as createRateLimiter, plus maxRetries
+ */
+export function configureRateLimiter({ maxRetries = config.rateLimit.maxRetries, ...options } = {}) {
+  limiter = createRateLimiter(options);
+  maxRateLimitRetries = maxRetries;
+}
+
+/**
+ * Get the shared rate limiter's queue length and counters
+ *
+ * @returns {Object} - { queued, tokens, pausedForMs, throttled }
+ */
+export function getRateLimiterStats() {
+  return limiter.getStats();
+}
+
+/**
+ * Fetch a URL and parse its JSON body
+ * Requests wait for the shared rate limiter; an HTTP 429 answer pauses the
+ * limiter (for Retry-After, or an exponential delay) and retries the request
+ *
+ * @param {string} url - Full request URL
+ * @param {Object} options - Request options
+ * @param {number} options.timeoutMs - Abort a single attempt after this many milliseconds
+ * @param {AbortSignal} options.signal - Cancels the request, including while it waits in the queue
+ * @returns {Promise<Object>} - Parsed JSON body
+ * @throws {NetworkError|TimeoutError|CancelledError|HttpError|ParseError}
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch | MDN: fetch API}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Status/429 | MDN: 429 Too Many Requests}
+ */
+export async function requestJson(url, { timeoutMs = DEFAULT_TIMEOUT_MS, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await limiter.schedule(() => fetchJson(url, { timeoutMs, signal }), { signal });
+    } catch (error) {
+      if (signal?.aborted && !(error instanceof CancelledError)) {
+        throw new CancelledError('Request cancelled', { url, cause: signal.reason });
+      }
+      if (error instanceof HttpError && error.status === 429 && attempt < maxRateLimitRetries) {
+        limiter.backoff(error.retryAfterMs ?? RATE_LIMIT_BACKOFF_MS * 2 ** attempt);
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Fetch a MealDB endpoint and return one of its list properties
+ * TheMealDB answers `{ meals: null }` when nothing matches, which becomes []
+ *
+ * @param {string} url - Full request URL
+ * @param {string} key - Property holding the list, e.g. 'meals' or 'categories'
+ * @param {Object} options - Same options as requestJson
+ * @returns {Promise<Array>} - Items, or an empty array when nothing matched
+ * @throws {NetworkError|TimeoutError|CancelledError|HttpError|ParseError}
+ */
+export async function requestList(url, key, options) {
+  const data = await requestJson(url, options);
+
+  if (data === null || typeof data !== 'object') {
+    throw new ParseError('The recipe API returned an unexpected response', { url });
+  }
+
+  return Array.isArray(data[key]) ? data[key] : [];
+}
+
+/**
+ * Fetch a MealDB endpoint and return its `meals` array
+ *
+ * @param {string} url - Full request URL
+ * @param {Object} options - Same options as requestJson
+ * @returns {Promise<Array>} - Meals, or an empty array when nothing matched
+ * @throws {NetworkError|TimeoutError|CancelledError|HttpError|ParseError}
+ */
+export async function requestMeals(url, options) {
+  return requestList(url, 'meals', options);
+}
+
+export default {
+  configureRateLimiter,
+  getRateLimiterStats,
+  requestJson,
+  requestList,
+  requestMeals,
+  DEFAULT_TIMEOUT_MS
+};
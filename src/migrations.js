@@ -0,0 +1,182 @@
+// src/migrations.js
+/**
+ * Schema migrations for the JSON files in data/
+ *
+ * A versioned file carries its schema version in its header (see
+ * storage.NAMESPACES). Files written before a change to their shape are
+ * upgraded in place by a chain of migrations, each taking the whole
+ * document from one version to the next:
+ *
+ *   const chain = createMigrationChain({ detectVersion });
+ *   chain.register(1, 'Unwrap { recipe } entries', document => ...);  // 1 -> 2
+ *   chain.register(2, 'Add the header', document => ...);             // 2 -> 3
+ *
+ * migrateJsonFile copies the file aside before each step, so a bad
+ * migration can always be undone by hand
+ */
+
+import fs from 'fs/promises';
+import { readJsonFile, withFileLock, writeFileAtomic } from './persistence.js';
+
+/**
+ * A file could not be upgraded, e.g. it was written by a newer version of the app
+ */
+export class MigrationError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'MigrationError';
+  }
+}
+
+/**
+ * Create an empty chain of migrations
+ *
+ * @param {Object} options - Chain options
+ * @param {Function} options.detectVersion - Called with a document, returns its schema version
+ *   (an integer), or null if it isn't a document the chain knows
+ * @returns {Object} - { detectVersion, register, plan, upgrade }
+ */
+export function createMigrationChain({ detectVersion }) {
+  // Migrations by the version they upgrade from
+  const migrations = new Map();
+
+  /**
+   * Find the migrations that take a document from one version to another
+   *
+   * @param {number} from - Version the document is at
+   * @param {number} to - Version wanted
+   * @returns {Array<Object>} - Migrations in the order to run them, { from, to, description, migrate }
+   * @throws {MigrationError} - If a step is missing, or from is newer than to
+   */
+  function plan(from, to) {
+    if (from > to) {
+      throw new MigrationError(`Schema version ${from} is newer than this version of the app reads (${to})`);
+    }
+
+    const steps = [];
+    for (let version = from; version < to; version++) {
+      if (!migrations.has(version)) {
+        throw new MigrationError(`No migration from schema version ${version} to ${version + 1}`);
+      }
+      steps.push(migrations.get(version));
+    }
+    return steps;
+  }
+
+  return {
+    detectVersion,
+
+    /**
+     * Register the migration from one version to the next
+     *
+     * @param {number} from - Version it upgrades from; it upgrades to from + 1
+     * @param {string} description - What it changes, for messages
+     * @param {Function} migrate - Called with the document and the version it upgrades to
+     *   (from + 1), returns the upgraded document
+     * @throws {MigrationError} - If a migration from that version is already registered
+     */
+    register(from, description, migrate) {
+      if (migrations.has(from)) {
+        throw new MigrationError(`A migration from schema version ${from} is already registered`);
+      }
+      migrations.set(from, { from, to: from + 1, description, migrate });
+    },
+
+    plan,
+
+    /**
+     * Upgrade a document in memory
+     *
+     * @param {*} document - Document at any version the chain knows
+     * @param {number} to - Version wanted
+     * @returns {*} - The upgraded document
+     * @throws {MigrationError} - If the document's version isn't known or can't be reached
+     */
+    upgrade(document, to) {
+      const from = detectVersion(document);
+      if (!Number.isInteger(from)) {
+        throw new MigrationError('Not a document this version of the app can read');
+      }
+      return plan(from, to).reduce((current, step) => step.migrate(current, step.to), document);
+    }
+  };
+}
+
+/**
+ * Name of the backup written before a migration, e.g.
+ * data/favorites.json.v2-2024-07-01T10-00-00-000Z.bak
+ *
+ * @param {string} file - File being migrated
+ * @param {number} version - Its version before the migration
+ * @param {Date} date - When the backup is taken
+ * @returns {string} - Backup file path
+ */
+function backupPathFor(file, version, date) {
+  return `${file}.v${version}-${date.toISOString().replace(/[:.]/g, '-')}.bak`;
+}
+
+/**
+ * Upgrade a JSON file in place to a schema version
+ * Each step copies the file to a backup, runs one migration and writes the
+ * result, so an interrupted upgrade resumes from the last finished step.
+ * The file is locked while it is upgraded; a file that is missing or
+ * already at the version is left alone without taking the lock
+ *
+ * @param {string} file - File path
+ * @param {Object} chain - Chain from createMigrationChain
+ * @param {Object} options - Options
+ * @param {number} options.version - Version to upgrade to
+ * @param {string} options.compression - How the file is compressed, one of persistence.COMPRESSIONS
+ * @param {Function} options.now - Clock for backup names (default: () => new Date())
+ * @param {Function} options.onMigrate - Called after each step with { from, to, description, backup }
+ * @returns {Promise<Array<Object>>} - The steps run, { from, to, description, backup }
+ * @throws {MigrationError} - If the file's version isn't known or can't be reached
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisescopyfilesrc-dest-mode | Node.js: fsPromises.copyFile}
+ */
+export async function migrateJsonFile(file, chain, { version, compression, now = () => new Date(), onMigrate } = {}) {
+  const read = () => readJsonFile(file, null, { compression });
+  const isCurrent = document => document === null || chain.detectVersion(document) === version;
+
+  if (isCurrent(await read())) {
+    return [];
+  }
+
+  return withFileLock(file, async () => {
+    // Another process may have upgraded it while we waited for the lock
+    let document = await read();
+    if (isCurrent(document)) {
+      return [];
+    }
+
+    const from = chain.detectVersion(document);
+    if (!Number.isInteger(from)) {
+      throw new MigrationError(`${file} is not in a format this version of the app can read`);
+    }
+
+    const applied = [];
+    for (const step of chain.plan(from, version)) {
+      const backup = backupPathFor(file, step.from, now());
+      await fs.copyFile(file, backup);
+      try {
+        document = step.migrate(document, step.to);
+      } catch (error) {
+        throw new MigrationError(`Upgrading ${file} from schema version ${step.from} failed: ${error.message}`, { cause: error });
+      }
+      await writeFileAtomic(file, document, { compression });
+
+      const result = { from: step.from, to: step.to, description: step.description, backup };
+      applied.push(result);
+      if (onMigrate) {
+        onMigrate(result);
+      }
+    }
+    return applied;
+  });
+}
+
+export default {
+  MigrationError,
+  createMigrationChain,
+  migrateJsonFile
+};
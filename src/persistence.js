@@ -0,0 +1,549 @@
+// src/persistence.js
+/**
+ * Shared helpers for reading and writing the JSON files in data/
+ *
+ * Writes never leave a half-written file behind: the new contents go to a
+ * temporary file first, which then replaces the real one with a rename.
+ * Writes to the same file from this process run one after another, and an
+ * advisory lock (a `<file>.lock` directory) keeps two running CLI instances
+ * from reading and writing the same file at the same time.
+ *
+ * Files can optionally be compressed with gzip or brotli; compressed files
+ * hold compact JSON, uncompressed ones stay indented for reading by hand.
+ */
+
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { delay } from './utils.js';
+
+// A lock not refreshed for this long was left behind by a process that crashed
+export const LOCK_STALE_MS = 10000;
+// Give up waiting for another process's lock after this long; longer than
+// LOCK_STALE_MS, so a lock left by a crash is taken over rather than waited out
+export const LOCK_TIMEOUT_MS = LOCK_STALE_MS + 5000;
+const LOCK_RETRY_MS = 25;
+// How often a held lock's mtime is refreshed, well within LOCK_STALE_MS
+const LOCK_REFRESH_MS = LOCK_STALE_MS / 4;
+
+export const COMPRESSIONS = ['none', 'gzip', 'brotli'];
+
+// Writes in progress by file, so writes to one file run in order
+const writeQueues = new Map();
+
+/**
+ * The lock on a data file could not be taken in time
+ */
+export class FileLockError extends Error {
+  constructor(message, { file, cause } = {}) {
+    super(message, { cause });
+    this.name = 'FileLockError';
+    this.file = file;
+  }
+}
+
+/**
+ * Parse the contents of a JSON data file
+ *
+ * @param {string|Buffer} content - File contents
+ * @param {*} fallback - Value for an empty file
+ * @returns {*} - Parsed data
+ * @throws {SyntaxError} - If the file holds invalid JSON
+ */
+function parseContent(content, fallback) {
+  const text = String(content ?? '');
+  return text.trim().length === 0 ? fallback : JSON.parse(text);
+}
+
+/**
+ * Turn data into file contents
+ *
+ * @param {*} data - Data to write as JSON
+ * @param {string} compression - One of COMPRESSIONS
+ * @returns {string|Buffer} - File contents
+ *
+ * @see {@link https://nodejs.org/api/zlib.html#zlibgzipsyncbuffer-options | Node.js: zlib.gzipSync}
+ * @see {@link https://nodejs.org/api/zlib.html#zlibbrotlicompresssyncbuffer-options | Node.js: zlib.brotliCompressSync}
+ */
+function encodeContent(data, compression = 'none') {
+  switch (compression) {
+    case 'none':
+      return JSON.stringify(data, null, 2);
+    case 'gzip':
+      return zlib.gzipSync(JSON.stringify(data));
+    case 'brotli':
+      return zlib.brotliCompressSync(JSON.stringify(data));
+    default:
+      throw new Error(`Unknown compression "${compression}", expected one of: ${COMPRESSIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Turn file contents back into data, see encodeContent
+ *
+ * @param {string|Buffer} content - File contents
+ * @param {string} compression - One of COMPRESSIONS
+ * @param {*} fallback - Value for an empty file
+ * @returns {*} - Parsed data
+ * @throws {SyntaxError|Error} - If the file holds invalid JSON or can't be decompressed
+ */
+function decodeContent(content, compression = 'none', fallback = null) {
+  if (compression === 'none' || content.length === 0) {
+    return parseContent(content, fallback);
+  }
+  const text = compression === 'gzip' ? zlib.gunzipSync(content) : zlib.brotliDecompressSync(content);
+  return parseContent(text, fallback);
+}
+
+/**
+ * Compressed files are read as bytes, uncompressed ones as text
+ *
+ * @param {string} compression - One of COMPRESSIONS
+ * @returns {string|undefined} - Encoding for fs.readFile
+ */
+function encodingFor(compression = 'none') {
+  return compression === 'none' ? 'utf-8' : undefined;
+}
+
+function lockPathFor(file) {
+  return `${file}.lock`;
+}
+
+function tempPathFor(file) {
+  return `${file}.${process.pid}.tmp`;
+}
+
+// Only the waiter holding this may remove a stale lock, see breakStaleLock
+function takeoverPathFor(lockPath) {
+  return `${lockPath}.takeover`;
+}
+
+// A stale lock is renamed here before it is removed
+function asidePathFor(lockPath) {
+  return `${lockPath}.${process.pid}.stale`;
+}
+
+/**
+ * Take the advisory lock on a file, waiting while another process holds it
+ * mkdir either creates the lock directory or fails because it exists, so only
+ * one process can succeed
+ *
+ * @param {string} file - Data file path
+ * @throws {FileLockError} - If the lock is still held after LOCK_TIMEOUT_MS
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesmkdirpath-options | Node.js: fsPromises.mkdir}
+ */
+async function acquireLock(file) {
+  const lockPath = lockPathFor(file);
+  const startedAt = Date.now();
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.mkdir(lockPath);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (await isStaleLock(lockPath)) {
+      await breakStaleLock(lockPath);
+      continue;
+    }
+    if (Date.now() - startedAt >= LOCK_TIMEOUT_MS) {
+      throw new FileLockError(`${path.basename(file)} is locked by another process`, { file });
+    }
+    await delay(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Remove a lock left behind by a crashed process
+ * Waiters take turns through a takeover directory (created with mkdir, like
+ * the lock), and check the lock is still stale before renaming it aside, so
+ * two waiters can't both remove it and one of them remove the lock the other
+ * has just taken. A takeover left by a crash goes stale the same way
+ *
+ * @param {string} lockPath - Lock directory path
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesrenameoldpath-newpath | Node.js: fsPromises.rename}
+ */
+async function breakStaleLock(lockPath) {
+  const takeoverPath = takeoverPathFor(lockPath);
+  try {
+    await fs.mkdir(takeoverPath);
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    if (await isStaleLock(takeoverPath)) {
+      await fs.rm(takeoverPath, { recursive: true, force: true });
+    }
+    return;
+  }
+
+  try {
+    if (await isStaleLock(lockPath)) {
+      const asidePath = asidePathFor(lockPath);
+      await fs.rename(lockPath, asidePath);
+      await fs.rm(asidePath, { recursive: true, force: true });
+    }
+  } catch (error) {
+    // Released in the meantime, so there is nothing to take over
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  } finally {
+    await fs.rm(takeoverPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Keep a held lock from looking stale by touching it every LOCK_REFRESH_MS,
+ * however long the task holding it runs
+ *
+ * @param {string} file - Data file path
+ * @returns {Function} - Stops refreshing
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesutimespath-atime-mtime | Node.js: fsPromises.utimes}
+ */
+function keepLockFresh(file) {
+  const timer = setInterval(async () => {
+    try {
+      const now = new Date();
+      await fs.utimes(lockPathFor(file), now, now);
+    } catch (error) {
+      // Released while the refresh was due
+    }
+  }, LOCK_REFRESH_MS);
+  // A held lock shouldn't keep the process alive on its own
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Check whether a lock was left behind rather than being held
+ *
+ * @param {string} lockPath - Lock directory path
+ * @returns {Promise<boolean>}
+ */
+async function isStaleLock(lockPath) {
+  try {
+    const { mtimeMs } = await fs.stat(lockPath);
+    return Date.now() - mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    // Released between our mkdir and stat, so just try again
+    return false;
+  }
+}
+
+async function releaseLock(file) {
+  await fs.rm(lockPathFor(file), { recursive: true, force: true });
+}
+
+/**
+ * Replace a file's contents in one step, by writing a temporary file and renaming it
+ * This does not lock the file; use it inside withFileLock
+ *
+ * @param {string} file - File path
+ * @param {*} data - Data to write as JSON
+ * @param {Object} options - Options
+ * @param {string} options.compression - One of COMPRESSIONS (default: 'none')
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesrenameoldpath-newpath | Node.js: fsPromises.rename}
+ */
+export async function writeFileAtomic(file, data, { compression } = {}) {
+  const tempPath = tempPathFor(file);
+  try {
+    await fs.writeFile(tempPath, encodeContent(data, compression));
+    await fs.rename(tempPath, file);
+  } catch (error) {
+    try {
+      await fs.rm(tempPath, { force: true });
+    } catch (cleanupError) {
+      // The original error is the one worth reporting
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run a task after the writes already queued for a file
+ *
+ * @param {string} file - File path
+ * @param {Function} task - Async function doing the write
+ * @returns {Promise<*>} - The task's result
+ */
+function enqueueWrite(file, task) {
+  const previous = writeQueues.get(file) || Promise.resolve();
+  const result = previous.then(task);
+  // A failed write must not block the ones after it
+  const settled = result.catch(() => {});
+  writeQueues.set(file, settled);
+  settled.then(() => {
+    if (writeQueues.get(file) === settled) {
+      writeQueues.delete(file);
+    }
+  });
+  return result;
+}
+
+/**
+ * Read a JSON data file
+ *
+ * @param {string} file - File path
+ * @param {*} fallback - Value returned when the file is missing or empty
+ * @param {Object} options - Options
+ * @param {string} options.compression - How the file is compressed, one of COMPRESSIONS (default: 'none')
+ * @returns {Promise<*>} - Parsed data
+ * @throws {SyntaxError|Error} - If the file holds invalid JSON or can't be decompressed
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
+ */
+export async function readJsonFile(file, fallback = null, { compression } = {}) {
+  try {
+    return decodeContent(await fs.readFile(file, encodingFor(compression)), compression, fallback);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run a task while holding a path's advisory lock, after the tasks already
+ * queued for that path in this process
+ * The path doesn't have to exist; directories can be locked as a whole too
+ *
+ * @param {string} file - Path to lock
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} - The task's result
+ * @throws {FileLockError} - If the lock is still held by another process after LOCK_TIMEOUT_MS
+ */
+export function withFileLock(file, task) {
+  return enqueueWrite(file, async () => {
+    await acquireLock(file);
+    const stopRefreshing = keepLockFresh(file);
+    try {
+      return await task();
+    } finally {
+      stopRefreshing();
+      await releaseLock(file);
+    }
+  });
+}
+
+/**
+ * Read, change and write a JSON data file while holding its lock, so no other
+ * write (from this process or another one) can happen in between
+ *
+ * @param {string} file - File path
+ * @param {Function} update - Called with the current data; returns the new data,
+ *   or undefined to leave the file as it is
+ * @param {*} fallback - Current data when the file is missing or empty
+ * @param {Object} options - Options, see readJsonFile
+ * @returns {Promise<*>} - The data now in the file
+ * @throws {FileLockError|SyntaxError|Error} - If the file could not be locked, read or written
+ */
+export function updateJsonFile(file, update, fallback = null, options = {}) {
+  return withFileLock(file, async () => {
+    const current = await readJsonFile(file, fallback, options);
+    const next = await update(current);
+    if (next === undefined) {
+      return current;
+    }
+    await writeFileAtomic(file, next, options);
+    return next;
+  });
+}
+
+/**
+ * Write a JSON data file, replacing whatever it held
+ *
+ * @param {string} file - File path
+ * @param {*} data - Data to write
+ * @param {Object} options - Options, see writeFileAtomic
+ * @returns {Promise<void>}
+ * @throws {FileLockError|Error} - If the file could not be locked or written
+ */
+export function writeJsonFile(file, data, options = {}) {
+  return withFileLock(file, () => writeFileAtomic(file, data, options));
+}
+
+/**
+ * Synchronous withFileLock, for the process 'exit' event where asynchronous
+ * work no longer runs
+ *
+ * @param {string} file - Path to lock
+ * @param {Function} task - Synchronous function to run
+ * @returns {*} - The task's result
+ * @throws {FileLockError} - If the lock is still held by another process after LOCK_TIMEOUT_MS
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Atomics/wait | MDN: Atomics.wait}
+ */
+export function withFileLockSync(file, task) {
+  const lockPath = lockPathFor(file);
+  const startedAt = Date.now();
+  // Atomics.wait is the only way to pause without an event loop
+  const pause = new Int32Array(new SharedArrayBuffer(4));
+
+  fsSync.mkdirSync(path.dirname(file), { recursive: true });
+  for (;;) {
+    try {
+      fsSync.mkdirSync(lockPath);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (isStaleLockSync(lockPath)) {
+      breakStaleLockSync(lockPath);
+      continue;
+    }
+    if (Date.now() - startedAt >= LOCK_TIMEOUT_MS) {
+      throw new FileLockError(`${path.basename(file)} is locked by another process`, { file });
+    }
+    Atomics.wait(pause, 0, 0, LOCK_RETRY_MS);
+  }
+
+  // The task runs without giving the event loop a turn, so the lock can't be
+  // refreshed; synchronous tasks are short writes at exit
+  try {
+    return task();
+  } finally {
+    fsSync.rmSync(lockPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Synchronous isStaleLock
+ *
+ * @param {string} lockPath - Lock directory path
+ * @returns {boolean}
+ */
+function isStaleLockSync(lockPath) {
+  try {
+    return Date.now() - fsSync.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    // Released in the meantime
+    return false;
+  }
+}
+
+/**
+ * Synchronous breakStaleLock
+ *
+ * @param {string} lockPath - Lock directory path
+ */
+function breakStaleLockSync(lockPath) {
+  const takeoverPath = takeoverPathFor(lockPath);
+  try {
+    fsSync.mkdirSync(takeoverPath);
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    if (isStaleLockSync(takeoverPath)) {
+      fsSync.rmSync(takeoverPath, { recursive: true, force: true });
+    }
+    return;
+  }
+
+  try {
+    if (isStaleLockSync(lockPath)) {
+      const asidePath = asidePathFor(lockPath);
+      fsSync.renameSync(lockPath, asidePath);
+      fsSync.rmSync(asidePath, { recursive: true, force: true });
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  } finally {
+    fsSync.rmSync(takeoverPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Synchronous readJsonFile
+ *
+ * @param {string} file - File path
+ * @param {*} fallback - Value returned when the file is missing or empty
+ * @param {Object} options - Options, see readJsonFile
+ * @returns {*} - Parsed data
+ * @throws {SyntaxError|Error} - If the file holds invalid JSON or can't be decompressed
+ */
+export function readJsonFileSync(file, fallback = null, { compression } = {}) {
+  try {
+    return decodeContent(fsSync.readFileSync(file, encodingFor(compression)), compression, fallback);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Synchronous writeFileAtomic
+ *
+ * @param {string} file - File path
+ * @param {*} data - Data to write as JSON
+ * @param {Object} options - Options, see writeFileAtomic
+ */
+export function writeFileAtomicSync(file, data, { compression } = {}) {
+  const tempPath = tempPathFor(file);
+  try {
+    fsSync.writeFileSync(tempPath, encodeContent(data, compression));
+    fsSync.renameSync(tempPath, file);
+  } finally {
+    fsSync.rmSync(tempPath, { force: true });
+  }
+}
+
+/**
+ * Synchronous updateJsonFile, for the process 'exit' event where
+ * asynchronous work no longer runs
+ *
+ * @param {string} file - File path
+ * @param {Function} update - Called with the current data; returns the new data,
+ *   or undefined to leave the file as it is
+ * @param {*} fallback - Current data when the file is missing or empty
+ * @param {Object} options - Options, see readJsonFile
+ * @returns {*} - The data now in the file
+ * @throws {FileLockError|SyntaxError|Error} - If the file could not be locked, read or written
+ */
+export function updateJsonFileSync(file, update, fallback = null, options = {}) {
+  return withFileLockSync(file, () => {
+    const current = readJsonFileSync(file, fallback, options);
+    const next = update(current);
+    if (next === undefined) {
+      return current;
+    }
+    writeFileAtomicSync(file, next, options);
+    return next;
+  });
+}
+
+export default {
+  LOCK_STALE_MS,
+  LOCK_TIMEOUT_MS,
+  COMPRESSIONS,
+  FileLockError,
+  readJsonFile,
+  readJsonFileSync,
+  updateJsonFile,
+  updateJsonFileSync,
+  writeJsonFile,
+  writeFileAtomic,
+  writeFileAtomicSync,
+  withFileLock,
+  withFileLockSync
+};
@@ -0,0 +1,149 @@
+// src/rate-limiter.js
+/**
+ * Token-bucket rate limiter for outbound requests
+ * Tokens refill continuously at `requestsPerSecond` up to `burst`; each request
+ * takes one token and waits in a FIFO queue while none are available
+ */
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerSecond - Sustained request rate (Infinity disables limiting)
+ * @param {number} options.burst - Maximum number of requests that can start back to back
+ * @param {Function} options.now - Clock returning milliseconds, for tests
+ * @returns {Object} - Limiter with schedule, backoff and getStats
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/setTimeout | MDN: setTimeout}
+ */
+export function createRateLimiter({ requestsPerSecond = 5, burst = requestsPerSecond, now = Date.now } = {}) {
+  const unlimited = !Number.isFinite(requestsPerSecond);
+  const capacity = Math.max(1, burst);
+  const queue = [];
+
+  let tokens = capacity;
+  let lastRefill = now();
+  let pausedUntil = 0;
+  let timer = null;
+  let throttled = 0;
+
+  // Tokens only accumulate outside of a backoff pause
+  function refill() {
+    const current = now();
+    const from = Math.max(lastRefill, Math.min(pausedUntil, current));
+    tokens = unlimited
+      ? capacity
+      : Math.min(capacity, tokens + ((current - from) / 1000) * requestsPerSecond);
+    lastRefill = current;
+  }
+
+  function wakeAfter(ms) {
+    clearTimeout(timer);
+    timer = setTimeout(drain, Math.max(0, ms));
+  }
+
+  // Start as many queued jobs as there are tokens, then sleep until the next token
+  function drain() {
+    timer = null;
+    refill();
+
+    const current = now();
+    if (current < pausedUntil) {
+      if (queue.length > 0) {
+        wakeAfter(pausedUntil - current);
+      }
+      return;
+    }
+
+    while (queue.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      queue.shift()();
+    }
+
+    if (queue.length > 0) {
+      wakeAfter(Math.ceil(((1 - tokens) / requestsPerSecond) * 1000));
+    }
+  }
+
+  /**
+   * Run a function once the rate limit allows it
+   *
+   * @param {Function} fn - Function returning a promise
+   * @param {Object} options - Scheduling options
+   * @param {AbortSignal} options.signal - Removes the job from the queue if aborted before it starts
+   * @returns {Promise<any>} - Settles like fn's promise, or rejects with the signal's reason
+   */
+  function schedule(fn, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        const index = queue.indexOf(job);
+        if (index !== -1) {
+          queue.splice(index, 1);
+          reject(signal.reason);
+        }
+      };
+
+      const job = () => {
+        signal?.removeEventListener('abort', onAbort);
+        Promise.resolve().then(fn).then(resolve, reject);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      queue.push(job);
+
+      if (queue.length > 1 || timer) {
+        throttled++;
+      } else {
+        drain();
+        if (queue.length > 0) {
+          throttled++;
+        }
+      }
+    });
+  }
+
+  /**
+   * Stop starting requests for a while, e.g. after an HTTP 429 response
+   *
+   * @param {number} ms - How long to pause
+   */
+  function backoff(ms) {
+    refill();
+    pausedUntil = Math.max(pausedUntil, now() + ms);
+    tokens = 0;
+    if (queue.length > 0) {
+      wakeAfter(pausedUntil - now());
+    }
+  }
+
+  /**
+   * Report the limiter's current state
+   *
+   * @returns {Object} - { queued, tokens, pausedForMs, throttled }
+   */
+  function getStats() {
+    refill();
+    return {
+      queued: queue.length,
+      tokens: Math.floor(tokens),
+      pausedForMs: Math.max(0, pausedUntil - now()),
+      throttled
+    };
+  }
+
+  return {
+    schedule,
+    backoff,
+    getStats,
+    getQueueLength: () => queue.length
+  };
+}
+
+export default {
+  createRateLimiter
+};
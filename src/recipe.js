@@ -0,0 +1,223 @@
+// src/recipe.js
+/**
+ * This module converts raw TheMealDB meals into a structured recipe model and back
+ * Raw meals spread ingredients over strIngredient1..20 / strMeasure1..20 and keep
+ * the instructions as one block of text; the recipe model has proper lists instead:
+ *
+ * {
+ *   id, name, category, area,
+ *   tags: ['Meat', 'Casserole'],
+ *   ingredients: [{ name: 'soy sauce', measure: '3/4 cup', quantity: 0.75, unit: 'cup' }],
+ *   steps: ['Preheat oven to 350° F.', ...],
+ *   media: { thumbnail, youtube, source, imageSource }
+ * }
+ */
+
+// TheMealDB always sends this many numbered ingredient/measure fields
+export const MAX_INGREDIENTS = 20;
+
+// Highest rating a favorite can have; the user's details live in favorites.js,
+// but the scale is here so modules that only format recipes can show it
+export const MAX_RATING = 5;
+
+// Unicode fraction characters used in measures, e.g. '½ cup'
+const VULGAR_FRACTIONS = {
+  '¼': 1 / 4,
+  '½': 1 / 2,
+  '¾': 3 / 4,
+  '⅓': 1 / 3,
+  '⅔': 2 / 3,
+  '⅛': 1 / 8
+};
+
+// Spellings seen in measures, mapped to one canonical unit
+const UNIT_ALIASES = {
+  tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons', 'tspn'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tblsp', 'tbls', 'tablespoon', 'tablespoons'],
+  cup: ['cup', 'cups'],
+  g: ['g', 'gram', 'grams', 'gr'],
+  kg: ['kg', 'kgs', 'kilogram', 'kilograms'],
+  ml: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+  l: ['l', 'litre', 'litres', 'liter', 'liters'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  clove: ['clove', 'cloves'],
+  pinch: ['pinch', 'pinches'],
+  handful: ['handful', 'handfuls'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  slice: ['slice', 'slices']
+};
+
+const UNITS = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+// A leading amount: '2', '1.5', '3/4', '1 1/2', '½', '1½'
+const QUANTITY_PATTERN = new RegExp(
+  `^(\\d+/\\d+|\\d+(?:[.,]\\d+)?(?:\\s+\\d+/\\d+)?)?\\s*([${Object.keys(VULGAR_FRACTIONS).join('')}])?`
+);
+
+/**
+ * Turn a number written as '2', '1.5', '3/4' or '1 1/2' into a number
+ *
+ * @param {string} text - Number text
+ * @returns {number} - Parsed value
+ */
+function parseNumber(text) {
+  return text.split(/\s+/).reduce((total, part) => {
+    const [numerator, denominator] = part.split('/');
+    return total + (denominator ? Number(numerator) / Number(denominator) : Number(numerator.replace(',', '.')));
+  }, 0);
+}
+
+/**
+ * Split a free-text measure into a numeric quantity and a canonical unit
+ * Parts that can't be understood become null; the original text is kept in `measure`
+ *
+ * @param {string} measure - e.g. '1 1/2 cups', '200g', '½ tsp', 'To taste'
+ * @returns {Object} - { quantity, unit }, e.g. { quantity: 1.5, unit: 'cup' }
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RegExp/exec | MDN: RegExp.exec}
+ */
+export function parseMeasure(measure) {
+  const text = (measure || '').trim();
+  const [matched, number, fraction] = QUANTITY_PATTERN.exec(text);
+
+  let quantity = null;
+  if (number || fraction) {
+    quantity = (number ? parseNumber(number) : 0) + (fraction ? VULGAR_FRACTIONS[fraction] : 0);
+  }
+
+  // The unit is the first word after the amount, e.g. '200g' or '2 tsp Dried'
+  const [word] = text.slice(matched.length).trim().toLowerCase().split(/[\s.(]/);
+  const unit = UNITS.get(word) || null;
+
+  return { quantity, unit };
+}
+
+/**
+ * Split instructions into steps, one per non-empty line
+ * Leading step labels such as 'STEP 1' or '2.' are dropped
+ *
+ * @param {string} instructions - Instruction text
+ * @returns {Array<string>} - Steps
+ */
+export function splitInstructions(instructions) {
+  return (instructions || '')
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/^(step\s*\d+[.:)]?|\d+[.:)](?=\s|$))\s*/i, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a raw meal has full details, as opposed to the
+ * { idMeal, strMeal, strMealThumb } summaries returned by filter.php
+ *
+ * @param {Object} value - Raw meal
+ * @returns {boolean}
+ */
+export function isFullMeal(value) {
+  return Boolean(value) && typeof value === 'object' && 'strInstructions' in value;
+}
+
+/**
+ * Check whether an object is already a structured recipe rather than a raw meal
+ *
+ * @param {Object} value - Raw meal or recipe
+ * @returns {boolean}
+ */
+export function isRecipe(value) {
+  return Boolean(value) && typeof value === 'object' && 'id' in value && Array.isArray(value.ingredients);
+}
+
+/**
+ * Convert a raw MealDB meal into a structured recipe
+ * Recipes are returned as they are, so callers can accept either shape
+ *
+ * @param {Object} meal - Raw meal from the API
+ * @returns {Object|null} - Structured recipe, or null if there is no meal
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/split | MDN: String.split}
+ */
+export function normalizeMeal(meal) {
+  if (!meal) {
+    return null;
+  }
+  if (isRecipe(meal)) {
+    return meal;
+  }
+
+  const ingredients = [];
+  for (let i = 1; i <= MAX_INGREDIENTS; i++) {
+    const name = (meal[`strIngredient${i}`] || '').trim();
+    if (name) {
+      const measure = (meal[`strMeasure${i}`] || '').trim();
+      ingredients.push({ name, measure, ...parseMeasure(measure) });
+    }
+  }
+
+  return {
+    id: meal.idMeal,
+    name: meal.strMeal,
+    category: meal.strCategory || null,
+    area: meal.strArea || null,
+    tags: (meal.strTags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    ingredients,
+    steps: splitInstructions(meal.strInstructions),
+    media: {
+      thumbnail: meal.strMealThumb || null,
+      youtube: meal.strYoutube || null,
+      source: meal.strSource || null,
+      imageSource: meal.strImageSource || null
+    }
+  };
+}
+
+/**
+ * Convert a structured recipe back into the raw MealDB shape
+ * Raw meals are returned as they are, so callers can accept either shape
+ *
+ * @param {Object} recipe - Structured recipe
+ * @returns {Object|null} - Raw meal, or null if there is no recipe
+ */
+export function toMeal(recipe) {
+  if (!recipe) {
+    return null;
+  }
+  if (!isRecipe(recipe)) {
+    return recipe;
+  }
+
+  const media = recipe.media || {};
+  const meal = {
+    idMeal: recipe.id,
+    strMeal: recipe.name,
+    strCategory: recipe.category,
+    strArea: recipe.area,
+    strInstructions: (recipe.steps || []).join('\r\n'),
+    strMealThumb: media.thumbnail,
+    strTags: recipe.tags && recipe.tags.length > 0 ? recipe.tags.join(',') : null,
+    strYoutube: media.youtube,
+    strSource: media.source,
+    strImageSource: media.imageSource
+  };
+
+  for (let i = 1; i <= MAX_INGREDIENTS; i++) {
+    const ingredient = recipe.ingredients[i - 1];
+    meal[`strIngredient${i}`] = ingredient ? ingredient.name : '';
+    meal[`strMeasure${i}`] = ingredient ? ingredient.measure : '';
+  }
+
+  return meal;
+}
+
+export default {
+  MAX_INGREDIENTS,
+  MAX_RATING,
+  parseMeasure,
+  splitInstructions,
+  isFullMeal,
+  isRecipe,
+  normalizeMeal,
+  toMeal
+};
@@ -0,0 +1,158 @@
+// src/related.js
+/**
+ * This module finds recipes related to a given one
+ * Candidates come from the recipe's category, area and main ingredients, are
+ * scored by what they have in common, and the best ones are fetched in full
+ */
+
+import * as api from './api.js';
+import { CancelledError } from './errors.js';
+import { normalizeMeal } from './recipe.js';
+
+// How much each kind of overlap adds to a candidate's score
+export const DEFAULT_WEIGHTS = {
+  ingredient: 1, // per shared ingredient
+  area: 2,
+  category: 1.5
+};
+
+// Only the first few ingredients are looked up; they are usually the main ones
+const PROBED_INGREDIENTS = 5;
+
+/**
+ * Run a candidate lookup, treating failures as "no candidates"
+ * A missing category or a flaky ingredient lookup shouldn't hide the other
+ * suggestions, but a cancelled request should still stop everything
+ *
+ * @param {Promise<Array>} promise - Lookup in progress
+ * @returns {Promise<Array|null>} - Meals, or null if the lookup failed
+ */
+async function settle(promise) {
+  try {
+    return await promise;
+  } catch (error) {
+    if (error instanceof CancelledError) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Score a candidate against the recipe
+ *
+ * @param {Object} recipe - Structured recipe the suggestions are for
+ * @param {Object} candidate - What the candidate has in common: { ingredients, sameArea, sameCategory }
+ * @param {Object} weights - See DEFAULT_WEIGHTS
+ * @returns {Object} - { score, reasons }
+ */
+function scoreCandidate(recipe, { ingredients, sameArea, sameCategory }, weights) {
+  const reasons = [];
+  let score = 0;
+
+  if (ingredients.length > 0) {
+    score += weights.ingredient * ingredients.length;
+    reasons.push(`shares ${ingredients.join(', ')}`);
+  }
+  if (sameArea) {
+    score += weights.area;
+    reasons.push(`also ${recipe.area}`);
+  }
+  if (sameCategory) {
+    score += weights.category;
+    reasons.push(`also ${recipe.category}`);
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Compare two full recipes
+ *
+ * @param {Object} recipe - Structured recipe the suggestions are for
+ * @param {Object} other - Structured candidate recipe
+ * @param {Object} weights - See DEFAULT_WEIGHTS
+ * @returns {Object} - { score, reasons }
+ */
+function compareRecipes(recipe, other, weights) {
+  const names = new Set(recipe.ingredients.map(ingredient => ingredient.name.toLowerCase()));
+  const lower = value => (value || '').toLowerCase();
+
+  return scoreCandidate(recipe, {
+    ingredients: other.ingredients.map(ingredient => ingredient.name.toLowerCase()).filter(name => names.has(name)),
+    sameArea: Boolean(recipe.area) && lower(recipe.area) === lower(other.area),
+    sameCategory: Boolean(recipe.category) && lower(recipe.category) === lower(other.category)
+  }, weights);
+}
+
+/**
+ * Find recipes related to a recipe
+ * Candidates that share the category, the area or one of the main ingredients
+ * are ranked from the lookup results alone; only the best ones are then
+ * fetched by ID and ranked again on their full ingredient lists
+ *
+ * @param {Object} recipe - Raw meal or structured recipe
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of suggestions
+ * @param {Object} options.weights - Overrides for DEFAULT_WEIGHTS
+ * @param {Object} options.lookup - Replacements for the api.js functions used
+ *   (getMealsByCategory, getMealsByArea, getMealsByIngredient, getMealById), e.g. cached versions
+ * @param {AbortSignal} options.signal - Cancels the search
+ * @returns {Promise<Array<Object>>} - { recipe, score, reasons } sorted by score, best first
+ * @throws {CancelledError} - If the search was cancelled
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ */
+export async function findRelatedRecipes(recipe, { limit = 3, weights = {}, lookup = {}, signal } = {}) {
+  const source = normalizeMeal(recipe);
+  if (!source) {
+    return [];
+  }
+
+  const fetchers = { ...api, ...lookup };
+  const scoring = { ...DEFAULT_WEIGHTS, ...weights };
+  const probed = source.ingredients.slice(0, PROBED_INGREDIENTS).map(ingredient => ingredient.name);
+
+  const [byCategory, byArea, ...byIngredient] = await Promise.all([
+    source.category ? settle(fetchers.getMealsByCategory(source.category, { signal })) : null,
+    source.area ? settle(fetchers.getMealsByArea(source.area, { signal })) : null,
+    ...probed.map(name => settle(fetchers.getMealsByIngredient(name, { signal })))
+  ]);
+
+  // Collect what each candidate was found through
+  const candidates = new Map();
+  const candidateFor = meal => {
+    if (!candidates.has(meal.idMeal)) {
+      candidates.set(meal.idMeal, { meal, ingredients: [], sameArea: false, sameCategory: false });
+    }
+    return candidates.get(meal.idMeal);
+  };
+
+  (byCategory || []).forEach(meal => { candidateFor(meal).sameCategory = true; });
+  (byArea || []).forEach(meal => { candidateFor(meal).sameArea = true; });
+  byIngredient.forEach((meals, index) => {
+    (meals || []).forEach(meal => candidateFor(meal).ingredients.push(probed[index].toLowerCase()));
+  });
+  candidates.delete(source.id);
+
+  // Fetch a few more than needed, since the full ingredient lists can change the order
+  const shortlist = Array.from(candidates.values())
+    .map(candidate => ({ ...candidate, ...scoreCandidate(source, candidate, scoring) }))
+    .sort((a, b) => b.score - a.score || a.meal.strMeal.localeCompare(b.meal.strMeal))
+    .slice(0, limit * 2);
+
+  const hydrated = await Promise.all(shortlist.map(candidate => {
+    return settle(fetchers.getMealById(candidate.meal.idMeal, { signal }));
+  }));
+
+  return hydrated
+    .filter(Boolean)
+    .map(meal => ({ recipe: meal, ...compareRecipes(source, normalizeMeal(meal), scoring) }))
+    .sort((a, b) => b.score - a.score || a.recipe.strMeal.localeCompare(b.recipe.strMeal))
+    .slice(0, limit);
+}
+
+export default {
+  DEFAULT_WEIGHTS,
+  findRelatedRecipes
+};
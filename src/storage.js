@@ -0,0 +1,595 @@
+// src/storage.js
+/**
+ * Storage backends for the cache, favorites and history
+ *
+ * Each namespace (see NAMESPACES) is a key-value store of JSON values,
+ * opened with openStore on the backend chosen by config.storage.backend:
+ * - json: one JSON file per namespace, e.g. data/cache.json (the default)
+ * - sharded: one directory per namespace with one file per key, e.g. data/cache/
+ * - sqlite: one table in data/recipe-explorer.db, using node:sqlite (Node.js 22.5+)
+ *
+ * Every store has the same methods:
+ * - initialize(): create the file, directory or table if needed
+ * - get(key): the value, or undefined
+ * - getAll(): a Map of every key to its value, in the order keys were first stored
+ * - update(mutate) / updateSync(mutate): read, change and write the whole
+ *   namespace as one step that other processes can't interleave with.
+ *   mutate is called (synchronously) with that Map and returns the new Map,
+ *   or undefined to change nothing; the call resolves to the Map now stored
+ * - sizeBytes(): how much space the namespace takes
+ * - location: where the data lives, for messages
+ * - compression: how the json and sharded backends compress their files
+ *   ('none', 'gzip' or 'brotli'); namespaces marked compressible follow
+ *   config.cache.compression, and sqlite stores are never compressed
+ * - migrate(chain, options): json stores only; upgrades the file of a
+ *   versioned namespace written by an older version, see migrations.js
+ */
+
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import {
+  COMPRESSIONS,
+  readJsonFile,
+  readJsonFileSync,
+  updateJsonFile,
+  updateJsonFileSync,
+  writeJsonFile,
+  writeFileAtomic,
+  writeFileAtomicSync,
+  withFileLock,
+  withFileLockSync
+} from './persistence.js';
+import { migrateJsonFile } from './migrations.js';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+export const DEFAULT_DATA_DIR = path.join(__dirname, '../data');
+export const BACKENDS = ['json', 'sharded', 'sqlite'];
+const SQLITE_FILE = 'recipe-explorer.db';
+
+// File name suffix for each compression, e.g. cache.json.gz
+const COMPRESSION_EXTENSIONS = { none: '', gzip: '.gz', brotli: '.br' };
+
+/**
+ * How each namespace is laid out in a single JSON file
+ * - object: { key: value }, e.g. the cache
+ * - array: [value, ...] where keyOf(value) is the key, e.g. history
+ * compressible namespaces are compressed as config.cache.compression says
+ *
+ * A namespace with a schemaVersion is a versioned document instead, with a
+ * header in front of its values:
+ *   { schemaVersion, meta: { createdAt, updatedAt }, [itemsKey]: [value, ...] }
+ * Bump schemaVersion together with a migration from the old version (for
+ * favorites, in favorites.js). The sharded and sqlite backends keep values
+ * one by one and have no header
+ */
+export const NAMESPACES = {
+  cache: { layout: 'object', compressible: true },
+  favorites: { layout: 'array', keyOf: favorite => favorite.idMeal, itemsKey: 'favorites', schemaVersion: 3 },
+  // Named groups of favorites, see favorites.js
+  collections: { layout: 'array', keyOf: collection => collection.name },
+  // History kept by history.js
+  recent: { layout: 'array', keyOf: view => view.idMeal },
+  searches: { layout: 'array', keyOf: search => search.term },
+  // Favorites as of the last merge with another file, see sync.js
+  snapshots: { layout: 'array', keyOf: snapshot => snapshot.file }
+};
+
+/**
+ * A store could not be opened, e.g. an unknown backend or a missing node:sqlite
+ */
+export class StorageError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'StorageError';
+  }
+}
+
+/**
+ * Compare a namespace before and after a change
+ *
+ * @param {Map} before - JSON text of each value as read, by key
+ * @param {Map} next - New values by key
+ * @returns {Object} - { changed: [[key, value]], removed: [key] }
+ */
+function diffEntries(before, next) {
+  const changed = [];
+  for (const [key, value] of next) {
+    if (before.get(key) !== JSON.stringify(value)) {
+      changed.push([key, value]);
+    }
+  }
+  const removed = Array.from(before.keys()).filter(key => !next.has(key));
+  return { changed, removed };
+}
+
+/**
+ * Snapshot values as JSON text, so changes made in place by mutate can be detected
+ *
+ * @param {Map} entries - Values by key
+ * @returns {Map} - JSON text by key
+ */
+function snapshot(entries) {
+  return new Map(Array.from(entries, ([key, value]) => [key, JSON.stringify(value)]));
+}
+
+/**
+ * Find a file left in another compression than the one now configured
+ *
+ * @param {string} base - Path without the compression extension
+ * @param {string} compression - The compression now configured
+ * @returns {string|undefined} - The other compression, if a file with it exists
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fsexistssyncpath | Node.js: fs.existsSync}
+ */
+function findOtherCompression(base, compression) {
+  return COMPRESSIONS.find(other => other !== compression && fsSync.existsSync(`${base}${COMPRESSION_EXTENSIONS[other]}`));
+}
+
+/**
+ * Store a namespace in one JSON file, as the app always has
+ *
+ * @param {string} base - File path without the compression extension, e.g. data/cache.json
+ * @param {Object} options - Layout from NAMESPACES
+ * @param {string} options.compression - One of COMPRESSIONS; the file name gets .gz or .br
+ * @returns {Object} - Store
+ */
+export function createJsonFileStore(base, { layout = 'object', keyOf, itemsKey, schemaVersion, compression = 'none' } = {}) {
+  const file = `${base}${COMPRESSION_EXTENSIONS[compression]}`;
+  const options = { compression };
+  const versioned = schemaVersion !== undefined;
+
+  // The header keeps when the file was created and is stamped on every write
+  const header = previous => {
+    const now = new Date().toISOString();
+    return { schemaVersion, meta: { ...previous?.meta, createdAt: previous?.meta?.createdAt ?? now, updatedAt: now } };
+  };
+  const values = data => {
+    if (!versioned) {
+      return data;
+    }
+    // Never read (and so never overwrite) a file of another version, see migrate
+    if (data?.schemaVersion !== schemaVersion) {
+      throw new StorageError(`${file} has schema version ${data?.schemaVersion ?? 'none'}, expected ${schemaVersion}`);
+    }
+    return data[itemsKey];
+  };
+
+  const empty = () => {
+    if (layout !== 'array') {
+      return {};
+    }
+    return versioned ? { ...header(), [itemsKey]: [] } : [];
+  };
+  const toMap = data => (layout === 'array'
+    ? new Map(values(data).map(value => [keyOf(value), value]))
+    : new Map(Object.entries(data)));
+  const fromMap = (entries, data) => {
+    if (layout !== 'array') {
+      return Object.fromEntries(entries);
+    }
+    return versioned ? { ...data, ...header(data), [itemsKey]: Array.from(entries.values()) } : Array.from(entries.values());
+  };
+
+  // Adapt mutate to the file's layout; the result is kept to return the Map
+  function applyTo(mutate) {
+    let result;
+    const update = data => {
+      const entries = toMap(data);
+      const next = mutate(entries);
+      result = next === undefined ? entries : next;
+      return next === undefined ? undefined : fromMap(next, data);
+    };
+    return { update, result: () => result };
+  }
+
+  return {
+    location: file,
+    compression,
+
+    // A file written with another compression is converted, so changing the setting keeps the data
+    async initialize() {
+      try {
+        await fs.access(file);
+        return;
+      } catch (error) {
+        // Create it below
+      }
+
+      const previous = findOtherCompression(base, compression);
+      if (previous) {
+        const previousFile = `${base}${COMPRESSION_EXTENSIONS[previous]}`;
+        await writeJsonFile(file, await readJsonFile(previousFile, empty(), { compression: previous }), options);
+        await fs.rm(previousFile, { force: true });
+      } else {
+        await writeJsonFile(file, empty(), options);
+      }
+    },
+
+    async get(key) {
+      return (await this.getAll()).get(key);
+    },
+
+    async getAll() {
+      return toMap(await readJsonFile(file, empty(), options));
+    },
+
+    async update(mutate) {
+      const { update, result } = applyTo(mutate);
+      await updateJsonFile(file, update, empty(), options);
+      return result();
+    },
+
+    updateSync(mutate) {
+      const { update, result } = applyTo(mutate);
+      updateJsonFileSync(file, update, empty(), options);
+      return result();
+    },
+
+    async sizeBytes() {
+      try {
+        return (await fs.stat(file)).size;
+      } catch (error) {
+        return 0;
+      }
+    },
+
+    // Upgrade a file written by an older version; options are those of migrations.migrateJsonFile
+    async migrate(chain, migrateOptions = {}) {
+      if (!versioned) {
+        return [];
+      }
+      return migrateJsonFile(file, chain, { ...migrateOptions, version: schemaVersion, compression });
+    }
+  };
+}
+
+/**
+ * Store a namespace as a directory with one JSON file per key, so a change to
+ * one key only rewrites that key's file
+ * Each file holds { key, seq, value }; seq keeps the order keys were added in
+ *
+ * @param {string} directory - Directory path
+ * @param {Object} options - Options
+ * @param {string} options.compression - One of COMPRESSIONS; shard names get .gz or .br
+ * @returns {Object} - Store
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/encodeURIComponent | MDN: encodeURIComponent}
+ */
+export function createShardedStore(directory, { compression = 'none' } = {}) {
+  const extension = `.json${COMPRESSION_EXTENSIONS[compression]}`;
+  const options = { compression };
+  const shardPath = key => path.join(directory, `${encodeURIComponent(key)}${extension}`);
+  const isShard = name => name.endsWith(extension);
+  const order = (a, b) => a.seq - b.seq || a.key.localeCompare(b.key);
+
+  async function readShards() {
+    let names = [];
+    try {
+      names = (await fs.readdir(directory)).filter(isShard);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    const shards = await Promise.all(names.map(name => readJsonFile(path.join(directory, name), null, options)));
+    return shards.filter(Boolean).sort(order);
+  }
+
+  function readShardsSync() {
+    let names = [];
+    try {
+      names = fsSync.readdirSync(directory).filter(isShard);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return names.map(name => readJsonFileSync(path.join(directory, name), null, options)).filter(Boolean).sort(order);
+  }
+
+  // Work out which shard files to write and delete for a change
+  function planUpdate(shards, mutate) {
+    const entries = new Map(shards.map(shard => [shard.key, shard.value]));
+    const seqs = new Map(shards.map(shard => [shard.key, shard.seq]));
+    const before = snapshot(entries);
+    const next = mutate(entries);
+    if (next === undefined) {
+      return { next: entries, writes: [], removals: [] };
+    }
+
+    let seq = shards.reduce((max, shard) => Math.max(max, shard.seq), 0);
+    const { changed, removed } = diffEntries(before, next);
+    return {
+      next,
+      writes: changed.map(([key, value]) => [shardPath(key), { key, seq: seqs.get(key) ?? ++seq, value }]),
+      removals: removed.map(shardPath)
+    };
+  }
+
+  // Rewrite shards left in another compression, so changing the setting keeps the data
+  async function convertShards() {
+    const names = await fs.readdir(directory);
+    for (const other of COMPRESSIONS.filter(other => other !== compression)) {
+      const otherExtension = `.json${COMPRESSION_EXTENSIONS[other]}`;
+      for (const name of names.filter(name => name.endsWith(otherExtension))) {
+        const shard = await readJsonFile(path.join(directory, name), null, { compression: other });
+        if (shard) {
+          await writeFileAtomic(shardPath(shard.key), shard, options);
+        }
+        await fs.rm(path.join(directory, name), { force: true });
+      }
+    }
+  }
+
+  return {
+    location: directory,
+    compression,
+
+    async initialize() {
+      await fs.mkdir(directory, { recursive: true });
+      await withFileLock(directory, convertShards);
+    },
+
+    async get(key) {
+      const shard = await readJsonFile(shardPath(key), null, options);
+      return shard ? shard.value : undefined;
+    },
+
+    async getAll() {
+      return new Map((await readShards()).map(shard => [shard.key, shard.value]));
+    },
+
+    // The whole directory is locked, so a change spanning several keys is never interleaved
+    async update(mutate) {
+      return withFileLock(directory, async () => {
+        const { next, writes, removals } = planUpdate(await readShards(), mutate);
+        await fs.mkdir(directory, { recursive: true });
+        for (const [file, shard] of writes) {
+          await writeFileAtomic(file, shard, options);
+        }
+        for (const file of removals) {
+          await fs.rm(file, { force: true });
+        }
+        return next;
+      });
+    },
+
+    updateSync(mutate) {
+      return withFileLockSync(directory, () => {
+        const { next, writes, removals } = planUpdate(readShardsSync(), mutate);
+        fsSync.mkdirSync(directory, { recursive: true });
+        for (const [file, shard] of writes) {
+          writeFileAtomicSync(file, shard, options);
+        }
+        for (const file of removals) {
+          fsSync.rmSync(file, { force: true });
+        }
+        return next;
+      });
+    },
+
+    async sizeBytes() {
+      let names = [];
+      try {
+        names = (await fs.readdir(directory)).filter(isShard);
+      } catch (error) {
+        return 0;
+      }
+      const sizes = await Promise.all(names.map(async name => (await fs.stat(path.join(directory, name))).size));
+      return sizes.reduce((total, size) => total + size, 0);
+    }
+  };
+}
+
+// Open SQLite databases by path, shared by the namespaces stored in them
+const databases = new Map();
+
+/**
+ * Open (once) a SQLite database with the entries table
+ * WAL mode lets readers carry on while another process writes, and
+ * busy_timeout makes a writer wait for the other process instead of failing
+ *
+ * @param {string} file - Database file path
+ * @returns {Object} - node:sqlite DatabaseSync
+ * @throws {StorageError} - If node:sqlite is not available
+ *
+ * @see {@link https://nodejs.org/api/sqlite.html | Node.js: SQLite}
+ */
+function openDatabase(file) {
+  if (databases.has(file)) {
+    return databases.get(file);
+  }
+
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (error) {
+    throw new StorageError(`The sqlite storage backend needs Node.js 22.5 or later (this is ${process.version})`, { cause: error });
+  }
+
+  fsSync.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new sqlite.DatabaseSync(file);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA busy_timeout = 5000;
+    CREATE TABLE IF NOT EXISTS entries (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (namespace, key)
+    );
+  `);
+  databases.set(file, db);
+  return db;
+}
+
+/**
+ * Store a namespace in a table of a SQLite database
+ * Rows keep their rowid when updated, so ordering by rowid gives the order keys were added in
+ *
+ * @param {string} file - Database file path
+ * @param {string} namespace - Namespace stored in the table's namespace column
+ * @returns {Object} - Store
+ */
+export function createSqliteStore(file, namespace) {
+  const readAll = db => {
+    const rows = db.prepare('SELECT key, value FROM entries WHERE namespace = ? ORDER BY rowid').all(namespace);
+    return new Map(rows.map(row => [row.key, JSON.parse(row.value)]));
+  };
+
+  return {
+    location: `${file} (${namespace})`,
+    compression: 'none',
+
+    async initialize() {
+      openDatabase(file);
+    },
+
+    async get(key) {
+      const row = openDatabase(file).prepare('SELECT value FROM entries WHERE namespace = ? AND key = ?').get(namespace, key);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+
+    async getAll() {
+      return readAll(openDatabase(file));
+    },
+
+    async update(mutate) {
+      return this.updateSync(mutate);
+    },
+
+    // BEGIN IMMEDIATE takes SQLite's write lock before reading, so the read and write are one step
+    updateSync(mutate) {
+      const db = openDatabase(file);
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const entries = readAll(db);
+        const before = snapshot(entries);
+        const next = mutate(entries);
+        if (next !== undefined) {
+          const { changed, removed } = diffEntries(before, next);
+          const upsert = db.prepare(
+            'INSERT INTO entries (namespace, key, value) VALUES (?, ?, ?) ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value'
+          );
+          const remove = db.prepare('DELETE FROM entries WHERE namespace = ? AND key = ?');
+          changed.forEach(([key, value]) => upsert.run(namespace, key, JSON.stringify(value)));
+          removed.forEach(key => remove.run(namespace, key));
+        }
+        db.exec('COMMIT');
+        return next === undefined ? entries : next;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    async sizeBytes() {
+      const row = openDatabase(file)
+        .prepare('SELECT COALESCE(SUM(LENGTH(key) + LENGTH(value)), 0) AS size FROM entries WHERE namespace = ?')
+        .get(namespace);
+      return row.size;
+    }
+  };
+}
+
+/**
+ * Open a namespace on a storage backend
+ *
+ * @param {string} namespace - A namespace from NAMESPACES, e.g. 'cache'
+ * @param {Object} options - Where to store it
+ * @param {string} options.backend - 'json', 'sharded' or 'sqlite' (default: config.storage.backend)
+ * @param {string} options.directory - Data directory (default: config.storage.directory, or data/)
+ * @param {string} options.compression - 'none', 'gzip' or 'brotli' (default: config.cache.compression
+ *   for compressible namespaces, otherwise 'none')
+ * @returns {Object} - Store, see the top of this file
+ * @throws {StorageError} - If the namespace, backend or compression is unknown
+ */
+export function openStore(namespace, {
+  backend = config.storage.backend,
+  directory = config.storage.directory || DEFAULT_DATA_DIR,
+  compression
+} = {}) {
+  const options = NAMESPACES[namespace];
+  if (!options) {
+    throw new StorageError(`Unknown storage namespace "${namespace}"`);
+  }
+
+  compression = compression ?? (options.compressible ? config.cache.compression : 'none');
+  if (!COMPRESSIONS.includes(compression)) {
+    throw new StorageError(`Unknown compression "${compression}", expected one of: ${COMPRESSIONS.join(', ')}`);
+  }
+
+  switch (backend) {
+    case 'json':
+      return createJsonFileStore(path.join(directory, `${namespace}.json`), { ...options, compression });
+    case 'sharded':
+      return createShardedStore(path.join(directory, namespace), { compression });
+    case 'sqlite':
+      return createSqliteStore(path.join(directory, SQLITE_FILE), namespace);
+    default:
+      throw new StorageError(`Unknown storage backend "${backend}", expected one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+/**
+ * Copy every namespace from one backend to another
+ * The target's data for each namespace is replaced. The source is initialized
+ * and its files upgraded with options.migrations first, so data written by an
+ * older version is copied in the current shape; it is not changed otherwise
+ *
+ * @param {string} from - Backend to copy from
+ * @param {string} to - Backend to copy to
+ * @param {Object} options - Migration options
+ * @param {string} options.directory - Data directory for both backends
+ * @param {Array<string>} options.namespaces - Namespaces to copy (default: all)
+ * @param {Object} options.migrations - Migration chains by namespace, e.g. { favorites: favoritesMigrations }
+ * @param {Function} options.onProgress - Called with (namespace, count) after each namespace
+ * @returns {Promise<Object>} - Number of entries copied, by namespace
+ * @throws {StorageError} - If a backend is unknown or the two are the same
+ * @throws {MigrationError} - If a source file can't be upgraded
+ */
+export async function migrateStorage(from, to, { directory, namespaces = Object.keys(NAMESPACES), migrations = {}, onProgress } = {}) {
+  if (from === to) {
+    throw new StorageError(`Both backends are "${from}", nothing to migrate`);
+  }
+
+  const counts = {};
+  for (const namespace of namespaces) {
+    const source = openStore(namespace, { backend: from, directory });
+    const target = openStore(namespace, { backend: to, directory });
+
+    await source.initialize();
+    if (migrations[namespace] && source.migrate) {
+      await source.migrate(migrations[namespace]);
+    }
+    const entries = await source.getAll();
+    await target.initialize();
+    await target.update(() => new Map(entries));
+
+    counts[namespace] = entries.size;
+    if (onProgress) {
+      onProgress(namespace, entries.size);
+    }
+  }
+  return counts;
+}
+
+export default {
+  BACKENDS,
+  NAMESPACES,
+  DEFAULT_DATA_DIR,
+  StorageError,
+  createJsonFileStore,
+  createShardedStore,
+  createSqliteStore,
+  openStore,
+  migrateStorage
+};
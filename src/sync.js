@@ -0,0 +1,353 @@
+// src/sync.js
+/**
+ * Merging favorites with another favorites file, e.g. a teammate's
+ * data/favorites.json or one kept in a shared folder
+ *
+ * Merges are three-way, by idMeal: each side is compared with the base, the
+ * favorites both sides last agreed on, so a change made on one side wins
+ * and a recipe removed on one side is removed from the result. The base is
+ * a snapshot saved after each merge in the 'snapshots' store, one per other
+ * file. Without a base (the first merge with a file) nothing is removed and
+ * lists are combined.
+ *
+ * For a recipe on both sides:
+ * - rating and notes: a change on one side is taken; different changes on
+ *   both sides are a conflict
+ * - tags, cook dates and tweaks: additions from both sides are kept and
+ *   removals on either side are applied
+ * - the MealDB fields: ours, unless only theirs changed them
+ * A recipe changed on one side and removed on the other is a conflict too.
+ * Conflicts are settled by a resolve callback: 'ours', 'theirs', or 'both'
+ * to keep both notes
+ *
+ * syncFavorites writes the result to our favorites (pull), the other file
+ * (push) or both
+ */
+
+import path from 'path';
+import { NAMESPACES, createJsonFileStore, openStore } from './storage.js';
+import { readJsonFile } from './persistence.js';
+import { favoritesMigrations, readAllFavorites, replaceFavorites } from './favorites.js';
+
+const snapshotStore = openStore('snapshots');
+
+// Where syncFavorites can write the merged favorites
+export const SYNC_DIRECTIONS = ['both', 'pull', 'push'];
+
+// What a resolve callback can answer; 'both' only for notes
+export const CONFLICT_RESOLUTIONS = ['ours', 'theirs', 'both'];
+
+// Name of the favorites file in a shared folder
+export const SHARED_FILE = 'favorites.json';
+
+// Fields merged as lists, and every field holding the user's own details
+const LIST_FIELDS = ['tags', 'cookedOn', 'tweaks'];
+const DETAIL_FIELDS = ['rating', 'notes', ...LIST_FIELDS];
+
+/**
+ * Favorites could not be merged, e.g. the other file is not a favorites file
+ */
+export class SyncError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'SyncError';
+  }
+}
+
+/**
+ * JSON text with object keys sorted, so values compare equal whatever order their keys are in
+ *
+ * @param {*} value - Value to compare
+ * @returns {string} - JSON text; undefined is written as null
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify#the_replacer_parameter | MDN: JSON.stringify replacer}
+ */
+function canonical(value) {
+  return JSON.stringify(value ?? null, (key, inner) => (inner && typeof inner === 'object' && !Array.isArray(inner)
+    ? Object.fromEntries(Object.keys(inner).sort().map(name => [name, inner[name]]))
+    : inner));
+}
+
+const same = (a, b) => canonical(a) === canonical(b);
+
+/**
+ * Merge a list such as tags: what either side added is kept, what either side removed is dropped
+ *
+ * @param {Array|undefined} base - The list in the base; undefined without a base, which keeps everything
+ * @param {Array} ours - Our list
+ * @param {Array} theirs - Their list
+ * @returns {Array} - Merged list, ours first
+ */
+function mergeList(base, ours = [], theirs = []) {
+  const inBase = new Set(base || []);
+  const inOurs = new Set(ours);
+  const inTheirs = new Set(theirs);
+  return Array.from(new Set([...ours, ...theirs]))
+    .filter(item => (inOurs.has(item) && inTheirs.has(item)) || !inBase.has(item));
+}
+
+/**
+ * Merge a single value such as a rating
+ * Without a base, a value only one side has is taken
+ *
+ * @param {boolean} hasBase - Whether there is a base to compare with
+ * @param {*} base - The value in the base
+ * @param {*} ours - Our value
+ * @param {*} theirs - Their value
+ * @param {Function} conflict - Called when both sides changed it; returns the value to keep
+ * @returns {*} - Merged value
+ */
+function mergeValue(hasBase, base, ours, theirs, conflict) {
+  if (same(ours, theirs)) {
+    return ours ?? null;
+  }
+  if (hasBase ? same(ours, base) : (ours ?? null) === null) {
+    return theirs ?? null;
+  }
+  if (hasBase ? same(theirs, base) : (theirs ?? null) === null) {
+    return ours ?? null;
+  }
+  return conflict();
+}
+
+/**
+ * Merge a recipe that is a favorite on both sides
+ *
+ * @param {Object|undefined} base - The recipe in the base, if it was there
+ * @param {Object} ours - Our copy
+ * @param {Object} theirs - Their copy
+ * @param {Function} settle - Called with { field, base, ours, theirs } for a conflict; returns the value to keep
+ * @returns {Object} - Merged recipe, its fields in our order
+ */
+function mergeRecipe(base, ours, theirs, settle) {
+  const hasBase = base !== undefined;
+  const merged = { ...ours };
+
+  for (const key of new Set([...Object.keys(ours), ...Object.keys(theirs)])) {
+    if (!DETAIL_FIELDS.includes(key)) {
+      const theirsOnly = hasBase && same(ours[key], base[key]) && !same(theirs[key], base[key]);
+      merged[key] = theirsOnly ? theirs[key] : ours[key] ?? theirs[key];
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (ours[field] !== undefined || theirs[field] !== undefined) {
+      const list = mergeList(base?.[field], ours[field], theirs[field]);
+      merged[field] = field === 'cookedOn' ? list.sort() : list;
+    }
+  }
+
+  for (const field of ['rating', 'notes']) {
+    if (ours[field] !== undefined || theirs[field] !== undefined) {
+      merged[field] = mergeValue(hasBase, base?.[field], ours[field], theirs[field], () => settle({
+        field,
+        base: base?.[field] ?? null,
+        ours: ours[field] ?? null,
+        theirs: theirs[field] ?? null
+      }));
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Three-way merge of two lists of favorites
+ *
+ * @param {Object} sides - What to merge
+ * @param {Array<Object>|null} sides.base - Favorites both sides last agreed on, or null if they never merged
+ * @param {Array<Object>} sides.ours - Our favorites
+ * @param {Array<Object>} sides.theirs - Their favorites
+ * @param {Function} sides.resolve - Called (synchronously) with each conflict,
+ *   { idMeal, strMeal, field, base, ours, theirs }, where field is 'rating', 'notes' or
+ *   'removed' (changed on one side, removed on the other; the removed side is null);
+ *   returns one of CONFLICT_RESOLUTIONS (default: always 'ours')
+ * @returns {Object} - { favorites, conflicts }: the merged favorites, ours first,
+ *   and each conflict with the resolution chosen
+ * @throws {SyncError} - If resolve answers something it can't do
+ */
+export function mergeFavorites({ base = null, ours, theirs, resolve = () => 'ours' }) {
+  const byId = favorites => new Map((favorites || []).map(favorite => [favorite.idMeal, favorite]));
+  const [baseById, oursById, theirsById] = [base, ours, theirs].map(byId);
+  const conflicts = [];
+
+  const settle = (idMeal, strMeal, conflict) => {
+    const resolution = resolve({ idMeal, strMeal, ...conflict });
+    if (!CONFLICT_RESOLUTIONS.includes(resolution) || (resolution === 'both' && conflict.field !== 'notes')) {
+      throw new SyncError(`Can't resolve a conflict over ${conflict.field} of ${strMeal} with "${resolution}"`);
+    }
+    conflicts.push({ idMeal, strMeal, ...conflict, resolution });
+
+    if (resolution === 'both') {
+      return [conflict.ours, conflict.theirs].filter(Boolean).join('\n\n');
+    }
+    return resolution === 'theirs' ? conflict.theirs : conflict.ours;
+  };
+
+  const favorites = [];
+  for (const idMeal of new Set([...oursById.keys(), ...theirsById.keys()])) {
+    const [previous, mine, other] = [baseById, oursById, theirsById].map(side => side.get(idMeal));
+    const { strMeal } = mine || other;
+
+    if (mine && other) {
+      favorites.push(mergeRecipe(previous, mine, other, conflict => settle(idMeal, strMeal, conflict)));
+    } else if (!previous) {
+      // Added on one side
+      favorites.push(mine || other);
+    } else if (!same(mine || other, previous)) {
+      const kept = settle(idMeal, strMeal, { field: 'removed', base: previous, ours: mine ?? null, theirs: other ?? null });
+      if (kept) {
+        favorites.push(kept);
+      }
+    }
+    // Otherwise it was removed on one side and left alone on the other
+  }
+
+  return { favorites, conflicts };
+}
+
+/**
+ * Count what a merge changed on one side
+ *
+ * @param {Array<Object>} before - Favorites before the merge
+ * @param {Array<Object>} after - Favorites after it
+ * @returns {Object} - { added, removed, updated }
+ */
+export function diffFavorites(before, after) {
+  const beforeById = new Map(before.map(favorite => [favorite.idMeal, favorite]));
+  const afterIds = new Set(after.map(favorite => favorite.idMeal));
+  return {
+    added: after.filter(favorite => !beforeById.has(favorite.idMeal)).length,
+    removed: before.filter(favorite => !afterIds.has(favorite.idMeal)).length,
+    updated: after.filter(favorite => beforeById.has(favorite.idMeal) && !same(favorite, beforeById.get(favorite.idMeal))).length
+  };
+}
+
+/**
+ * Read another favorites file, of any schema version (see favorites.favoritesMigrations)
+ * Older files are upgraded in memory only; entries without an idMeal are left out
+ *
+ * @param {string} file - File path
+ * @returns {Promise<Array<Object>|null>} - Favorites, or null if there is no such file
+ * @throws {SyncError} - If the file can't be read or isn't a favorites file
+ */
+export async function readFavoritesFile(file) {
+  let document;
+  try {
+    document = await readJsonFile(file, null);
+  } catch (error) {
+    throw new SyncError(`Could not read ${file}: ${error.message}`, { cause: error });
+  }
+  if (document === null) {
+    return null;
+  }
+
+  try {
+    const { favorites } = favoritesMigrations.upgrade(document, NAMESPACES.favorites.schemaVersion);
+    return favorites.filter(favorite => typeof favorite?.idMeal === 'string');
+  } catch (error) {
+    throw new SyncError(`${file} is not a favorites file this version of the app can read (${error.message})`, { cause: error });
+  }
+}
+
+/**
+ * Write favorites to another favorites file, upgrading it in place first if it is older
+ *
+ * @param {string} file - File path
+ * @param {Array<Object>} favorites - Favorites to write
+ * @param {Array<Object>} expected - What readFavoritesFile returned; if the file has changed since, nothing is written
+ * @returns {Promise<boolean>} - True if written, false if the file changed after expected was read
+ */
+async function writeFavoritesFile(file, favorites, expected) {
+  const store = createJsonFileStore(file, NAMESPACES.favorites);
+  await store.migrate(favoritesMigrations);
+
+  let unchanged = true;
+  await store.update(entries => {
+    unchanged = same(Array.from(entries.values()).filter(favorite => typeof favorite?.idMeal === 'string'), expected);
+    return unchanged ? new Map(favorites.map(favorite => [favorite.idMeal, favorite])) : undefined;
+  });
+  return unchanged;
+}
+
+/**
+ * The favorites file in a shared folder
+ *
+ * @param {string} folder - Folder path, e.g. a synced drive
+ * @returns {string} - File path
+ */
+export function sharedFavoritesFile(folder) {
+  return path.join(folder, SHARED_FILE);
+}
+
+/**
+ * Merge our favorites with another favorites file and save the result
+ * The base for the next merge with the same file is saved afterwards: what
+ * the side that wasn't written holds, or the result when both were
+ *
+ * @param {string} file - The other favorites file; for push and both it is created if missing
+ * @param {Object} options - Options
+ * @param {string} options.direction - One of SYNC_DIRECTIONS: 'pull' saves the result to our
+ *   favorites, 'push' to the other file, 'both' to both (default)
+ * @param {Function} options.resolve - Settles conflicts, see mergeFavorites
+ * @returns {Promise<Object>} - { file, direction, hadBase, conflicts, local, other }; local and other
+ *   are diffFavorites counts for each side written, or null
+ * @throws {SyncError} - If the direction is unknown, the other file can't be read, or a side
+ *   changed while the merge was running (nothing is saved to that side)
+ */
+export async function syncFavorites(file, { direction = 'both', resolve } = {}) {
+  if (!SYNC_DIRECTIONS.includes(direction)) {
+    throw new SyncError(`Unknown sync direction "${direction}", expected one of: ${SYNC_DIRECTIONS.join(', ')}`);
+  }
+  file = path.resolve(file);
+
+  const theirs = await readFavoritesFile(file);
+  if (theirs === null && direction === 'pull') {
+    throw new SyncError(`There is no favorites file at ${file}`);
+  }
+  const ours = await readAllFavorites();
+
+  await snapshotStore.initialize();
+  const snapshot = await snapshotStore.get(file);
+  const { favorites, conflicts } = mergeFavorites({
+    base: snapshot ? snapshot.favorites : null,
+    ours,
+    theirs: theirs || [],
+    resolve
+  });
+
+  const result = { file, direction, hadBase: Boolean(snapshot), conflicts, local: null, other: null };
+  if (direction !== 'pull') {
+    if (!(await writeFavoritesFile(file, favorites, theirs || []))) {
+      throw new SyncError(`${file} changed while merging, so nothing was saved; run the merge again`);
+    }
+    result.other = diffFavorites(theirs || [], favorites);
+  }
+  if (direction !== 'push') {
+    if (!(await replaceFavorites(favorites, { expected: ours }))) {
+      throw new SyncError(`Your favorites changed while merging, so they were not saved${direction === 'both' ? ` (${file} was)` : ''}; run the merge again`);
+    }
+    result.local = diffFavorites(ours, favorites);
+  }
+
+  const bases = { pull: theirs, push: ours, both: favorites };
+  await snapshotStore.update(snapshots => snapshots.set(file, {
+    file,
+    syncedAt: new Date().toISOString(),
+    favorites: bases[direction] || []
+  }));
+
+  return result;
+}
+
+export default {
+  SYNC_DIRECTIONS,
+  CONFLICT_RESOLUTIONS,
+  SHARED_FILE,
+  SyncError,
+  mergeFavorites,
+  diffFavorites,
+  readFavoritesFile,
+  sharedFavoritesFile,
+  syncFavorites
+};
@@ -3,47 +3,87 @@
  * Utility functions for the recipe explorer application
  */
 
+import { normalizeMeal, MAX_RATING } from './recipe.js';
+
 /**
  * Format a recipe for display in the console
  * 
- * @param {Object} recipe - Recipe object
+ * @param {Object} recipe - Raw meal or structured recipe (see recipe.js)
+ * @param {Object} favorite - Optional favorite record for the recipe, whose
+ *   rating, notes, cook log and tweaks are shown after it (see favorites.js)
  * @returns {string} - Formatted recipe string
  * 
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/trim | MDN: String.trim}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals | MDN: Template literals}
  */
-export function formatRecipe(recipe) {
+export function formatRecipe(recipe, favorite) {
   if (!recipe) {
     return 'Recipe not found';
   }
   
-  // Extract ingredients and measures
-  const ingredients = [];
-  for (let i = 1; i <= 20; i++) {
-    const ingredient = recipe[`strIngredient${i}`];
-    const measure = recipe[`strMeasure${i}`];
-    
-    if (ingredient && ingredient.trim() !== '') {
-      ingredients.push(`${measure ? measure.trim() : ''} ${ingredient.trim()}`);
-    }
-  }
+  const { name, category, area, tags, ingredients, steps, media } = normalizeMeal(recipe);
   
   // Build formatted string
   let result = '\n';
-  result += `=== ${recipe.strMeal} ===\n`;
-  result += `Category: ${recipe.strCategory || 'N/A'}\n`;
-  result += `Area: ${recipe.strArea || 'N/A'}\n`;
+  result += `=== ${name} ===\n`;
+  result += `Category: ${category || 'N/A'}\n`;
+  result += `Area: ${area || 'N/A'}\n`;
+  
+  if (tags.length > 0) {
+    result += `Tags: ${tags.join(', ')}\n`;
+  }
+  
   result += '\nIngredients:\n';
   
   for (const ingredient of ingredients) {
-    result += `- ${ingredient}\n`;
+    result += `- ${[ingredient.measure, ingredient.name].filter(Boolean).join(' ')}\n`;
   }
   
   result += '\nInstructions:\n';
-  result += `${recipe.strInstructions}\n`;
   
-  if (recipe.strYoutube) {
-    result += `\nVideo Tutorial: ${recipe.strYoutube}\n`;
+  steps.forEach((step, index) => {
+    result += `${index + 1}. ${step}\n`;
+  });
+  
+  if (media.youtube) {
+    result += `\nVideo Tutorial: ${media.youtube}\n`;
+  }
+  
+  if (favorite) {
+    result += formatFavoriteDetails(favorite);
+  }
+  
+  return result;
+}
+
+/**
+ * Format the user's own details on a favorite: rating, tags, cook log, notes and tweaks
+ * 
+ * @param {Object} favorite - Favorite record, see favorites.js
+ * @returns {string} - Formatted section
+ */
+export function formatFavoriteDetails(favorite) {
+  const { rating, tags = [], cookedOn = [], notes, tweaks = [] } = favorite;
+  
+  let result = '\n--- Your Notes ---\n';
+  result += `Rating: ${rating ? `${'*'.repeat(rating)} (${rating}/${MAX_RATING})` : 'not rated'}\n`;
+  
+  if (tags.length > 0) {
+    result += `Your tags: ${tags.join(', ')}\n`;
+  }
+  
+  result += cookedOn.length > 0
+    ? `Cooked ${cookedOn.length} time${cookedOn.length === 1 ? '' : 's'}, last on ${cookedOn[cookedOn.length - 1]}\n`
+    : 'Not cooked yet\n';
+  
+  if (notes) {
+    result += `Notes: ${notes}\n`;
+  }
+  
+  if (tweaks.length > 0) {
+    result += 'Tweaks:\n';
+    tweaks.forEach((tweak, index) => {
+      result += `${index + 1}. ${tweak}\n`;
+    });
   }
   
   return result;
@@ -52,12 +92,14 @@ export function formatRecipe(recipe) {
 /**
  * Format a list of recipes for display
  * 
- * @param {Array<Object>} recipes - Array of recipe objects
+ * @param {Array<Object>} recipes - Raw meals or structured recipes
+ * @param {Function} describe - Optional function(recipe) returning extra text
+ *   shown after each entry, e.g. why it matched a search
  * @returns {string} - Formatted recipe list
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/forEach | MDN: Array.forEach}
  */
-export function formatRecipeList(recipes) {
+export function formatRecipeList(recipes, describe) {
   if (!recipes || recipes.length === 0) {
     return 'No recipes found';
   }
@@ -66,7 +108,31 @@ export function formatRecipeList(recipes) {
   result += '=== Recipe List ===\n';
   
   recipes.forEach((recipe, index) => {
-    result += `${index + 1}. ${recipe.strMeal} (ID: ${recipe.idMeal})\n`;
+    const { id, name } = normalizeMeal(recipe);
+    const details = describe ? describe(recipe) : '';
+    result += `${index + 1}. ${name} (ID: ${id})${details ? ` - ${details}` : ''}\n`;
+  });
+  
+  return result;
+}
+
+/**
+ * Format related recipe suggestions with the reasons they were picked
+ * 
+ * @param {Array<Object>} related - { recipe, reasons } entries, see related.findRelatedRecipes
+ * @returns {string} - Formatted section, or an empty string if there are no suggestions
+ */
+export function formatRelatedRecipes(related) {
+  if (!related || related.length === 0) {
+    return '';
+  }
+  
+  let result = '\n';
+  result += '=== You might also like ===\n';
+  
+  related.forEach(({ recipe, reasons }, index) => {
+    const { id, name } = normalizeMeal(recipe);
+    result += `${index + 1}. ${name} (ID: ${id}) - ${reasons.join('; ')}\n`;
   });
   
   return result;
@@ -118,27 +184,134 @@ export async function runWithConcurrency(tasks, concurrency = 3) {
 
 /**
  * Execute a function with a timeout
+ * The function receives an AbortSignal that is aborted when the timeout
+ * fires, so it can stop its work (e.g. pass it on to fetch)
  * 
- * @param {Function} fn - Function that returns a promise
+ * @param {Function} fn - Function(signal) that returns a promise
  * @param {number} timeoutMs - Timeout in milliseconds
  * @param {any} fallbackValue - Value to return if timeout occurs
  * @returns {Promise<any>} - Function result or fallback value
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
  */
 export async function withTimeout(fn, timeoutMs, fallbackValue) {
-  // Create a promise that rejects after the timeout
+  const controller = new AbortController();
+  let timer;
+  
+  // Create a promise that rejects (and aborts the work) after the timeout
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('Operation timed out')), timeoutMs);
+    timer = setTimeout(() => {
+      const error = new Error('Operation timed out');
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
   });
   
   try {
     // Race the function against the timeout
-    return await Promise.race([fn(), timeoutPromise]);
+    return await Promise.race([fn(controller.signal), timeoutPromise]);
   } catch (error) {
     console.error('Operation timed out:', error.message);
     return fallbackValue;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * 
+ * @param {number} ms - How long to wait
+ * @param {AbortSignal} signal - Optional signal that cuts the wait short
+ * @returns {Promise<void>} - Resolves after the delay, rejects with the signal's reason if aborted
+ * 
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/setTimeout | MDN: setTimeout}
+ */
+export function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Format a byte count for display, e.g. 1536 -> '1.5 KB'
+ * 
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human-readable size
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+// Duration units, largest first, as used by formatDuration and parseDuration
+const DURATION_UNITS = [
+  ['d', 24 * 60 * 60 * 1000],
+  ['h', 60 * 60 * 1000],
+  ['m', 60 * 1000],
+  ['s', 1000]
+];
+
+/**
+ * Format a duration for display using its two largest units, e.g. '3d 4h' or '45s'
+ * 
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Human-readable duration
+ */
+export function formatDuration(ms) {
+  const rest = Math.max(0, ms);
+  const first = DURATION_UNITS.findIndex(([, size]) => rest >= size);
+  if (first === -1) {
+    return '0s';
+  }
+
+  const [unit, size] = DURATION_UNITS[first];
+  const parts = [`${Math.floor(rest / size)}${unit}`];
+  const next = DURATION_UNITS[first + 1];
+  if (next && Math.floor((rest % size) / next[1]) > 0) {
+    parts.push(`${Math.floor((rest % size) / next[1])}${next[0]}`);
   }
+  return parts.join(' ');
+}
+
+/**
+ * Parse a duration such as '7d', '12h', '30m', '45s' or '1d 12h' into milliseconds
+ * 
+ * @param {string} text - Duration text
+ * @returns {number|null} - Milliseconds, or null if the text isn't a duration
+ * 
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/matchAll | MDN: String.matchAll}
+ */
+export function parseDuration(text) {
+  const trimmed = (text || '').trim().toLowerCase();
+  if (!/^(\d+\s*[dhms]\s*)+$/.test(trimmed)) {
+    return null;
+  }
+
+  const sizes = new Map(DURATION_UNITS);
+  return Array.from(trimmed.matchAll(/(\d+)\s*([dhms])/g))
+    .reduce((total, [, count, unit]) => total + Number(count) * sizes.get(unit), 0);
 }
 
 /**
@@ -166,8 +339,14 @@ export async function tryStrategies(strategies) {
 
 export default {
   formatRecipe,
+  formatFavoriteDetails,
   formatRecipeList,
+  formatRelatedRecipes,
   runWithConcurrency,
   withTimeout,
+  delay,
+  formatBytes,
+  formatDuration,
+  parseDuration,
   tryStrategies
 };
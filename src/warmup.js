@@ -0,0 +1,73 @@
+// src/warmup.js
+/**
+ * This module fills the cache ahead of time so the app keeps working offline,
+ * e.g. before a trip: saved searches are run, and full details are fetched
+ * for the given recipes and for every recipe the searches found
+ */
+
+import { runWithConcurrency } from './utils.js';
+import { CancelledError } from './errors.js';
+
+/**
+ * Fetch and cache everything the user cares about
+ * A failed search or recipe is reported and the rest carries on
+ *
+ * @param {Object} targets - What to warm up
+ * @param {Array<string>} targets.recipeIds - Recipes to cache, e.g. favorites and recently viewed ones
+ * @param {Array<string>} targets.searchTerms - Searches to cache, along with the recipes they find
+ * @param {Object} options - Warm-up options
+ * @param {Object} options.lookup - { searchMealsByName(term, { signal }), getMealById(id, { signal }) },
+ *   cached lookups that keep their results (see the app's warm-up)
+ * @param {number} options.concurrency - Maximum number of lookups at once
+ * @param {Function} options.onProgress - Called with (done, total, label) after each lookup; total
+ *   grows once the searches have found their recipes
+ * @param {AbortSignal} options.signal - Cancels the warm-up
+ * @returns {Promise<Object>} - { searches, recipes, failures } where searches and recipes count
+ *   what was cached and failures lists { label, error } for what could not be
+ * @throws {CancelledError} - If the warm-up was cancelled
+ */
+export async function warmUpCache({ recipeIds = [], searchTerms = [] }, { lookup, concurrency = 3, onProgress, signal } = {}) {
+  const failures = [];
+  let done = 0;
+  let total = recipeIds.length + searchTerms.length;
+
+  // Lookups report their own failures, so runWithConcurrency only sees results
+  const run = (targets, describe, fetch) => runWithConcurrency(targets.map(target => async () => {
+    try {
+      return await fetch(target);
+    } catch (error) {
+      if (!(error instanceof CancelledError)) {
+        failures.push({ label: describe(target), error });
+      }
+      return null;
+    } finally {
+      done++;
+      if (onProgress) {
+        onProgress(done, total, describe(target));
+      }
+    }
+  }), concurrency);
+
+  const searchResults = await run(searchTerms, term => `search "${term}"`, term => lookup.searchMealsByName(term, { signal }));
+
+  // Searches return the recipes they found, which need their own entries to be viewed offline
+  const foundIds = searchResults.filter(Boolean).flat().map(meal => meal.idMeal);
+  const ids = Array.from(new Set([...recipeIds, ...foundIds]));
+  total += ids.length - recipeIds.length;
+
+  const recipes = await run(ids, id => `recipe ${id}`, id => lookup.getMealById(id, { signal }));
+
+  if (signal?.aborted) {
+    throw new CancelledError('Warm-up cancelled', { cause: signal.reason });
+  }
+
+  return {
+    searches: searchResults.filter(result => result !== null).length,
+    recipes: recipes.filter(result => result !== null).length,
+    failures
+  };
+}
+
+export default {
+  warmUpCache
+};
@@ -1,6 +1,8 @@
 // test/api.test.js
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
 import * as api from '../src/api.js';
+import { configureRateLimiter } from '../src/http.js';
+import { NetworkError, TimeoutError, CancelledError, HttpError, ParseError, NotFoundError } from '../src/errors.js';
 
 // Mock global fetch
 global.fetch = vi.fn();
@@ -15,6 +17,21 @@ describe('API Module', () => {
     };
   }
   
+  // Every request is made with an AbortSignal so it can be cancelled
+  const withSignal = expect.objectContaining({ signal: expect.any(AbortSignal) });
+  
+  // A fetch that never answers, but rejects like the real one when aborted
+  function hangingFetch(url, { signal }) {
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+    });
+  }
+  
+  // Don't slow the tests down with the default request rate
+  beforeAll(() => {
+    configureRateLimiter({ requestsPerSecond: Infinity });
+  });
+  
   // Reset mocks before each test
   beforeEach(() => {
     fetch.mockReset();
@@ -37,7 +54,7 @@ describe('API Module', () => {
       const result = await api.searchMealsByName('test');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=test');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=test', withSignal);
       
       // Verify results
       expect(result).toEqual(mockMeals.meals);
@@ -54,32 +71,51 @@ describe('API Module', () => {
       const result = await api.searchMealsByName('nonexistent');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=nonexistent');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=nonexistent', withSignal);
       
       // Verify empty array returned
       expect(result).toEqual([]);
     });
     
-    it('should handle API errors gracefully', async () => {
+    it('should reject with an HttpError on API errors', async () => {
       // Mock fetch to return an error response
       fetch.mockResolvedValueOnce(createMockResponse({}, false, 500));
       
-      // Call the function
-      const result = await api.searchMealsByName('test');
-      
-      // Verify empty array returned
-      expect(result).toEqual([]);
+      // Verify the status code is reported rather than an empty result
+      await expect(api.searchMealsByName('test')).rejects.toMatchObject({
+        name: 'HttpError',
+        status: 500
+      });
     });
     
-    it('should handle network errors gracefully', async () => {
+    it('should reject with a NetworkError on network errors', async () => {
       // Mock fetch to throw an error
       fetch.mockRejectedValueOnce(new Error('Network error'));
       
-      // Call the function
+      await expect(api.searchMealsByName('test')).rejects.toBeInstanceOf(NetworkError);
+    });
+    
+    it('should back off and retry when rate limited', async () => {
+      fetch.mockResolvedValueOnce({
+        ...createMockResponse({}, false, 429),
+        headers: new Headers({ 'Retry-After': '0' })
+      });
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: [{ idMeal: '1', strMeal: 'Test Recipe' }] }));
+      
       const result = await api.searchMealsByName('test');
       
-      // Verify empty array returned
-      expect(result).toEqual([]);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(result).toHaveLength(1);
+    });
+    
+    it('should reject with a ParseError on malformed JSON', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.reject(new SyntaxError('Unexpected token <'))
+      });
+      
+      await expect(api.searchMealsByName('test')).rejects.toBeInstanceOf(ParseError);
     });
   });
   
@@ -99,24 +135,23 @@ describe('API Module', () => {
       const result = await api.getMealById('123');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=123');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=123', withSignal);
       
       // Verify result
       expect(result).toEqual(mockMeal.meals[0]);
     });
     
-    it('should return null when meal not found', async () => {
+    it('should reject with NotFoundError when meal not found', async () => {
       // Mock data with null meals
       const mockResponse = { meals: null };
       
       // Mock fetch to return null meals
       fetch.mockResolvedValueOnce(createMockResponse(mockResponse));
       
-      // Call the function
-      const result = await api.getMealById('999');
+      await expect(api.getMealById('999')).rejects.toBeInstanceOf(NotFoundError);
       
-      // Verify null returned
-      expect(result).toBeNull();
+      // "Not found" is an answer, not a failure, so it is not retried
+      expect(fetch).toHaveBeenCalledTimes(1);
     });
     
     it('should retry on failure', async () => {
@@ -140,6 +175,13 @@ describe('API Module', () => {
       // Verify result
       expect(result).toEqual(mockMeal.meals[0]);
     });
+    
+    it('should give up after the last attempt', async () => {
+      fetch.mockRejectedValue(new Error('Network error'));
+      
+      await expect(api.getMealById('123', 1)).rejects.toBeInstanceOf(NetworkError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
   });
   
   describe('searchMealsByFirstLetter', () => {
@@ -169,8 +211,8 @@ describe('API Module', () => {
       
       // Verify fetch was called correctly
       expect(fetch).toHaveBeenCalledTimes(2);
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=a');
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=b');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=a', withSignal);
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=b', withSignal);
       
       // Verify results are combined
       expect(result.length).toBe(4);
@@ -221,31 +263,227 @@ describe('API Module', () => {
       const result = await api.getMealsByIngredient('chicken');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken', withSignal);
       
       // Verify results
       expect(result).toEqual(mockMeals.meals);
     });
     
-    it('should handle timeout gracefully', async () => {
-      // This test is complex because we need to mock Promise.race behavior
-      // For simplicity, we'll just mock fetch to delay longer than the timeout
+    it('should reject with a TimeoutError when the request takes too long', async () => {
+      fetch.mockImplementationOnce(hangingFetch);
+      
+      // Call the function with a very short timeout
+      await expect(api.getMealsByIngredient('chicken', 10)).rejects.toBeInstanceOf(TimeoutError);
+      
+      // The request itself is aborted, not left running
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+    
+    it('should accept the timeout as an option', async () => {
+      fetch.mockImplementationOnce(hangingFetch);
+      
+      await expect(api.getMealsByIngredient('chicken', { timeoutMs: 10 })).rejects.toBeInstanceOf(TimeoutError);
+    });
+  });
+  
+  describe('cancellation', () => {
+    it('should abort an in-flight request when the signal aborts', async () => {
+      fetch.mockImplementationOnce(hangingFetch);
+      const controller = new AbortController();
+      
+      const promise = api.searchMealsByName('test', { signal: controller.signal });
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+      controller.abort();
+      
+      await expect(promise).rejects.toBeInstanceOf(CancelledError);
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+    
+    it('should not send a request when the signal has already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
       
-      // Mock a delayed fetch that takes longer than the timeout
-      fetch.mockImplementationOnce(() => {
-        return new Promise(resolve => {
-          setTimeout(() => {
-            resolve(createMockResponse({ meals: [] }));
-          }, 100); // Longer than our test timeout
-        });
+      await expect(api.searchMealsByName('test', { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+    
+    it('should not retry a cancelled lookup', async () => {
+      fetch.mockImplementationOnce(hangingFetch);
+      const controller = new AbortController();
+      
+      const promise = api.getMealById('123', { signal: controller.signal });
+      await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+      controller.abort();
+      
+      await expect(promise).rejects.toBeInstanceOf(CancelledError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should pass the signal to every ingredient lookup', async () => {
+      const controller = new AbortController();
+      const fetchFn = vi.fn().mockResolvedValue([]);
+      
+      await api.searchMealsByIngredients(['a'], ['b'], { fetchFn, signal: controller.signal });
+      
+      expect(fetchFn).toHaveBeenCalledWith('a', { signal: controller.signal });
+      expect(fetchFn).toHaveBeenCalledWith('b', { signal: controller.signal });
+    });
+  });
+  
+  describe('searchMealsByIngredients', () => {
+    const byIngredient = {
+      chicken: [
+        { idMeal: '1', strMeal: 'Lemon Garlic Chicken' },
+        { idMeal: '2', strMeal: 'Chicken Curry' },
+        { idMeal: '3', strMeal: 'Chicken Soup' }
+      ],
+      lemon: [
+        { idMeal: '1', strMeal: 'Lemon Garlic Chicken' },
+        { idMeal: '3', strMeal: 'Chicken Soup' },
+        { idMeal: '4', strMeal: 'Lemon Tart' }
+      ],
+      garlic: [
+        { idMeal: '1', strMeal: 'Lemon Garlic Chicken' },
+        { idMeal: '2', strMeal: 'Chicken Curry' }
+      ],
+      cream: [
+        { idMeal: '2', strMeal: 'Chicken Curry' }
+      ]
+    };
+    
+    beforeEach(() => {
+      fetch.mockImplementation(url => {
+        const ingredient = new URL(url).searchParams.get('i');
+        return Promise.resolve(createMockResponse({ meals: byIngredient[ingredient] || null }));
       });
+    });
+    
+    it('should fetch every ingredient and keep meals that use all of them', async () => {
+      const result = await api.searchMealsByIngredients(['Chicken', 'lemon', 'garlic']);
+      
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken', withSignal);
+      expect(result).toEqual([
+        { idMeal: '1', strMeal: 'Lemon Garlic Chicken', matchedIngredients: ['chicken', 'lemon', 'garlic'] }
+      ]);
+    });
+    
+    it('should rank partial matches by number of ingredients used', async () => {
+      const result = await api.searchMealsByIngredients(['chicken', 'lemon', 'garlic'], [], { minMatches: 1 });
+      
+      expect(result.map(meal => [meal.idMeal, meal.matchedIngredients.length])).toEqual([
+        ['1', 3],
+        ['2', 2],
+        ['3', 2],
+        ['4', 1]
+      ]);
+    });
+    
+    it('should drop meals that use an excluded ingredient', async () => {
+      const result = await api.searchMealsByIngredients(['chicken', 'garlic'], ['cream'], { minMatches: 1 });
       
-      // Call the function with a very short timeout
-      const result = await api.getMealsByIngredient('chicken', 10); // 10ms timeout
+      expect(result.map(meal => meal.idMeal)).toEqual(['1', '3']);
+    });
+    
+    it('should use the provided fetch function', async () => {
+      const fetchFn = vi.fn().mockResolvedValue([{ idMeal: '9', strMeal: 'Cached' }]);
+      
+      const result = await api.searchMealsByIngredients(['a', 'b'], [], { fetchFn });
+      
+      expect(fetch).not.toHaveBeenCalled();
+      expect(fetchFn).toHaveBeenCalledWith('a', { signal: undefined });
+      expect(fetchFn).toHaveBeenCalledWith('b', { signal: undefined });
+      expect(result).toHaveLength(1);
+    });
+    
+    it('should reject if any ingredient request fails', async () => {
+      fetch.mockImplementation(url => Promise.resolve(
+        url.endsWith('lemon') ? createMockResponse({}, false, 500) : createMockResponse({ meals: null })
+      ));
+      
+      await expect(api.searchMealsByIngredients(['chicken', 'lemon'])).rejects.toBeInstanceOf(HttpError);
+    });
+  });
+  
+  describe('getRelatedRecipes', () => {
+    it('should return other meals from the same category', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({
+        meals: [
+          { idMeal: '1', strMeal: 'Chicken Curry' },
+          { idMeal: '2', strMeal: 'Chicken Soup' },
+          { idMeal: '3', strMeal: 'Chicken Pie' }
+        ]
+      }));
+      
+      const result = await api.getRelatedRecipes({ idMeal: '1', strCategory: 'Chicken' }, 1);
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?c=Chicken', withSignal);
+      expect(result).toEqual([{ idMeal: '2', strMeal: 'Chicken Soup' }]);
+    });
+  });
+  
+  describe('getRandomMeal', () => {
+    it('should return a single meal object', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: [{ idMeal: '7', strMeal: 'Surprise' }] }));
+      
+      const result = await api.getRandomMeal();
+      
+      expect(result).toEqual({ idMeal: '7', strMeal: 'Surprise' });
+    });
+    
+    it('should reject with NotFoundError when no meal is returned', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: null }));
+      
+      await expect(api.getRandomMeal()).rejects.toBeInstanceOf(NotFoundError);
+    });
+    
+    it('should reject with an HttpError when the API is down', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({}, false, 503));
+      
+      await expect(api.getRandomMeal()).rejects.toBeInstanceOf(HttpError);
+    });
+  });
+  
+  describe('catalogs', () => {
+    it('should list category names', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({
+        meals: [{ strCategory: 'Beef' }, { strCategory: 'Chicken' }]
+      }));
+      
+      const result = await api.listCategories();
       
-      // Result should be the error message string
-      expect(typeof result).toBe('string');
-      expect(result).toContain('took too long');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/list.php?c=list', withSignal);
+      expect(result).toEqual(['Beef', 'Chicken']);
+    });
+    
+    it('should list area names', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({
+        meals: [{ strArea: 'British' }, { strArea: 'Italian' }]
+      }));
+      
+      const result = await api.listAreas();
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/list.php?a=list', withSignal);
+      expect(result).toEqual(['British', 'Italian']);
+    });
+    
+    it('should read full categories from the categories property', async () => {
+      const categories = [{ idCategory: '1', strCategory: 'Beef', strCategoryDescription: 'Beef dishes' }];
+      fetch.mockResolvedValueOnce(createMockResponse({ categories }));
+      
+      const result = await api.getCategories();
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/categories.php', withSignal);
+      expect(result).toEqual(categories);
+    });
+    
+    it('should get meals by area', async () => {
+      fetch.mockResolvedValueOnce(createMockResponse({ meals: null }));
+      
+      const result = await api.getMealsByArea('Jamaican');
+      
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?a=Jamaican', withSignal);
+      expect(result).toEqual([]);
     });
   });
 });
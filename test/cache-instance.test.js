@@ -0,0 +1,78 @@
+// test/cache-instance.test.js
+// Caches from createCache, against real files and a fake clock instead of a mocked fs
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createCache } from '../src/cache.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('createCache', () => {
+  let directory;
+  let file;
+  let time;
+  let caches;
+  const now = () => time;
+  const open = options => {
+    const cache = createCache({ now, ...options });
+    caches.push(cache);
+    return cache;
+  };
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-cache-'));
+    file = path.join(directory, 'cache.json');
+    time = 1_000_000;
+    caches = [];
+  });
+
+  afterEach(async () => {
+    // Don't leave access times behind for the exit handlers to write
+    caches.forEach(cache => cache.resetMemoryCache());
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should expire entries by the injected clock and ttl', async () => {
+    const cache = open({ file, ttl: HOUR });
+    await cache.saveToCache('notes', { id: 1 });
+    await cache.flushCache();
+
+    expect(JSON.parse(await fs.readFile(file, 'utf-8'))).toEqual({ notes: { timestamp: 1_000_000, data: { id: 1 } } });
+
+    time += HOUR - 1;
+    expect(await cache.getFromCache('notes')).toEqual({ id: 1 });
+
+    time += 1;
+    expect(await cache.getFromCache('notes')).toBeNull();
+    expect(await cache.clearExpiredCache()).toBe(1);
+  });
+
+  it('should keep instances apart', async () => {
+    const first = open({ file });
+    const second = open({ file: path.join(directory, 'other.json') });
+
+    await first.getCachedOrFetch('search_soup', async () => [{ idMeal: '1' }]);
+    await first.flushCache();
+
+    expect(await second.getFromCache('search_soup')).toBeNull();
+    expect(first.getCacheStats()).toMatchObject({ misses: 1, memoryEntries: 1 });
+    expect(second.getCacheStats()).toMatchObject({ misses: 0, memoryEntries: 0 });
+    expect((await second.getCacheSummary()).location).toBe(path.join(directory, 'other.json'));
+  });
+
+  it('should store data through the serializer', async () => {
+    const serializer = {
+      serialize: data => ({ data: data.join(',') }),
+      deserialize: entry => entry.data.split(',')
+    };
+    const cache = open({ file, serializer });
+    await cache.saveToCache('tags', ['a', 'b']);
+    await cache.flushCache();
+
+    expect(JSON.parse(await fs.readFile(file, 'utf-8')).tags.data).toBe('a,b');
+
+    const reopened = open({ file, serializer });
+    expect(await reopened.getFromCache('tags')).toEqual(['a', 'b']);
+  });
+});
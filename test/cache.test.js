@@ -1,5 +1,5 @@
 // test/cache.test.js
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -9,18 +9,27 @@ vi.mock('fs/promises', () => {
   const readFile = vi.fn();
   const writeFile = vi.fn();
   const mkdir = vi.fn();
+  // Used by persistence.js for atomic writes and the lock directory
+  const rename = vi.fn();
+  const rm = vi.fn();
+  const stat = vi.fn();
   return {
     __esModule: true,
-    default: { access, readFile, writeFile, mkdir },
+    default: { access, readFile, writeFile, mkdir, rename, rm, stat },
     access,
     readFile,
     writeFile,
     mkdir,
+    rename,
+    rm,
+    stat,
   };
 });
 
 import * as cache from '../src/cache.js';
 import * as fs from 'fs/promises';
+import { CancelledError } from '../src/errors.js';
+import { config } from '../src/config.js';
 
 // Get the cache file path (for reference)
 const __filename = fileURLToPath(import.meta.url);
@@ -31,6 +40,12 @@ describe('Cache Module', () => {
   beforeEach(() => {
     vi.resetAllMocks();
     vi.useRealTimers();
+    cache.resetMemoryCache();
+  });
+
+  // Don't leave unflushed entries behind for the exit handler
+  afterEach(() => {
+    cache.resetMemoryCache();
   });
 
   describe('initializeCache', () => {
@@ -121,6 +136,9 @@ describe('Cache Module', () => {
       const newData = { id: 1, name: 'Test Data' };
       const result = await cache.saveToCache('test_key', newData);
       expect(result).toBe(true);
+      // Writes are batched until the next flush
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      await expect(cache.flushCache()).resolves.toBe(true);
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('cache.json'),
         expect.stringContaining('test_key')
@@ -131,7 +149,354 @@ describe('Cache Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
       fs.readFile.mockRejectedValueOnce(new Error('File system error'));
       const result = await cache.saveToCache('test_key', { id: 1 });
-      expect(result).toBe(false);
+      expect(result).toBe(true);
+      await expect(cache.flushCache()).resolves.toBe(false);
+
+      // The entry is kept for the next flush
+      expect(cache.getCacheStats().unflushed).toBe(1);
+    });
+
+    it('should store full meals as structured recipes and read them back as raw meals', async () => {
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
+      const meal = { idMeal: '1', strMeal: 'Pie', strInstructions: 'Bake.', strIngredient1: 'Flour', strMeasure1: '200g' };
+      await cache.saveToCache('recipe_1', [meal]);
+      await cache.flushCache();
+      cache.resetMemoryCache();
+
+      const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(saved.recipe_1.format).toBe('recipe');
+      expect(saved.recipe_1.data[0]).toMatchObject({ id: '1', ingredients: [{ name: 'Flour', quantity: 200, unit: 'g' }] });
+
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(saved));
+      const [cached] = await cache.getFromCache('recipe_1');
+      expect(cached).toMatchObject(meal);
+      expect(cached.strIngredient2).toBe('');
+    });
+  });
+
+  describe('memory tier', () => {
+    it('should serve repeated lookups from memory', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ test_key: { timestamp: Date.now(), data: { id: 1 } } }));
+
+      await cache.getFromCache('test_key');
+      await cache.getFromCache('test_key');
+
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should serve saved entries before they are flushed', async () => {
+      await cache.saveToCache('test_key', { id: 1 });
+
+      await expect(cache.getFromCache('test_key')).resolves.toEqual({ id: 1 });
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should write a batch of saves in one flush', async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue('');
+      await cache.saveToCache('a', 1);
+      await cache.saveToCache('b', 2);
+
+      await cache.flushCache();
+
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(Object.keys(JSON.parse(fs.writeFile.mock.calls[0][1]))).toEqual(['a', 'b']);
+      expect(cache.getCacheStats().unflushed).toBe(0);
+    });
+
+    it('should flush on an interval', async () => {
+      vi.useFakeTimers();
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      await cache.saveToCache('a', 1);
+
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should evict the least recently used entries', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      for (let i = 0; i < 501; i++) {
+        await cache.saveToCache(`key_${i}`, i);
+      }
+
+      expect(cache.getCacheStats().memoryEntries).toBe(500);
+      // Evicted but unflushed entries are still found
+      await expect(cache.getFromCache('key_0')).resolves.toBe(0);
+    });
+  });
+
+  describe('cache policies', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    it('should pick the policy by key prefix and apply overrides', () => {
+      expect(cache.getCachePolicy('search_chicken')).toMatchObject({ ttl: 6 * HOUR, cacheEmpty: true });
+      expect(cache.getCachePolicy('categories_list')).toEqual(cache.DEFAULT_POLICY);
+      expect(cache.getCachePolicy('recipe_1', { ttl: 1000 })).toMatchObject({ ttl: 1000, maxEntries: 1000 });
+    });
+
+    it('should expire entries by their namespace TTL', async () => {
+      const sevenHoursAgo = Date.now() - 7 * HOUR;
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        search_soup: { timestamp: sevenHoursAgo, data: [1] },
+        recipe_1: { timestamp: sevenHoursAgo, data: { id: 1 } }
+      }));
+
+      await expect(cache.getFromCache('search_soup')).resolves.toBeNull();
+      await expect(cache.getFromCache('recipe_1')).resolves.toEqual({ id: 1 });
+    });
+
+    it('should not cache empty results where the policy says so', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+
+      await cache.getCachedOrFetch('recipe_nothing', vi.fn().mockResolvedValue(null));
+      await cache.getCachedOrFetch('ingredient_nothing', vi.fn().mockResolvedValue([]));
+
+      expect(cache.getCacheStats().unflushed).toBe(1);
+      await expect(cache.getFromCache('ingredient_nothing')).resolves.toEqual([]);
+    });
+
+    it('should never cache random results', async () => {
+      const fetchFn = vi.fn().mockResolvedValue({ idMeal: '1' });
+
+      await cache.getCachedOrFetch('random_meal', fetchFn);
+      await cache.getCachedOrFetch('random_meal', fetchFn);
+
+      expect(fetchFn).toHaveBeenCalledTimes(2);
+      expect(cache.getCacheStats().unflushed).toBe(0);
+    });
+
+    it('should let a call ask for fresher data than the policy', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ recipe_1: { timestamp: Date.now() - HOUR, data: { id: 1 } } }));
+      const fetchFn = vi.fn().mockResolvedValue({ id: 1, fresh: true });
+
+      const result = await cache.getCachedOrFetch('recipe_1', fetchFn, { ttl: 60 * 1000 });
+
+      expect(result).toEqual({ id: 1, fresh: true });
+    });
+
+    it('should never cache an error returned as data, but cache strings', async () => {
+      await cache.getCachedOrFetch('ingredient_chicken', vi.fn().mockResolvedValue(new Error('The request took too long.')));
+      expect(cache.getCacheStats().unflushed).toBe(0);
+
+      await cache.getCachedOrFetch('motd_today', vi.fn().mockResolvedValue('Try the soup'));
+      expect(cache.getCacheStats().unflushed).toBe(1);
+    });
+
+    it('should keep empty results for the shorter emptyTtl', async () => {
+      const twentyMinutesAgo = Date.now() - 20 * 60 * 1000;
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        ingredient_none: { timestamp: twentyMinutesAgo, data: [] },
+        ingredient_some: { timestamp: twentyMinutesAgo, data: [1] }
+      }));
+
+      await expect(cache.getFromCache('ingredient_none')).resolves.toBeNull();
+      await expect(cache.getFromCache('ingredient_some')).resolves.toEqual([1]);
+    });
+
+    it('should answer a search with no results from the cache until emptyTtl passes', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      vi.useFakeTimers().setSystemTime(new Date('2024-07-01T10:00:00Z'));
+      const fetchFn = vi.fn().mockResolvedValue([]);
+
+      await cache.getCachedOrFetch('search_nothing', fetchFn);
+      vi.setSystemTime(new Date('2024-07-01T10:14:00Z'));
+      await expect(cache.getCachedOrFetch('search_nothing', fetchFn)).resolves.toEqual([]);
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+
+      vi.setSystemTime(new Date('2024-07-01T10:16:00Z'));
+      await cache.getCachedOrFetch('search_nothing', fetchFn);
+      expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should purge errors and uncacheable empty results saved by older versions', async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        recipe_2: { timestamp: Date.now(), data: null },
+        search_chicken: { timestamp: Date.now(), data: [] },
+        ingredient_beef: { timestamp: Date.now(), data: 'The request for meals with "beef" took too long.' },
+        ingredient_tofu: { timestamp: Date.now(), data: [] },
+        recipe_1: { timestamp: Date.now(), data: { id: 1 } }
+      }));
+
+      await expect(cache.purgePoisonedEntries()).resolves.toBe(2);
+
+      const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(Object.keys(saved)).toEqual(['search_chicken', 'ingredient_tofu', 'recipe_1']);
+    });
+
+    it('should keep pinned entries when they expire', async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        search_old: { timestamp: Date.now() - 7 * HOUR, data: [1] },
+        search_pinned: { timestamp: Date.now() - 7 * HOUR, data: [2], pinned: true }
+      }));
+
+      await expect(cache.clearExpiredCache()).resolves.toBe(1);
+
+      const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(Object.keys(saved)).toEqual(['search_pinned']);
+    });
+
+    it('should pin an entry that is already cached and keep the pin when it is refreshed', async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({ recipe_1: { timestamp: Date.now() - HOUR, data: { id: 1 } } }));
+
+      await cache.getCachedOrFetch('recipe_1', vi.fn(), { pin: true });
+      await cache.flushCache();
+      const pinned = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(pinned.recipe_1).toMatchObject({ pinned: true, data: { id: 1 } });
+
+      fs.readFile.mockResolvedValue(JSON.stringify(pinned));
+      await cache.getCachedOrFetch('recipe_1', vi.fn().mockResolvedValue({ id: 1, fresh: true }), true);
+      await cache.flushCache();
+      expect(JSON.parse(fs.writeFile.mock.calls[1][1]).recipe_1).toMatchObject({ pinned: true, data: { id: 1, fresh: true } });
+    });
+
+    it('should drop the oldest entries beyond a namespace maximum when flushing', async () => {
+      const existing = {};
+      for (let i = 0; i < 100; i++) {
+        existing[`letters_${i}`] = { timestamp: Date.now() - (i + 1) * 1000, data: [i] };
+      }
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify(existing));
+
+      await cache.saveToCache('letters_new', ['new']);
+      await cache.flushCache();
+
+      const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(Object.keys(saved)).toHaveLength(100);
+      expect(saved).toHaveProperty('letters_new');
+      expect(saved).not.toHaveProperty('letters_99');
+    });
+  });
+
+  describe('cache limits', () => {
+    const limits = { ...config.cache };
+
+    afterEach(() => {
+      Object.assign(config.cache, limits);
+    });
+
+    it('should evict the least recently used entries beyond maxEntries', async () => {
+      config.cache.maxEntries = 2;
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        old_but_used: { timestamp: Date.now() - 3000, usedAt: Date.now() - 1000, data: 1 },
+        newer_unused: { timestamp: Date.now() - 2000, data: 2 }
+      }));
+      cache.resetCacheStats();
+
+      await cache.saveToCache('new_key', 3);
+      await cache.flushCache();
+
+      const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(Object.keys(saved)).toEqual(['old_but_used', 'new_key']);
+      expect(cache.getCacheStats().evicted).toBe(1);
+    });
+
+    it('should evict entries until the cache fits in maxBytes', async () => {
+      config.cache.maxBytes = 250;
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+
+      for (let i = 0; i < 5; i++) {
+        await cache.saveToCache(`key_${i}`, ['x'.repeat(50)]);
+      }
+      await cache.flushCache();
+
+      const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      const size = Object.values(saved).reduce((total, entry) => total + Buffer.byteLength(JSON.stringify(entry)), 0);
+      expect(size).toBeLessThanOrEqual(250);
+      expect(Object.keys(saved).length).toBeGreaterThan(0);
+    });
+
+    it('should save when entries were last used with the next flush', async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValue(JSON.stringify({ test_key: { timestamp: Date.now() - 1000, data: [1] } }));
+
+      await cache.getFromCache('test_key');
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      await cache.flushCache();
+
+      const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(saved.test_key.usedAt).toBeGreaterThan(saved.test_key.timestamp);
+    });
+  });
+
+  describe('administration', () => {
+    const HOUR = 60 * 60 * 1000;
+    const entries = () => ({
+      search_chicken: { timestamp: Date.now() - 7 * HOUR, data: [{ idMeal: '1' }] },
+      search_beef: { timestamp: Date.now() - HOUR, data: [{ idMeal: '2' }] },
+      recipe_1: { timestamp: Date.now() - 2 * HOUR, data: { idMeal: '1' } }
+    });
+
+    it('should list entries by prefix with their age and expiry', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(entries()));
+
+      const listed = await cache.listCacheEntries('search_');
+
+      expect(listed.map(entry => entry.key)).toEqual(['search_beef', 'search_chicken']);
+      expect(listed[1]).toMatchObject({ expired: true, sizeBytes: expect.any(Number) });
+      expect(listed[1].ageMs).toBeGreaterThanOrEqual(7 * HOUR);
+      expect(listed[0].expired).toBe(false);
+    });
+
+    it('should inspect an entry with its policy and data', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(entries()));
+
+      const entry = await cache.inspectCacheEntry('recipe_1');
+
+      expect(entry).toMatchObject({ key: 'recipe_1', expired: false, data: { idMeal: '1' } });
+      expect(entry.policy.ttl).toBe(30 * 24 * HOUR);
+      expect(await cache.inspectCacheEntry('missing_key')).toBeNull();
+    });
+
+    it('should summarize the cache', async () => {
+      cache.resetCacheStats();
+      fs.readFile.mockResolvedValue(JSON.stringify(entries()));
+      fs.stat.mockResolvedValue({ size: 1234 });
+
+      const summary = await cache.getCacheSummary();
+
+      expect(summary).toMatchObject({
+        entries: 3,
+        expired: 1,
+        sizeBytes: 1234,
+        hitRatio: null,
+        prefixes: { search_: 2, recipe_: 1 }
+      });
+      expect(summary.oldest.key).toBe('search_chicken');
+      expect(summary.newest.key).toBe('search_beef');
+    });
+
+    it('should purge entries matching both prefix and age', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(entries()));
+
+      const removed = await cache.purgeCache({ prefix: 'search_', olderThanMs: 3 * HOUR });
+
+      expect(removed).toBe(1);
+      expect(Object.keys(JSON.parse(fs.writeFile.mock.calls[0][1]))).toEqual(['search_beef', 'recipe_1']);
+    });
+
+    it('should report each entry clearExpiredCache removes', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(entries()));
+      const onRemove = vi.fn();
+
+      await expect(cache.clearExpiredCache({ onRemove })).resolves.toBe(1);
+
+      expect(onRemove).toHaveBeenCalledWith('search_chicken', expect.objectContaining({ data: [{ idMeal: '1' }] }));
+    });
+
+    it('should not rewrite the file when nothing is removed', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(entries()));
+
+      await expect(cache.purgeCache({ prefix: 'letters_' })).resolves.toBe(0);
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
     });
   });
 
@@ -191,5 +556,127 @@ describe('Cache Module', () => {
       const result = await cache.getCachedOrFetch('test_key', fetchFn);
       expect(result).toEqual(expiredCache.test_key.data);
     });
+
+    it('should rethrow the fetch error if there is nothing to fall back on', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      const fetchFn = vi.fn().mockRejectedValue(new Error('Network error'));
+      await expect(cache.getCachedOrFetch('test_key', fetchFn)).rejects.toThrow('Network error');
+    });
+
+    it('should share one fetch and one write between concurrent calls for the same key', async () => {
+      cache.resetCacheStats();
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      let resolveFetch;
+      const fetchFn = vi.fn(() => new Promise(resolve => { resolveFetch = resolve; }));
+
+      const first = cache.getCachedOrFetch('shared_key', fetchFn);
+      const second = cache.getCachedOrFetch('shared_key', fetchFn);
+      expect(cache.getCacheStats()).toMatchObject({ coalesced: 1, pending: 1 });
+
+      await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled());
+      resolveFetch({ id: 1 });
+
+      await expect(Promise.all([first, second])).resolves.toEqual([{ id: 1 }, { id: 1 }]);
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      expect(cache.getCacheStats().unflushed).toBe(1);
+      expect(cache.getCacheStats()).toMatchObject({ hits: 0, misses: 1, coalesced: 1, pending: 0 });
+    });
+
+    it('should count cache hits', async () => {
+      cache.resetCacheStats();
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ test_key: { timestamp: Date.now(), data: [1] } }));
+
+      await cache.getCachedOrFetch('test_key', vi.fn());
+
+      expect(cache.getCacheStats()).toMatchObject({ hits: 1, misses: 0 });
+    });
+
+    it('should fetch again for a waiting caller when the first caller cancels', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      const cancelled = vi.fn().mockRejectedValue(new CancelledError('Request cancelled'));
+      const fetchFn = vi.fn().mockResolvedValue({ id: 2 });
+
+      const first = cache.getCachedOrFetch('cancel_key', cancelled);
+      const second = cache.getCachedOrFetch('cancel_key', fetchFn);
+
+      await expect(first).rejects.toBeInstanceOf(CancelledError);
+      await expect(second).resolves.toEqual({ id: 2 });
+    });
+
+    it('should not fall back to expired data when the fetch was cancelled', async () => {
+      const expiredCache = {
+        test_key: {
+          timestamp: Date.now() - 25 * 60 * 60 * 1000,
+          data: { id: 1, name: 'Expired Data' }
+        }
+      };
+      fs.readFile.mockResolvedValue(JSON.stringify(expiredCache));
+      const fetchFn = vi.fn().mockRejectedValue(new CancelledError('Request cancelled'));
+      await expect(cache.getCachedOrFetch('test_key', fetchFn)).rejects.toBeInstanceOf(CancelledError);
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const staleCache = age => JSON.stringify({
+      test_key: { timestamp: Date.now() - age, data: { id: 1, name: 'Stale Data' } }
+    });
+
+    it('should be off by default', () => {
+      expect(cache.getCachePolicy('test_key').staleWhileRevalidate).toBe(false);
+    });
+
+    it('should answer with the expired entry and refresh it in the background', async () => {
+      cache.resetCacheStats();
+      fs.readFile.mockResolvedValue(staleCache(DAY + 1000));
+      const fetchFn = vi.fn().mockResolvedValue({ id: 1, name: 'Fresh Data' });
+      const revalidated = vi.fn();
+      cache.cacheEvents.on('revalidated', revalidated);
+
+      try {
+        const result = await cache.getCachedOrFetch('test_key', fetchFn, { staleWhileRevalidate: true });
+        expect(result).toEqual({ id: 1, name: 'Stale Data' });
+        expect(cache.getCacheStats()).toMatchObject({ hits: 1, stale: 1, misses: 0 });
+
+        await cache.settleRevalidations();
+      } finally {
+        cache.cacheEvents.off('revalidated', revalidated);
+      }
+
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      expect(revalidated).toHaveBeenCalledWith({ key: 'test_key', data: { id: 1, name: 'Fresh Data' }, changed: true });
+      // The refreshed data is what the next lookup gets
+      await expect(cache.getCachedOrFetch('test_key', fetchFn, { staleWhileRevalidate: true }))
+        .resolves.toEqual({ id: 1, name: 'Fresh Data' });
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a failed refresh and keep the stale entry', async () => {
+      fs.readFile.mockResolvedValue(staleCache(DAY + 1000));
+      const fetchFn = vi.fn().mockRejectedValue(new Error('Network error'));
+      const failed = vi.fn();
+      cache.cacheEvents.on('revalidate-failed', failed);
+
+      try {
+        await expect(cache.getCachedOrFetch('test_key', fetchFn, { staleWhileRevalidate: true }))
+          .resolves.toEqual({ id: 1, name: 'Stale Data' });
+        await cache.settleRevalidations();
+      } finally {
+        cache.cacheEvents.off('revalidate-failed', failed);
+      }
+
+      expect(failed).toHaveBeenCalledWith({ key: 'test_key', error: expect.objectContaining({ message: 'Network error' }) });
+      expect(cache.getCacheStats().revalidating).toBe(0);
+    });
+
+    it('should wait for fresh data once the entry is older than maxStale', async () => {
+      fs.readFile.mockResolvedValue(staleCache(DAY + 2 * 60 * 60 * 1000));
+      const fetchFn = vi.fn().mockResolvedValue({ id: 1, name: 'Fresh Data' });
+
+      const result = await cache.getCachedOrFetch('test_key', fetchFn, { staleWhileRevalidate: true, maxStale: 60 * 60 * 1000 });
+
+      expect(result).toEqual({ id: 1, name: 'Fresh Data' });
+      expect(cache.getCacheStats().revalidating).toBe(0);
+    });
   });
 });
@@ -0,0 +1,120 @@
+// test/catalog.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('fs/promises', () => {
+  const readFile = vi.fn();
+  const writeFile = vi.fn();
+  const mkdir = vi.fn();
+  // Used by persistence.js for atomic writes and the lock directory
+  const rename = vi.fn();
+  const rm = vi.fn();
+  const stat = vi.fn();
+  return {
+    default: { readFile, writeFile, mkdir, rename, rm, stat },
+    readFile,
+    writeFile,
+    mkdir,
+    rename,
+    rm,
+    stat
+  };
+});
+
+vi.mock('../src/api.js', () => ({
+  searchMealsByFirstLetter: vi.fn()
+}));
+
+import * as catalog from '../src/catalog.js';
+import * as api from '../src/api.js';
+import fs from 'fs/promises';
+import { CancelledError } from '../src/errors.js';
+
+vi.spyOn(console, 'error').mockImplementation(() => { });
+
+const sampleCatalog = {
+  version: 1,
+  syncedAt: '2024-01-01T00:00:00.000Z',
+  counts: { meals: 3, keys: 36, failedKeys: 0 },
+  failedKeys: [],
+  meals: {
+    '1': { idMeal: '1', strMeal: 'Fish pie', strCategory: 'Seafood', strArea: 'British', strIngredient1: 'Cod', strIngredient2: 'Potatoes' },
+    '2': { idMeal: '2', strMeal: 'Apple Crumble', strCategory: 'Dessert', strArea: 'British', strIngredient1: 'Apples' },
+    '3': { idMeal: '3', strMeal: 'Fish Tacos', strCategory: 'Seafood', strArea: 'Mexican', strIngredient1: 'Cod' }
+  }
+};
+
+describe('Catalog Module', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  describe('syncCatalog', () => {
+    it('should crawl every letter and digit and save the meals', async () => {
+      api.searchMealsByFirstLetter.mockImplementation(async ([letter]) => {
+        if (letter === 'a') return [{ idMeal: '2', strMeal: 'Apple Crumble' }];
+        if (letter === 'f') return [{ idMeal: '1', strMeal: 'Fish pie' }, { idMeal: '3', strMeal: 'Fish Tacos' }];
+        return [];
+      });
+      const onProgress = vi.fn();
+
+      const result = await catalog.syncCatalog({ onProgress });
+
+      expect(api.searchMealsByFirstLetter).toHaveBeenCalledTimes(36);
+      expect(onProgress).toHaveBeenLastCalledWith(36, 36, expect.any(String));
+      expect(result.counts).toEqual({ meals: 3, keys: 36, failedKeys: 0 });
+      expect(Object.keys(result.meals).sort()).toEqual(['1', '2', '3']);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        expect.stringMatching(/catalog\.json\.\d+\.tmp$/),
+        expect.stringContaining('"syncedAt"')
+      );
+      expect(fs.rename).toHaveBeenCalledWith(expect.stringContaining('catalog.json.'), expect.stringMatching(/catalog\.json$/));
+    });
+
+    it('should record letters that failed', async () => {
+      api.searchMealsByFirstLetter.mockImplementation(async ([letter]) => {
+        if (letter === 'z') throw new Error('Network error');
+        return [];
+      });
+
+      const result = await catalog.syncCatalog();
+
+      expect(result.failedKeys).toEqual(['z']);
+      expect(result.counts.failedKeys).toBe(1);
+    });
+
+    it('should not save anything when cancelled', async () => {
+      const controller = new AbortController();
+      api.searchMealsByFirstLetter.mockImplementation(async () => {
+        controller.abort();
+        throw new CancelledError('Request cancelled');
+      });
+
+      await expect(catalog.syncCatalog({ signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+      expect(api.searchMealsByFirstLetter).toHaveBeenCalledWith(['a'], { signal: controller.signal });
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchCatalog', () => {
+    it('should filter by name, category, area and ingredient', () => {
+      expect(catalog.searchCatalog(sampleCatalog, { query: 'fish' }).map(meal => meal.idMeal)).toEqual(['1', '3']);
+      expect(catalog.searchCatalog(sampleCatalog, { category: 'dessert' }).map(meal => meal.idMeal)).toEqual(['2']);
+      expect(catalog.searchCatalog(sampleCatalog, { query: 'fish', area: 'Mexican' }).map(meal => meal.idMeal)).toEqual(['3']);
+      expect(catalog.searchCatalog(sampleCatalog, { ingredient: 'potato' }).map(meal => meal.idMeal)).toEqual(['1']);
+    });
+
+    it('should return everything sorted by name without criteria', () => {
+      expect(catalog.searchCatalog(sampleCatalog).map(meal => meal.strMeal)).toEqual(['Apple Crumble', 'Fish pie', 'Fish Tacos']);
+    });
+
+    it('should return an empty array without a catalog', () => {
+      expect(catalog.searchCatalog(null, { query: 'fish' })).toEqual([]);
+    });
+  });
+
+  describe('getCatalogValues', () => {
+    it('should list distinct values of a field', () => {
+      expect(catalog.getCatalogValues(sampleCatalog, 'strArea')).toEqual(['British', 'Mexican']);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+// test/config.test.js
+import { describe, it, expect } from 'vitest';
+import { loadConfig, getApiUrl } from '../src/config.js';
+
+const MISSING_FILE = '/nonexistent/recipe-explorer-config.json';
+
+describe('Config Module', () => {
+  describe('loadConfig', () => {
+    it('should default to TheMealDB free API', () => {
+      const config = loadConfig({}, MISSING_FILE);
+
+      expect(getApiUrl(config.api)).toBe('https://www.themealdb.com/api/json/v1/1');
+    });
+
+    it('should read the base URL and API key from the environment', () => {
+      const config = loadConfig({
+        MEALDB_BASE_URL: 'http://localhost:3001/api/json/v1/',
+        MEALDB_API_KEY: 'secret'
+      }, MISSING_FILE);
+
+      expect(getApiUrl(config.api)).toBe('http://localhost:3001/api/json/v1/secret');
+    });
+  });
+
+  describe('rate limit settings', () => {
+    it('should read numeric overrides and ignore invalid ones', () => {
+      const config = loadConfig({
+        MEALDB_RATE_LIMIT_RPS: '2',
+        MEALDB_RATE_LIMIT_BURST: 'lots'
+      }, MISSING_FILE);
+
+      expect(config.rateLimit).toEqual({ requestsPerSecond: 2, burst: 5, maxRetries: 2 });
+    });
+  });
+
+  describe('getApiUrl', () => {
+    it('should omit the key segment when no key is set', () => {
+      expect(getApiUrl({ baseUrl: 'http://mirror.local/api', apiKey: '' })).toBe('http://mirror.local/api');
+    });
+  });
+});
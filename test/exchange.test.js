@@ -0,0 +1,125 @@
+// test/exchange.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  serializeFavorites,
+  parseFavorites,
+  formatForFile,
+  ImportError,
+  EXPORT_FORMAT,
+  EXPORT_VERSION
+} from '../src/exchange.js';
+
+const favorite = {
+  idMeal: '52772',
+  strMeal: 'Teriyaki Chicken, "Easy"',
+  strCategory: 'Chicken',
+  strArea: 'Japanese',
+  strInstructions: 'Mix.\r\nBake.',
+  strIngredient1: 'soy sauce',
+  strMeasure1: '3/4 cup',
+  strIngredient2: 'chicken breasts',
+  strMeasure2: '',
+  rating: 4,
+  notes: 'Good with rice,\nand beer',
+  tags: ['quick', 'weeknight'],
+  cookedOn: ['2024-01-15', '2024-06-01'],
+  tweaks: ['Half the sugar; more ginger']
+};
+
+describe('Exchange Module', () => {
+  describe('json', () => {
+    it('should wrap favorites in a versioned envelope and read them back', () => {
+      const text = serializeFavorites([favorite], 'json', {
+        collections: [{ name: 'Weeknight', recipeIds: ['52772'] }],
+        exportedAt: new Date('2024-07-01T00:00:00Z')
+      });
+
+      expect(JSON.parse(text)).toMatchObject({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: '2024-07-01T00:00:00.000Z' });
+      const { records, collections, errors } = parseFavorites(text, 'json');
+      expect(records).toEqual([{ row: 1, favorite }]);
+      expect(collections).toEqual([{ name: 'Weeknight', recipeIds: ['52772'] }]);
+      expect(errors).toEqual([]);
+    });
+
+    it('should accept a plain favorites array and report entries that are not objects', () => {
+      const { records, errors } = parseFavorites(JSON.stringify([{ idMeal: '1' }, 'oops']), 'json');
+
+      expect(records).toEqual([{ row: 1, favorite: { idMeal: '1' } }]);
+      expect(errors).toEqual([{ row: 2, message: 'not an object' }]);
+    });
+
+    it('should refuse files it can not read', () => {
+      expect(() => parseFavorites('{', 'json')).toThrow(ImportError);
+      expect(() => parseFavorites('{"favorites": []}', 'json')).toThrow('Not a favorites export');
+      expect(() => parseFavorites(JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, favorites: [] }), 'json'))
+        .toThrow('not supported');
+    });
+  });
+
+  describe('csv', () => {
+    it('should write one row per recipe and read quotes, commas and line breaks back', () => {
+      const text = serializeFavorites([favorite], 'csv');
+      const { records, errors } = parseFavorites(text, 'csv');
+
+      expect(errors).toEqual([]);
+      expect(records[0].row).toBe(2);
+      expect(records[0].favorite).toMatchObject({
+        idMeal: '52772',
+        strMeal: 'Teriyaki Chicken, "Easy"',
+        strIngredient1: 'soy sauce',
+        strMeasure1: '3/4 cup',
+        strIngredient2: 'chicken breasts',
+        strMeasure2: '',
+        strIngredient3: '',
+        rating: 4,
+        notes: 'Good with rice,\nand beer',
+        tags: ['quick', 'weeknight'],
+        cookedOn: ['2024-01-15', '2024-06-01'],
+        tweaks: ['Half the sugar; more ginger']
+      });
+    });
+
+    it('should keep tags containing the list separator intact', () => {
+      const tags = ['salt; pepper', 'back\\slash', 'plain'];
+      const text = serializeFavorites([{ ...favorite, tags }], 'csv');
+
+      expect(text).toContain('salt\\; pepper; back\\\\slash; plain');
+      expect(parseFavorites(text, 'csv').records[0].favorite.tags).toEqual(tags);
+    });
+
+    it('should report rows with the wrong number of cells by line', () => {
+      const text = 'idMeal,strMeal,rating\r\n1,Soup,5\r\n2,"Pie\nwith crust"\r\n3,Curry,abc\r\n';
+      const { records, errors } = parseFavorites(text, 'csv');
+
+      expect(records.map(record => [record.row, record.favorite.idMeal, record.favorite.rating])).toEqual([
+        [2, '1', 5],
+        [5, '3', 'abc']
+      ]);
+      expect(errors).toEqual([{ row: 3, message: 'expected 3 cells, found 2' }]);
+    });
+
+    it('should need the idMeal and strMeal columns', () => {
+      expect(() => parseFavorites('name,rating\r\nSoup,5\r\n', 'csv')).toThrow(ImportError);
+      expect(() => parseFavorites('idMeal,strMeal\r\n1,"Soup', 'csv')).toThrow('Unclosed quote');
+    });
+  });
+
+  describe('markdown', () => {
+    it('should write a digest that can not be imported', () => {
+      const text = serializeFavorites([favorite], 'markdown', { exportedAt: new Date('2024-07-01T00:00:00Z') });
+
+      expect(text).toContain('# Favorite Recipes\n\nExported 2024-07-01, 1 recipe');
+      expect(text).toContain('- Rating: 4/5\n- Tags: quick, weeknight\n- Cooked 2 times, last on 2024-06-01');
+      expect(text).toContain('- 3/4 cup soy sauce\n- chicken breasts');
+      expect(text).toContain('1. Mix.\n2. Bake.');
+      expect(() => parseFavorites(text, 'markdown')).toThrow(ImportError);
+    });
+  });
+
+  it('should pick the format from the file extension', () => {
+    expect(formatForFile('Favorites.CSV')).toBe('csv');
+    expect(formatForFile('digest.md')).toBe('markdown');
+    expect(formatForFile('backup.json')).toBe('json');
+    expect(formatForFile('notes.txt')).toBeNull();
+  });
+});
@@ -0,0 +1,242 @@
+// test/favorites-collections.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Keep favorites and collections in memory instead of data/
+vi.mock('../src/storage.js', async importOriginal => ({
+  ...(await importOriginal()),
+  openStore: () => {
+    let entries = new Map();
+    return {
+      location: 'memory',
+      initialize: async () => {},
+      getAll: async () => new Map(entries),
+      update: async mutate => {
+        const next = mutate(new Map(entries));
+        if (next !== undefined) {
+          entries = next;
+        }
+        return entries;
+      }
+    };
+  }
+}));
+
+import * as favorites from '../src/favorites.js';
+
+vi.spyOn(console, 'log').mockImplementation(() => { });
+
+const meal = (id, name) => ({ idMeal: id, strMeal: name });
+
+describe('Favorite collections, tags and personal details', () => {
+  beforeEach(async () => {
+    for (const { idMeal } of await favorites.getFavorites()) {
+      await favorites.removeFavorite(idMeal);
+    }
+    for (const { name } of await favorites.getCollections()) {
+      await favorites.deleteCollection(name);
+    }
+    await favorites.addFavorite(meal('1', 'Soup'));
+    await favorites.addFavorite(meal('2', 'Pie'));
+    await favorites.addFavorite(meal('3', 'Curry'));
+  });
+
+  describe('collections', () => {
+    it('should create, rename and delete collections, keeping their order', async () => {
+      expect(await favorites.createCollection('Weeknight')).toBe(true);
+      expect(await favorites.createCollection('Holiday')).toBe(true);
+      expect(await favorites.createCollection(' weeknight ')).toBe(false);
+
+      expect(await favorites.renameCollection('weeknight', 'Quick')).toBe(true);
+      expect(await favorites.renameCollection('Quick', 'Holiday')).toBe(false);
+      expect((await favorites.getCollections()).map(collection => collection.name)).toEqual(['Quick', 'Holiday']);
+
+      expect(await favorites.deleteCollection('HOLIDAY')).toBe(true);
+      expect(await favorites.deleteCollection('Holiday')).toBe(false);
+      expect((await favorites.getCollections()).map(collection => collection.name)).toEqual(['Quick']);
+    });
+
+    it('should list a collection in the order recipes were added', async () => {
+      await favorites.createCollection('Weeknight');
+      expect(await favorites.addToCollection('Weeknight', '3')).toBe(true);
+      expect(await favorites.addToCollection('Weeknight', '1')).toBe(true);
+      expect(await favorites.addToCollection('Weeknight', '1')).toBe(false);
+      expect(await favorites.addToCollection('Weeknight', '99')).toBe(false);
+      expect(await favorites.addToCollection('Missing', '2')).toBe(false);
+
+      const listed = await favorites.getFavorites({ collection: 'weeknight' });
+      expect(listed.map(recipe => recipe.idMeal)).toEqual(['3', '1']);
+
+      expect(await favorites.removeFromCollection('Weeknight', '3')).toBe(true);
+      expect(await favorites.removeFromCollection('Weeknight', '3')).toBe(false);
+      expect(await favorites.getFavorites({ collection: 'Missing' })).toEqual([]);
+    });
+
+    it('should replace every favorite only if they are as read, pruning collections', async () => {
+      await favorites.createCollection('Weeknight');
+      await favorites.addToCollection('Weeknight', '1');
+      await favorites.addToCollection('Weeknight', '2');
+      const read = await favorites.readAllFavorites();
+
+      expect(await favorites.replaceFavorites([meal('2', 'Pie'), meal('4', 'Stew')], { expected: read.slice(1) })).toBe(false);
+      expect(await favorites.replaceFavorites([meal('2', 'Pie'), meal('4', 'Stew')], { expected: read })).toBe(true);
+
+      expect((await favorites.getFavorites()).map(recipe => recipe.idMeal)).toEqual(['2', '4']);
+      expect((await favorites.getCollections())[0].recipeIds).toEqual(['2']);
+    });
+
+    it('should drop a recipe from its collections when it leaves favorites', async () => {
+      await favorites.createCollection('Weeknight');
+      await favorites.addToCollection('Weeknight', '2');
+
+      await favorites.removeFavorite('2');
+
+      expect((await favorites.getCollections())[0].recipeIds).toEqual([]);
+    });
+  });
+
+  describe('ratings, notes, cook log and tweaks', () => {
+    it('should validate ratings and clear them with null', async () => {
+      expect((await favorites.rateFavorite('1', 4)).rating).toBe(4);
+      expect(await favorites.rateFavorite('1', 6)).toBeNull();
+      expect(await favorites.rateFavorite('1', 2.5)).toBeNull();
+      expect(await favorites.rateFavorite('99', 3)).toBeNull();
+      expect((await favorites.getFavoriteById('1')).rating).toBe(4);
+
+      expect((await favorites.rateFavorite('1', null)).rating).toBeNull();
+    });
+
+    it('should keep notes, tweaks and each cooked date once, in order', async () => {
+      await favorites.setFavoriteNotes('2', '  Good with rice ');
+      await favorites.logCooked('2', '2024-06-01');
+      await favorites.logCooked('2', new Date(2024, 0, 15));
+      await favorites.logCooked('2', '2024-06-01');
+      expect(await favorites.logCooked('2', 'last tuesday')).toBeNull();
+      await favorites.addFavoriteTweak('2', 'Half the chili');
+      await favorites.addFavoriteTweak('2', 'Add lime');
+      await favorites.removeFavoriteTweak('2', 0);
+
+      const favorite = await favorites.getFavoriteById('2');
+      expect(favorite).toMatchObject({
+        notes: 'Good with rice',
+        cookedOn: ['2024-01-15', '2024-06-01'],
+        tweaks: ['Add lime']
+      });
+      expect(favorites.lastCooked(favorite)).toBe('2024-06-01');
+
+      const removed = await favorites.removeCookedDate('2', '2024-06-01');
+      expect(removed.cookedOn).toEqual(['2024-01-15']);
+    });
+
+    it('should sort favorites by rating or last cooked date', async () => {
+      await favorites.rateFavorite('1', 3);
+      await favorites.rateFavorite('3', 5);
+      await favorites.logCooked('1', '2024-03-01');
+      await favorites.logCooked('2', '2024-05-01');
+
+      const ids = async sortBy => (await favorites.getFavorites({ sortBy })).map(recipe => recipe.idMeal);
+      expect(await ids('rating')).toEqual(['3', '1', '2']);
+      expect(await ids('lastCooked')).toEqual(['2', '1', '3']);
+      expect(await ids('added')).toEqual(['1', '2', '3']);
+    });
+  });
+
+  describe('tags', () => {
+    it('should normalize tags and count them', async () => {
+      expect(await favorites.addFavoriteTags('1', [' Spicy', 'quick', 'spicy', ''])).toEqual(['spicy', 'quick']);
+      expect(await favorites.setFavoriteTags('2', ['Quick'])).toEqual(['quick']);
+      expect(await favorites.removeFavoriteTags('1', ['QUICK'])).toEqual(['spicy']);
+      expect(await favorites.addFavoriteTags('99', ['spicy'])).toBeNull();
+
+      expect(await favorites.getTags()).toEqual([{ tag: 'quick', count: 1 }, { tag: 'spicy', count: 1 }]);
+    });
+
+    it('should filter favorites by tag, within a collection too', async () => {
+      await favorites.addFavoriteTags('1', ['vegetarian']);
+      await favorites.addFavoriteTags('3', ['Vegetarian']);
+      await favorites.createCollection('Holiday');
+      await favorites.addToCollection('Holiday', '3');
+
+      expect((await favorites.getFavorites({ tag: 'VEGETARIAN' })).map(recipe => recipe.idMeal)).toEqual(['1', '3']);
+      expect((await favorites.getFavorites({ collection: 'Holiday', tag: 'vegetarian' })).map(recipe => recipe.idMeal)).toEqual(['3']);
+    });
+  });
+
+  describe('import and export', () => {
+    const exported = async () => favorites.exportFavorites({ format: 'json' });
+
+    it('should export and import favorites with their details and collections', async () => {
+      await favorites.rateFavorite('1', 5);
+      await favorites.createCollection('Weeknight');
+      await favorites.addToCollection('Weeknight', '1');
+      const text = await exported();
+
+      for (const id of ['1', '2', '3']) {
+        await favorites.removeFavorite(id);
+      }
+      await favorites.deleteCollection('Weeknight');
+
+      const result = await favorites.importFavorites(text);
+
+      expect(result).toMatchObject({ added: 3, overwritten: 0, merged: 0, skipped: 0, collections: 1, errors: [] });
+      expect((await favorites.getFavoriteById('1')).rating).toBe(5);
+      expect((await favorites.getCollections()).map(({ name, recipeIds }) => ({ name, recipeIds })))
+        .toEqual([{ name: 'Weeknight', recipeIds: ['1'] }]);
+    });
+
+    it('should skip, overwrite or merge recipes that are already favorites', async () => {
+      await favorites.setFavoriteNotes('1', 'Mine');
+      await favorites.addFavoriteTags('1', ['soup']);
+      const text = JSON.stringify([{ idMeal: '1', strMeal: 'Soup', notes: 'Theirs', tags: ['Winter'], rating: 3 }]);
+
+      expect(await favorites.importFavorites(text, { onDuplicate: 'skip' })).toMatchObject({ skipped: 1 });
+      expect((await favorites.getFavoriteById('1')).notes).toBe('Mine');
+
+      const onDuplicate = vi.fn(() => 'merge');
+      expect(await favorites.importFavorites(text, { onDuplicate })).toMatchObject({ merged: 1 });
+      expect(onDuplicate).toHaveBeenCalledWith([expect.objectContaining({ idMeal: '1' })]);
+      expect(await favorites.getFavoriteById('1')).toMatchObject({ notes: 'Mine\n\nTheirs', tags: ['soup', 'winter'], rating: 3 });
+
+      expect(await favorites.importFavorites(text, { onDuplicate: 'overwrite' })).toMatchObject({ overwritten: 1 });
+      expect(await favorites.getFavoriteById('1')).toMatchObject({ notes: 'Theirs', tags: ['winter'] });
+
+      await expect(favorites.importFavorites(text, { onDuplicate: 'replace' })).rejects.toThrow('Unknown duplicate action');
+    });
+
+    it('should import a copy of data/favorites.json of any schema version', async () => {
+      const stew = { idMeal: '10', strMeal: 'Stew', rating: 4 };
+      const files = [
+        [{ recipe: stew }],
+        [stew],
+        { schemaVersion: 3, meta: { createdAt: '2024-01-01T00:00:00.000Z' }, favorites: [stew] }
+      ];
+
+      for (const file of files) {
+        await favorites.removeFavorite('10');
+        expect(await favorites.importFavorites(JSON.stringify(file))).toMatchObject({ added: 1, errors: [] });
+        expect(await favorites.getFavoriteById('10')).toMatchObject(stew);
+      }
+
+      await expect(favorites.importFavorites(JSON.stringify({ schemaVersion: 99, favorites: [] }))).rejects.toThrow('newer than');
+    });
+
+    it('should report invalid rows and import the rest', async () => {
+      const text = [
+        'idMeal,strMeal,rating,cookedOn',
+        '10,Stew,5,2024-01-01',
+        'x1,Broken,,',
+        '11,,,',
+        '12,Cake,7,',
+        '13,Bread,,yesterday',
+        '10,Stew again,,'
+      ].join('\n');
+
+      const result = await favorites.importFavorites(text, { format: 'csv' });
+
+      expect(result.added).toBe(1);
+      expect(result.errors.map(error => error.row)).toEqual([3, 4, 5, 6, 7]);
+      expect(result.errors[3].message).toContain('cook date "yesterday"');
+      expect(result.errors[4].message).toContain('more than once');
+      expect((await favorites.getFavoriteById('10')).cookedOn).toEqual(['2024-01-01']);
+    });
+  });
+});
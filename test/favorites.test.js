@@ -1,5 +1,5 @@
 // test/favorites.test.js
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -12,12 +12,19 @@ vi.mock('fs/promises', () => {
     readFile: vi.fn(),
     writeFile: vi.fn(),
     mkdir: vi.fn(),
+    rename: vi.fn(),
+    rm: vi.fn(),
+    stat: vi.fn(),
     // Include a default export that references the same functions
     default: {
       access: vi.fn(),
       readFile: vi.fn(),
       writeFile: vi.fn(),
-      mkdir: vi.fn()
+      mkdir: vi.fn(),
+      // Used by persistence.js for atomic writes and the lock directory
+      rename: vi.fn(),
+      rm: vi.fn(),
+      stat: vi.fn()
     }
   };
 });
@@ -25,6 +32,7 @@ vi.mock('fs/promises', () => {
 // Import modules after mocking
 import * as favorites from '../src/favorites.js';
 import fs from 'fs/promises';
+import { normalizeMeal } from '../src/recipe.js';
 
 // Spy on console.log and console.error for additional test checks
 vi.spyOn(console, 'log').mockImplementation(() => { });
@@ -35,7 +43,23 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const FAVORITES_FILE = path.join(__dirname, '../data/favorites.json');
 
+// Contents of a current (schema version 3) favorites file
+const favoritesFile = favorites => JSON.stringify({
+  schemaVersion: 3,
+  meta: { createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z' },
+  favorites
+});
+
+// The favorites written by the first writeFile call
+const writtenFavorites = () => JSON.parse(fs.writeFile.mock.calls[0][1]).favorites;
+
 describe('Favorites Module', () => {
+  // The file's schema version is checked once per process, as at startup,
+  // so the tests below only see their own reads
+  beforeAll(async () => {
+    await favorites.initializeFavorites();
+  });
+
   // Reset mocks before each test
   beforeEach(() => {
     vi.resetAllMocks();
@@ -54,11 +78,13 @@ describe('Favorites Module', () => {
       // Verify that mkdir was called to create the directory
       expect(fs.mkdir).toHaveBeenCalled();
 
-      // Verify that writeFile was called with an empty favorites array
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        expect.stringContaining('favorites.json'),
-        JSON.stringify([], null, 2)
-      );
+      // Verify that writeFile was called with an empty favorites file of the current version
+      expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('favorites.json'), expect.any(String));
+      expect(JSON.parse(fs.writeFile.mock.calls[0][1])).toEqual({
+        schemaVersion: 3,
+        meta: { createdAt: expect.any(String), updatedAt: expect.any(String) },
+        favorites: []
+      });
     });
 
     it('should not create favorites file if it already exists', async () => {
@@ -85,7 +111,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Then mock readFile to return mock data
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockFavorites));
 
       // Call the function
       const result = await favorites.getFavorites();
@@ -123,7 +149,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Then mock readFile to return existing favorites
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockExistingFavorites));
 
       // New recipe to add
       const newRecipe = { idMeal: '2', strMeal: 'New Favorite' };
@@ -135,10 +161,8 @@ describe('Favorites Module', () => {
       expect(result).toBe(true);
 
       // Verify writeFile was called with combined favorites
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        expect.stringContaining('favorites.json'),
-        JSON.stringify([...mockExistingFavorites, newRecipe], null, 2)
-      );
+      expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('favorites.json'), expect.any(String));
+      expect(writtenFavorites()).toEqual([...mockExistingFavorites, newRecipe]);
     });
 
     it('should not add duplicate recipe', async () => {
@@ -153,7 +177,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Then mock readFile to return existing favorites
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockExistingFavorites));
 
       // Call the function with the same recipe
       const result = await favorites.addFavorite(existingRecipe);
@@ -170,7 +194,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
       // For getFavorites, simulate a successful access and read (returning an empty array)
       fs.access.mockResolvedValueOnce(undefined);
-      fs.readFile.mockResolvedValueOnce(JSON.stringify([]));
+      fs.readFile.mockResolvedValueOnce(favoritesFile([]));
 
       // Simulate an error when writing the updated favorites file
       fs.writeFile.mockRejectedValueOnce(new Error('Write error'));
@@ -194,6 +218,28 @@ describe('Favorites Module', () => {
     });
   });
 
+  describe('structured recipes', () => {
+    it('should store a structured recipe as a raw meal', async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValueOnce(favoritesFile([]));
+      const recipe = normalizeMeal({ idMeal: '2', strMeal: 'New Favorite', strIngredient1: 'Eggs', strMeasure1: '2' });
+
+      const result = await favorites.addFavorite(recipe);
+
+      expect(result).toBe(true);
+      expect(writtenFavorites()[0]).toMatchObject({ idMeal: '2', strMeal: 'New Favorite', strIngredient1: 'Eggs', strMeasure1: '2' });
+    });
+
+    it('should return favorites as structured recipes', async () => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValueOnce(favoritesFile([{ idMeal: '1', strMeal: 'Favorite 1', strTags: 'Quick' }]));
+
+      const result = await favorites.getFavoriteRecipes();
+
+      expect(result).toEqual([expect.objectContaining({ id: '1', name: 'Favorite 1', tags: ['Quick'] })]);
+    });
+  });
+
   describe('removeFavorite', () => {
     it('should remove a recipe from favorites', async () => {
       // Mock existing favorites
@@ -209,7 +255,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Then mock readFile to return existing favorites
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockExistingFavorites));
 
       // Call the function to remove recipe with ID '1'
       const result = await favorites.removeFavorite('1');
@@ -218,10 +264,8 @@ describe('Favorites Module', () => {
       expect(result).toBe(true);
 
       // Verify writeFile was called with updated favorites (only recipe with ID '2')
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        expect.stringContaining('favorites.json'),
-        JSON.stringify([{ idMeal: '2', strMeal: 'Favorite 2' }], null, 2)
-      );
+      expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('favorites.json'), expect.any(String));
+      expect(writtenFavorites()).toEqual([{ idMeal: '2', strMeal: 'Favorite 2' }]);
     });
 
     it('should return false if recipe not found', async () => {
@@ -237,7 +281,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Then mock readFile to return existing favorites
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockExistingFavorites));
 
       // Call the function to remove recipe with ID '999' (not in favorites)
       const result = await favorites.removeFavorite('999');
@@ -274,7 +318,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Mock readFile to return existing favorites
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockExistingFavorites));
 
       // Call the function to check recipe with ID '1'
       const result = await favorites.isInFavorites('1');
@@ -293,7 +337,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Mock readFile to return existing favorites
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockExistingFavorites));
 
       // Call the function to check recipe with ID '999' (not in favorites)
       const result = await favorites.isInFavorites('999');
@@ -327,7 +371,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Mock readFile to return existing favorites
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockExistingFavorites));
 
       // Call the function to get recipe with ID '1'
       const result = await favorites.getFavoriteById('1');
@@ -346,7 +390,7 @@ describe('Favorites Module', () => {
       fs.access.mockResolvedValueOnce(undefined);
 
       // Mock readFile to return existing favorites
-      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
+      fs.readFile.mockResolvedValueOnce(favoritesFile(mockExistingFavorites));
 
       // Call the function to get recipe with ID '999' (not in favorites)
       const result = await favorites.getFavoriteById('999');
@@ -0,0 +1,70 @@
+// test/history.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Keep the history in memory instead of data/
+vi.mock('../src/storage.js', () => ({
+  openStore: () => {
+    let entries = new Map();
+    return {
+      location: 'memory',
+      initialize: async () => {},
+      getAll: async () => new Map(entries),
+      update: async mutate => {
+        const next = mutate(new Map(entries));
+        if (next !== undefined) {
+          entries = next;
+        }
+        return entries;
+      }
+    };
+  }
+}));
+
+import * as history from '../src/history.js';
+
+describe('History Module', () => {
+  beforeEach(async () => {
+    await history.removeSearchTerms(await history.getSavedSearches());
+  });
+
+  describe('recordView', () => {
+    it('should list recently viewed recipes most recent first, once each', async () => {
+      vi.useFakeTimers();
+      try {
+        for (const id of ['1', '2', '1']) {
+          vi.advanceTimersByTime(1000);
+          await history.recordView({ idMeal: id, strMeal: `Meal ${id}` });
+        }
+      } finally {
+        vi.useRealTimers();
+      }
+
+      const recent = await history.getRecentlyViewed();
+      expect(recent.map(view => view.idMeal)).toEqual(['1', '2']);
+      expect(recent[0]).toMatchObject({ strMeal: 'Meal 1' });
+    });
+
+    it('should keep only the most recent views', async () => {
+      for (let i = 0; i < history.MAX_RECENT + 5; i++) {
+        await history.recordView({ idMeal: `view_${i}`, strMeal: 'Meal' });
+      }
+
+      expect(await history.getRecentlyViewed()).toHaveLength(history.MAX_RECENT);
+    });
+  });
+
+  describe('saved searches', () => {
+    it('should save terms once, ignoring case and blanks', async () => {
+      await expect(history.saveSearchTerms(['Chicken', ' beef stew ', '', 'chicken'])).resolves.toBe(2);
+
+      expect(await history.getSavedSearches()).toEqual(['chicken', 'beef stew']);
+    });
+
+    it('should forget saved terms', async () => {
+      await history.saveSearchTerms(['chicken', 'soup']);
+
+      await expect(history.removeSearchTerms(['CHICKEN', 'pasta'])).resolves.toBe(1);
+      expect(await history.getSavedSearches()).toEqual(['soup']);
+    });
+  });
+});
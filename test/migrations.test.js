@@ -0,0 +1,127 @@
+// test/migrations.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMigrationChain, migrateJsonFile, MigrationError } from '../src/migrations.js';
+import { openStore } from '../src/storage.js';
+import { favoritesMigrations } from '../src/favorites.js';
+
+const readJson = async file => JSON.parse(await fs.readFile(file, 'utf-8'));
+
+describe('Migrations Module', () => {
+  let directory;
+  let file;
+
+  // Files are upgraded in a real temporary directory
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-migrations-'));
+    file = path.join(directory, 'notes.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  // Version 1 is a bare list of strings, version 2 a list of { text }, version 3 adds a header
+  const createChain = () => {
+    const chain = createMigrationChain({
+      detectVersion: document => (Array.isArray(document) ? (typeof document[0] === 'string' ? 1 : 2) : document.version ?? null)
+    });
+    chain.register(1, 'wrap notes', notes => notes.map(text => ({ text })));
+    chain.register(2, 'add a header', notes => ({ version: 3, notes }));
+    return chain;
+  };
+
+  describe('createMigrationChain', () => {
+    it('should run the steps between two versions in order', () => {
+      const chain = createChain();
+
+      expect(chain.plan(1, 3).map(step => [step.from, step.to, step.description])).toEqual([
+        [1, 2, 'wrap notes'],
+        [2, 3, 'add a header']
+      ]);
+      expect(chain.upgrade(['a'], 3)).toEqual({ version: 3, notes: [{ text: 'a' }] });
+      expect(chain.upgrade(['a'], 2)).toEqual([{ text: 'a' }]);
+    });
+
+    it('should refuse missing steps, newer versions and duplicate registrations', () => {
+      const chain = createChain();
+
+      expect(() => chain.plan(1, 4)).toThrow('No migration from schema version 3 to 4');
+      expect(() => chain.plan(4, 3)).toThrow(MigrationError);
+      expect(() => chain.upgrade({ something: 'else' }, 3)).toThrow('Not a document');
+      expect(() => chain.register(2, 'again', notes => notes)).toThrow('already registered');
+    });
+  });
+
+  describe('migrateJsonFile', () => {
+    const now = () => new Date('2024-07-01T10:00:00Z');
+
+    it('should upgrade the file in place, backing it up before each step', async () => {
+      await fs.writeFile(file, JSON.stringify(['a', 'b']));
+      const progress = [];
+
+      const applied = await migrateJsonFile(file, createChain(), { version: 3, now, onMigrate: step => progress.push(step.from) });
+
+      expect(applied).toEqual([
+        { from: 1, to: 2, description: 'wrap notes', backup: `${file}.v1-2024-07-01T10-00-00-000Z.bak` },
+        { from: 2, to: 3, description: 'add a header', backup: `${file}.v2-2024-07-01T10-00-00-000Z.bak` }
+      ]);
+      expect(progress).toEqual([1, 2]);
+      expect(await readJson(file)).toEqual({ version: 3, notes: [{ text: 'a' }, { text: 'b' }] });
+      expect(await readJson(applied[0].backup)).toEqual(['a', 'b']);
+      expect(await readJson(applied[1].backup)).toEqual([{ text: 'a' }, { text: 'b' }]);
+    });
+
+    it('should leave current and missing files alone', async () => {
+      expect(await migrateJsonFile(file, createChain(), { version: 3 })).toEqual([]);
+
+      await fs.writeFile(file, JSON.stringify({ version: 3, notes: [] }));
+      expect(await migrateJsonFile(file, createChain(), { version: 3 })).toEqual([]);
+      expect(await fs.readdir(directory)).toEqual(['notes.json']);
+    });
+
+    it('should stop at the step that failed, keeping the steps before it', async () => {
+      const chain = createChain();
+      chain.register(3, 'break', () => {
+        throw new Error('no way');
+      });
+      await fs.writeFile(file, JSON.stringify(['a']));
+
+      await expect(migrateJsonFile(file, chain, { version: 4, now })).rejects.toThrow('from schema version 3 failed: no way');
+      expect(await readJson(file)).toEqual({ version: 3, notes: [{ text: 'a' }] });
+    });
+
+    it('should refuse files it does not know or that are newer', async () => {
+      await fs.writeFile(file, JSON.stringify({ version: 5 }));
+      await expect(migrateJsonFile(file, createChain(), { version: 3 })).rejects.toThrow('newer than this version');
+
+      await fs.writeFile(file, JSON.stringify({ unrelated: true }));
+      await expect(migrateJsonFile(file, createChain(), { version: 3 })).rejects.toThrow(MigrationError);
+      expect(await readJson(file)).toEqual({ unrelated: true });
+    });
+  });
+
+  describe('favorites', () => {
+    it('should upgrade every older favorites file to the current version', async () => {
+      const store = openStore('favorites', { backend: 'json', directory });
+      const favoritesFile = path.join(directory, 'favorites.json');
+      const meal = { idMeal: '52772', strMeal: 'Teriyaki Chicken Casserole' };
+
+      for (const [version, contents] of [[1, [{ recipe: meal, rating: 4 }]], [2, [{ ...meal, rating: 4 }]]]) {
+        await fs.writeFile(favoritesFile, JSON.stringify(contents));
+
+        const applied = await store.migrate(favoritesMigrations);
+
+        expect(applied.map(step => step.from)).toEqual(version === 1 ? [1, 2] : [2]);
+        expect(await readJson(favoritesFile)).toEqual({
+          schemaVersion: 3,
+          meta: { createdAt: expect.any(String), updatedAt: expect.any(String) },
+          favorites: [{ ...meal, rating: 4 }]
+        });
+        expect(Array.from((await store.getAll()).keys())).toEqual(['52772']);
+      }
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// test/mock-server.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createMockServer, loadFixtures } from '../utils/mock-server.js';
+
+describe('Mock MealDB Server', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = createMockServer(await loadFixtures());
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}/api/json/v1/1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function get(endpoint) {
+    const response = await fetch(`${baseUrl}/${endpoint}`);
+    return { status: response.status, body: response.ok ? await response.json() : null };
+  }
+
+  it('should search meals by name', async () => {
+    const { body } = await get('search.php?s=chicken');
+
+    expect(body.meals.length).toBeGreaterThan(0);
+    expect(body.meals.every(meal => meal.strMeal.toLowerCase().includes('chicken'))).toBe(true);
+  });
+
+  it('should return null meals when nothing matches', async () => {
+    const { body } = await get('search.php?s=nonexistent');
+
+    expect(body).toEqual({ meals: null });
+  });
+
+  it('should search meals by first letter', async () => {
+    const { body } = await get('search.php?f=b');
+
+    expect(body.meals.every(meal => meal.strMeal.startsWith('B'))).toBe(true);
+  });
+
+  it('should look up a meal by ID', async () => {
+    const { body } = await get('lookup.php?i=52772');
+
+    expect(body.meals[0].strMeal).toBe('Teriyaki Chicken Casserole');
+  });
+
+  it('should filter by ingredient, category and area with short records', async () => {
+    const byIngredient = await get('filter.php?i=garlic');
+    const byCategory = await get('filter.php?c=Seafood');
+    const byArea = await get('filter.php?a=jamaican');
+
+    expect(byIngredient.body.meals.length).toBeGreaterThan(0);
+    expect(Object.keys(byCategory.body.meals[0])).toEqual(['strMeal', 'strMealThumb', 'idMeal']);
+    expect(byArea.body.meals.map(meal => meal.idMeal)).toEqual(['52940', '52944']);
+  });
+
+  it('should return a random meal', async () => {
+    const { body } = await get('random.php');
+
+    expect(body.meals).toHaveLength(1);
+  });
+
+  it('should list categories, areas and ingredients', async () => {
+    const categories = await get('list.php?c=list');
+    const areas = await get('list.php?a=list');
+    const ingredients = await get('list.php?i=list');
+
+    expect(categories.body.meals).toContainEqual({ strCategory: 'Dessert' });
+    expect(areas.body.meals).toContainEqual({ strArea: 'British' });
+    expect(ingredients.body.meals.map(item => item.strIngredient)).toContain('Salmon');
+  });
+
+  it('should describe categories', async () => {
+    const { body } = await get('categories.php');
+
+    expect(body.categories.map(item => item.strCategory)).toContain('Seafood');
+    expect(body.categories[0]).toHaveProperty('strCategoryDescription');
+  });
+
+  it('should answer unknown endpoints with 404', async () => {
+    const { status } = await get('unknown.php');
+
+    expect(status).toBe(404);
+  });
+});
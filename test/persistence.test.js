@@ -0,0 +1,198 @@
+// test/persistence.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  readJsonFile,
+  writeJsonFile,
+  updateJsonFile,
+  updateJsonFileSync,
+  withFileLock,
+  LOCK_STALE_MS,
+  LOCK_TIMEOUT_MS
+} from '../src/persistence.js';
+
+describe('Persistence Module', () => {
+  let dir;
+  let file;
+
+  // These tests use a real temporary directory, since renames and locks are the point
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-persistence-'));
+    file = path.join(dir, 'data.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('readJsonFile', () => {
+    it('should return the fallback for a missing or empty file', async () => {
+      expect(await readJsonFile(file, [])).toEqual([]);
+
+      await fs.writeFile(file, '');
+      expect(await readJsonFile(file, {})).toEqual({});
+    });
+
+    it('should reject invalid JSON', async () => {
+      await fs.writeFile(file, '{"truncated":');
+      await expect(readJsonFile(file, {})).rejects.toThrow(SyntaxError);
+    });
+  });
+
+  describe('writeJsonFile', () => {
+    it('should write the data and leave no temporary or lock files behind', async () => {
+      await writeJsonFile(file, { a: 1 });
+
+      expect(JSON.parse(await fs.readFile(file, 'utf-8'))).toEqual({ a: 1 });
+      expect(await fs.readdir(dir)).toEqual(['data.json']);
+    });
+
+    it('should create the directory if needed', async () => {
+      const nested = path.join(dir, 'nested', 'data.json');
+      await writeJsonFile(nested, []);
+
+      expect(await readJsonFile(nested)).toEqual([]);
+    });
+  });
+
+  describe('compression', () => {
+    it.each(['gzip', 'brotli'])('should write and read %s files', async compression => {
+      const data = { text: 'Bake for 20 minutes. '.repeat(50) };
+      await writeJsonFile(file, data, { compression });
+
+      const content = await fs.readFile(file);
+      expect(content.length).toBeLessThan(JSON.stringify(data).length);
+      expect(await readJsonFile(file, null, { compression })).toEqual(data);
+    });
+
+    it('should write compact JSON inside the compressed file', async () => {
+      await writeJsonFile(file, { a: 1 }, { compression: 'gzip' });
+
+      expect(zlib.gunzipSync(await fs.readFile(file)).toString()).toBe('{"a":1}');
+    });
+
+    it('should update compressed files synchronously', async () => {
+      await writeJsonFile(file, { a: 1 }, { compression: 'brotli' });
+
+      updateJsonFileSync(file, data => ({ ...data, b: 2 }), {}, { compression: 'brotli' });
+
+      expect(await readJsonFile(file, null, { compression: 'brotli' })).toEqual({ a: 1, b: 2 });
+    });
+  });
+
+  describe('updateJsonFile', () => {
+    it('should not lose concurrent updates to the same file', async () => {
+      await Promise.all(Array.from({ length: 20 }, (_, i) => {
+        return updateJsonFile(file, data => ({ ...data, [`key${i}`]: i }), {});
+      }));
+
+      expect(Object.keys(await readJsonFile(file))).toHaveLength(20);
+    });
+
+    it('should leave the file alone when the update returns undefined', async () => {
+      await writeJsonFile(file, { a: 1 });
+      const { mtimeMs } = await fs.stat(file);
+
+      const result = await updateJsonFile(file, () => undefined, {});
+
+      expect(result).toEqual({ a: 1 });
+      expect((await fs.stat(file)).mtimeMs).toBe(mtimeMs);
+    });
+
+    it('should keep working after a failed update', async () => {
+      await expect(updateJsonFile(file, () => { throw new Error('boom'); }, {})).rejects.toThrow('boom');
+      await updateJsonFile(file, () => ({ ok: true }), {});
+
+      expect(await readJsonFile(file)).toEqual({ ok: true });
+      expect(await fs.readdir(dir)).toEqual(['data.json']);
+    });
+
+    it('should wait while another process holds the lock', async () => {
+      await fs.mkdir(`${file}.lock`);
+      const update = updateJsonFile(file, () => ({ written: true }), {});
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(await readJsonFile(file)).toBeNull();
+
+      await fs.rm(`${file}.lock`, { recursive: true });
+      await expect(update).resolves.toEqual({ written: true });
+    });
+
+    it('should take over a stale lock', async () => {
+      await fs.mkdir(`${file}.lock`);
+      const past = new Date(Date.now() - LOCK_STALE_MS * 2);
+      await fs.utimes(`${file}.lock`, past, past);
+
+      await expect(updateJsonFile(file, () => ({ written: true }), {})).resolves.toEqual({ written: true });
+    });
+
+    it('should wait for a lock left by a crash to go stale instead of giving up', async () => {
+      expect(LOCK_TIMEOUT_MS).toBeGreaterThan(LOCK_STALE_MS);
+      await fs.mkdir(`${file}.lock`);
+      const leftOver = new Date(Date.now() - LOCK_STALE_MS + 500);
+      await fs.utimes(`${file}.lock`, leftOver, leftOver);
+
+      await expect(updateJsonFile(file, () => ({ written: true }), {})).resolves.toEqual({ written: true });
+    });
+
+    it('should let only one waiter at a time take over a stale lock', async () => {
+      // Each copy of the module has its own write queue, like another process
+      const copies = [];
+      for (let i = 0; i < 4; i++) {
+        vi.resetModules();
+        copies.push(await import('../src/persistence.js'));
+      }
+      await fs.mkdir(`${file}.lock`);
+      const past = new Date(Date.now() - LOCK_STALE_MS * 2);
+      await fs.utimes(`${file}.lock`, past, past);
+
+      let holders = 0;
+      let mostHolders = 0;
+      const hold = async () => {
+        holders++;
+        mostHolders = Math.max(mostHolders, holders);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        holders--;
+      };
+
+      await Promise.all(copies.map(copy => copy.withFileLock(file, hold)));
+
+      expect(mostHolders).toBe(1);
+      expect(await fs.readdir(dir)).toEqual([]);
+    });
+
+    it('should keep a lock it holds fresh, however long the task runs', async () => {
+      vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+      try {
+        await updateJsonFile(file, async () => {
+          const past = new Date(Date.now() - LOCK_STALE_MS * 2);
+          await fs.utimes(`${file}.lock`, past, past);
+
+          await vi.advanceTimersByTimeAsync(LOCK_STALE_MS);
+          await new Promise(resolve => setTimeout(resolve, 50));
+
+          const { mtimeMs } = await fs.stat(`${file}.lock`);
+          expect(Date.now() - mtimeMs).toBeLessThan(LOCK_STALE_MS);
+          return { written: true };
+        }, {});
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('updateJsonFileSync', () => {
+    it('should update the file and release the lock', async () => {
+      await writeJsonFile(file, { a: 1 });
+
+      const result = updateJsonFileSync(file, data => ({ ...data, b: 2 }), {});
+
+      expect(result).toEqual({ a: 1, b: 2 });
+      expect(await readJsonFile(file)).toEqual({ a: 1, b: 2 });
+      expect(await fs.readdir(dir)).toEqual(['data.json']);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// test/rate-limiter.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRateLimiter } from '../src/rate-limiter.js';
+
+describe('Rate Limiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Schedule n jobs that record when they started
+  function scheduleJobs(limiter, n) {
+    const started = [];
+    const promises = Array.from({ length: n }, (_, index) => {
+      return limiter.schedule(async () => {
+        started.push(index);
+        return index;
+      });
+    });
+    return { started, promises };
+  }
+
+  it('should start up to the burst size immediately', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 3, now: Date.now });
+    const { started } = scheduleJobs(limiter, 5);
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(started).toEqual([0, 1, 2]);
+    expect(limiter.getQueueLength()).toBe(2);
+  });
+
+  it('should release queued jobs at the sustained rate', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 1, now: Date.now });
+    const { started, promises } = scheduleJobs(limiter, 3);
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([0]);
+
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toEqual([0, 1]);
+
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toEqual([0, 1, 2]);
+    await expect(Promise.all(promises)).resolves.toEqual([0, 1, 2]);
+    expect(limiter.getStats().throttled).toBe(2);
+  });
+
+  it('should pass through rejections', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 10 });
+
+    await expect(limiter.schedule(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+  });
+
+  it('should pause everything while backing off', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 10, burst: 10, now: Date.now });
+    limiter.backoff(2000);
+    const { started } = scheduleJobs(limiter, 2);
+
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(started).toEqual([]);
+    expect(limiter.getStats()).toMatchObject({ queued: 2, pausedForMs: 1 });
+
+    // Tokens refill from zero once the pause is over
+    await vi.advanceTimersByTimeAsync(101);
+    expect(started).toEqual([0]);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(started).toEqual([0, 1]);
+  });
+
+  it('should drop a queued job when its signal aborts', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1, now: Date.now });
+    const controller = new AbortController();
+    const first = limiter.schedule(async () => 'first');
+    const job = vi.fn();
+    const second = limiter.schedule(job, { signal: controller.signal });
+
+    expect(limiter.getQueueLength()).toBe(1);
+    controller.abort(new Error('cancelled'));
+
+    await expect(second).rejects.toThrow('cancelled');
+    expect(limiter.getQueueLength()).toBe(0);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(job).not.toHaveBeenCalled();
+    await expect(first).resolves.toBe('first');
+  });
+
+  it('should not limit when the rate is infinite', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: Infinity });
+    const { started } = scheduleJobs(limiter, 50);
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(started).toHaveLength(50);
+  });
+});
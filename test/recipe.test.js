@@ -0,0 +1,131 @@
+// test/recipe.test.js
+import { describe, it, expect } from 'vitest';
+import { parseMeasure, splitInstructions, normalizeMeal, toMeal, isFullMeal } from '../src/recipe.js';
+import { formatRecipe } from '../src/utils.js';
+
+// Raw meal in the shape TheMealDB returns, with all 20 ingredient/measure slots
+function createRawMeal(overrides = {}) {
+  const meal = {
+    idMeal: '52772',
+    strMeal: 'Teriyaki Chicken Casserole',
+    strCategory: 'Chicken',
+    strArea: 'Japanese',
+    strInstructions: 'Preheat oven to 350° F.\r\n\r\nCombine soy sauce and ½ cup water.\r\nBake 35 minutes.',
+    strMealThumb: 'https://www.themealdb.com/images/media/meals/wvpsxx1468256321.jpg',
+    strTags: 'Meat,Casserole',
+    strYoutube: 'https://www.youtube.com/watch?v=4aZr5hZXP_s',
+    strSource: null,
+    strImageSource: null
+  };
+  const ingredients = [['soy sauce', '3/4 cup'], ['water', '1/2 cup'], ['chicken breasts', '2']];
+  for (let i = 1; i <= 20; i++) {
+    const [name, measure] = ingredients[i - 1] || ['', ''];
+    meal[`strIngredient${i}`] = name;
+    meal[`strMeasure${i}`] = measure;
+  }
+  return { ...meal, ...overrides };
+}
+
+describe('Recipe Model', () => {
+  describe('parseMeasure', () => {
+    it.each([
+      ['3/4 cup', 0.75, 'cup'],
+      ['1 1/2 Tablespoons', 1.5, 'tbsp'],
+      ['200g', 200, 'g'],
+      ['1.2 kg', 1.2, 'kg'],
+      ['½ tsp', 0.5, 'tsp'],
+      ['1½ cups', 1.5, 'cup'],
+      ['2', 2, null],
+      ['8 cloves chopped', 8, 'clove'],
+      ['1 (12 oz.)', 1, null],
+      ['Pinch', null, 'pinch'],
+      ['To taste', null, null],
+      ['', null, null]
+    ])('should parse "%s"', (measure, quantity, unit) => {
+      expect(parseMeasure(measure)).toEqual({ quantity, unit });
+    });
+  });
+
+  describe('splitInstructions', () => {
+    it('should split lines into steps and drop blank lines', () => {
+      expect(splitInstructions('Mix.\r\n\r\n  Bake.  \nServe.')).toEqual(['Mix.', 'Bake.', 'Serve.']);
+    });
+
+    it('should drop step labels but keep numbers that start a sentence', () => {
+      expect(splitInstructions('STEP 1\r\nMix.\r\n2. Bake.\r\n1.5 cups of stock go in last.')).toEqual([
+        'Mix.',
+        'Bake.',
+        '1.5 cups of stock go in last.'
+      ]);
+    });
+
+    it('should handle missing instructions', () => {
+      expect(splitInstructions(null)).toEqual([]);
+    });
+  });
+
+  describe('normalizeMeal', () => {
+    it('should build a structured recipe from a raw meal', () => {
+      const recipe = normalizeMeal(createRawMeal());
+
+      expect(recipe).toEqual({
+        id: '52772',
+        name: 'Teriyaki Chicken Casserole',
+        category: 'Chicken',
+        area: 'Japanese',
+        tags: ['Meat', 'Casserole'],
+        ingredients: [
+          { name: 'soy sauce', measure: '3/4 cup', quantity: 0.75, unit: 'cup' },
+          { name: 'water', measure: '1/2 cup', quantity: 0.5, unit: 'cup' },
+          { name: 'chicken breasts', measure: '2', quantity: 2, unit: null }
+        ],
+        steps: ['Preheat oven to 350° F.', 'Combine soy sauce and ½ cup water.', 'Bake 35 minutes.'],
+        media: {
+          thumbnail: 'https://www.themealdb.com/images/media/meals/wvpsxx1468256321.jpg',
+          youtube: 'https://www.youtube.com/watch?v=4aZr5hZXP_s',
+          source: null,
+          imageSource: null
+        }
+      });
+    });
+
+    it('should return structured recipes unchanged', () => {
+      const recipe = normalizeMeal(createRawMeal());
+
+      expect(normalizeMeal(recipe)).toBe(recipe);
+    });
+
+    it('should handle summaries without details', () => {
+      const recipe = normalizeMeal({ idMeal: '1', strMeal: 'Summary', strMealThumb: 'thumb.jpg' });
+
+      expect(recipe).toMatchObject({ id: '1', name: 'Summary', tags: [], ingredients: [], steps: [] });
+      expect(isFullMeal({ idMeal: '1', strMeal: 'Summary' })).toBe(false);
+    });
+  });
+
+  describe('toMeal', () => {
+    it('should convert a recipe back to the raw shape', () => {
+      const raw = createRawMeal({ strInstructions: 'Mix.\r\nBake.' });
+
+      expect(toMeal(normalizeMeal(raw))).toEqual(raw);
+    });
+
+    it('should return raw meals unchanged', () => {
+      const raw = createRawMeal();
+
+      expect(toMeal(raw)).toBe(raw);
+    });
+  });
+
+  describe('formatRecipe', () => {
+    it('should format raw meals and structured recipes the same way', () => {
+      const raw = createRawMeal();
+      const output = formatRecipe(raw);
+
+      expect(formatRecipe(normalizeMeal(raw))).toBe(output);
+      expect(output).toContain('- 3/4 cup soy sauce');
+      expect(output).toContain('Tags: Meat, Casserole');
+      expect(output).toContain('2. Combine soy sauce and ½ cup water.');
+    });
+  });
+});
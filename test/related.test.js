@@ -0,0 +1,88 @@
+// test/related.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { findRelatedRecipes } from '../src/related.js';
+import { CancelledError, HttpError } from '../src/errors.js';
+
+// Build a raw meal with the given ingredients
+function createMeal(idMeal, strMeal, { category = 'Chicken', area = 'Japanese', ingredients = [] } = {}) {
+  const meal = { idMeal, strMeal, strCategory: category, strArea: area, strInstructions: 'Cook.' };
+  ingredients.forEach((ingredient, index) => {
+    meal[`strIngredient${index + 1}`] = ingredient;
+    meal[`strMeasure${index + 1}`] = '1';
+  });
+  return meal;
+}
+
+const summary = ({ idMeal, strMeal }) => ({ idMeal, strMeal });
+
+const source = createMeal('1', 'Teriyaki Chicken', { ingredients: ['soy sauce', 'chicken', 'garlic'] });
+const meals = {
+  '2': createMeal('2', 'Chicken Katsu', { ingredients: ['chicken', 'flour'] }),
+  '3': createMeal('3', 'Garlic Soy Noodles', { category: 'Pasta', area: 'Chinese', ingredients: ['soy sauce', 'garlic', 'noodles'] }),
+  '4': createMeal('4', 'Miso Soup', { category: 'Side', ingredients: ['miso'] }),
+  '5': createMeal('5', 'Roast Chicken', { area: 'British', ingredients: ['chicken'] })
+};
+
+describe('Related Recipes', () => {
+  let lookup;
+
+  beforeEach(() => {
+    lookup = {
+      getMealsByCategory: vi.fn(async () => [source, meals['2'], meals['5']].map(summary)),
+      getMealsByArea: vi.fn(async () => [source, meals['2'], meals['4']].map(summary)),
+      getMealsByIngredient: vi.fn(async ingredient => {
+        return [source, ...Object.values(meals)]
+          .filter(meal => Object.values(meal).includes(ingredient))
+          .map(summary);
+      }),
+      getMealById: vi.fn(async id => meals[id])
+    };
+  });
+
+  it('should rank candidates by shared ingredients, area and category', async () => {
+    const result = await findRelatedRecipes(source, { lookup });
+
+    expect(result.map(entry => entry.recipe.idMeal)).toEqual(['2', '5', '3']);
+    expect(result[0]).toMatchObject({ score: 4.5, reasons: ['shares chicken', 'also Japanese', 'also Chicken'] });
+    expect(result[2]).toMatchObject({ score: 2, reasons: ['shares soy sauce, garlic'] });
+  });
+
+  it('should never suggest the recipe itself', async () => {
+    const result = await findRelatedRecipes(source, { lookup, limit: 10 });
+
+    expect(result.map(entry => entry.recipe.idMeal)).not.toContain('1');
+    expect(lookup.getMealById).not.toHaveBeenCalledWith('1', expect.anything());
+  });
+
+  it('should only fetch the best candidates in full', async () => {
+    await findRelatedRecipes(source, { lookup, limit: 1 });
+
+    expect(lookup.getMealById).toHaveBeenCalledTimes(2);
+  });
+
+  it('should apply custom weights', async () => {
+    const result = await findRelatedRecipes(source, { lookup, weights: { ingredient: 5 } });
+
+    expect(result[0].recipe.idMeal).toBe('3');
+  });
+
+  it('should ignore lookups that fail', async () => {
+    lookup.getMealsByArea.mockRejectedValue(new HttpError('API error: 500', { status: 500 }));
+    lookup.getMealById.mockImplementation(async id => {
+      if (id === '2') throw new HttpError('API error: 500', { status: 500 });
+      return meals[id];
+    });
+
+    const result = await findRelatedRecipes(source, { lookup });
+
+    expect(result.map(entry => entry.recipe.idMeal)).toEqual(['5', '3']);
+  });
+
+  it('should stop when cancelled', async () => {
+    const controller = new AbortController();
+    lookup.getMealsByCategory.mockRejectedValue(new CancelledError('Request cancelled'));
+
+    await expect(findRelatedRecipes(source, { lookup, signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+    expect(lookup.getMealsByArea).toHaveBeenCalledWith('Japanese', { signal: controller.signal });
+  });
+});
@@ -0,0 +1,200 @@
+// test/storage.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { openStore, migrateStorage, StorageError } from '../src/storage.js';
+import { favoritesMigrations } from '../src/favorites.js';
+
+// node:sqlite only exists in Node.js 22.5 and later
+const hasSqlite = (() => {
+  try {
+    createRequire(import.meta.url)('node:sqlite');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const BACKENDS = hasSqlite ? ['json', 'sharded', 'sqlite'] : ['json', 'sharded'];
+
+describe('Storage Module', () => {
+  let directory;
+
+  // Every backend is exercised against a real temporary directory
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-storage-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe.each(BACKENDS)('%s backend', backend => {
+    const open = namespace => openStore(namespace, { backend, directory });
+
+    it('should start empty and keep keys in the order they were added', async () => {
+      const store = open('cache');
+      await store.initialize();
+      expect((await store.getAll()).size).toBe(0);
+
+      await store.update(entries => entries.set('search_b', { n: 1 }).set('recipe_1', { n: 2 }));
+      await store.update(entries => entries.set('area_a', { n: 3 }).set('search_b', { n: 4 }));
+
+      expect(Array.from((await store.getAll()).entries())).toEqual([
+        ['search_b', { n: 4 }],
+        ['recipe_1', { n: 2 }],
+        ['area_a', { n: 3 }]
+      ]);
+      expect(await store.get('recipe_1')).toEqual({ n: 2 });
+      expect(await store.get('missing')).toBeUndefined();
+    });
+
+    it('should remove keys and leave the data alone when mutate returns undefined', async () => {
+      const store = open('cache');
+      await store.update(entries => entries.set('a', 1).set('b', 2));
+
+      await store.update(entries => {
+        entries.delete('a');
+        return entries;
+      });
+      const result = await store.update(() => undefined);
+
+      expect(Array.from(result.keys())).toEqual(['b']);
+      expect(Array.from((await store.getAll()).keys())).toEqual(['b']);
+    });
+
+    it('should not lose concurrent updates', async () => {
+      const store = open('cache');
+      await Promise.all(Array.from({ length: 10 }, (_, i) => store.update(entries => entries.set(`key${i}`, i))));
+
+      expect((await store.getAll()).size).toBe(10);
+    });
+
+    it('should update synchronously', async () => {
+      const store = open('favorites');
+      await store.update(entries => entries.set('1', { idMeal: '1' }));
+
+      store.updateSync(entries => entries.set('2', { idMeal: '2' }));
+
+      expect(Array.from((await store.getAll()).keys())).toEqual(['1', '2']);
+      expect(await store.sizeBytes()).toBeGreaterThan(0);
+    });
+  });
+
+  describe('json backend', () => {
+    it('should keep the existing file formats', async () => {
+      await openStore('recent', { backend: 'json', directory }).update(entries => entries.set('1', { idMeal: '1' }));
+      await openStore('cache', { backend: 'json', directory }).update(entries => entries.set('k', { timestamp: 1 }));
+
+      expect(JSON.parse(await fs.readFile(path.join(directory, 'recent.json'), 'utf-8'))).toEqual([{ idMeal: '1' }]);
+      expect(JSON.parse(await fs.readFile(path.join(directory, 'cache.json'), 'utf-8'))).toEqual({ k: { timestamp: 1 } });
+    });
+
+    it('should write versioned namespaces with a header and refuse files of another version', async () => {
+      const file = path.join(directory, 'favorites.json');
+      const store = openStore('favorites', { backend: 'json', directory });
+      await store.initialize();
+      const { meta: { createdAt } } = JSON.parse(await fs.readFile(file, 'utf-8'));
+
+      await store.update(entries => entries.set('1', { idMeal: '1' }));
+
+      expect(JSON.parse(await fs.readFile(file, 'utf-8'))).toEqual({
+        schemaVersion: 3,
+        meta: { createdAt, updatedAt: expect.any(String) },
+        favorites: [{ idMeal: '1' }]
+      });
+
+      await fs.writeFile(file, JSON.stringify([{ idMeal: '1' }]));
+      await expect(store.getAll()).rejects.toThrow('has schema version none, expected 3');
+      await expect(store.update(entries => entries.set('2', { idMeal: '2' }))).rejects.toThrow(StorageError);
+      expect(JSON.parse(await fs.readFile(file, 'utf-8'))).toEqual([{ idMeal: '1' }]);
+    });
+  });
+
+  describe('compression', () => {
+    it('should compress the json file and convert it when the setting changes', async () => {
+      await openStore('cache', { backend: 'json', directory, compression: 'none' }).update(entries => entries.set('k', { timestamp: 1 }));
+
+      const gzipped = openStore('cache', { backend: 'json', directory, compression: 'gzip' });
+      await gzipped.initialize();
+
+      expect(await fs.readdir(directory)).toEqual(['cache.json.gz']);
+      expect(gzipped.location).toBe(path.join(directory, 'cache.json.gz'));
+      expect(await gzipped.get('k')).toEqual({ timestamp: 1 });
+    });
+
+    it('should compress sharded files and convert them when the setting changes', async () => {
+      await openStore('cache', { backend: 'sharded', directory, compression: 'brotli' }).update(entries => entries.set('a', 1).set('b', 2));
+
+      const plain = openStore('cache', { backend: 'sharded', directory, compression: 'none' });
+      await plain.initialize();
+
+      expect((await fs.readdir(path.join(directory, 'cache'))).sort()).toEqual(['a.json', 'b.json']);
+      expect(Array.from((await plain.getAll()).entries())).toEqual([['a', 1], ['b', 2]]);
+    });
+
+    it('should not compress favorites unless asked to', () => {
+      expect(openStore('favorites', { backend: 'json', directory }).compression).toBe('none');
+      expect(() => openStore('cache', { backend: 'json', directory, compression: 'zip' })).toThrow(StorageError);
+    });
+  });
+
+  describe('sharded backend', () => {
+    it('should write one file per key and only rewrite changed keys', async () => {
+      const store = openStore('cache', { backend: 'sharded', directory });
+      await store.update(entries => entries.set('search_chicken breast', 1).set('recipe_1', 2));
+      const shard = path.join(directory, 'cache', 'recipe_1.json');
+      const { mtimeMs } = await fs.stat(shard);
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await store.update(entries => entries.set('search_chicken breast', 3));
+
+      expect((await fs.readdir(path.join(directory, 'cache'))).sort()).toEqual(['recipe_1.json', 'search_chicken%20breast.json']);
+      expect((await fs.stat(shard)).mtimeMs).toBe(mtimeMs);
+    });
+  });
+
+  describe('sqlite backend', () => {
+    it.skipIf(hasSqlite)('should explain that node:sqlite is missing', async () => {
+      const store = openStore('cache', { backend: 'sqlite', directory });
+      await expect(store.initialize()).rejects.toBeInstanceOf(StorageError);
+    });
+  });
+
+  describe('openStore', () => {
+    it('should reject unknown backends and namespaces', () => {
+      expect(() => openStore('cache', { backend: 'redis', directory })).toThrow(StorageError);
+      expect(() => openStore('recipes', { backend: 'json', directory })).toThrow('Unknown storage namespace');
+    });
+  });
+
+  describe('migrateStorage', () => {
+    it('should copy every namespace to the other backend in the same order', async () => {
+      await openStore('cache', { backend: 'json', directory }).update(entries => entries.set('b', 1).set('a', 2));
+      await openStore('favorites', { backend: 'json', directory }).update(entries => entries.set('52', { idMeal: '52' }).set('7', { idMeal: '7' }));
+
+      const counts = await migrateStorage('json', 'sharded', { directory });
+
+      expect(counts).toEqual({ cache: 2, favorites: 2, collections: 0, recent: 0, searches: 0, snapshots: 0 });
+      const favorites = await openStore('favorites', { backend: 'sharded', directory }).getAll();
+      expect(Array.from(favorites.keys())).toEqual(['52', '7']);
+      expect(await openStore('cache', { backend: 'sharded', directory }).get('a')).toBe(2);
+    });
+
+    it('should upgrade favorites written by an older version before copying them', async () => {
+      await fs.writeFile(path.join(directory, 'favorites.json'), JSON.stringify([{ recipe: { idMeal: '52', strMeal: 'Soup' } }]));
+
+      const counts = await migrateStorage('json', 'sharded', { directory, namespaces: ['favorites'], migrations: { favorites: favoritesMigrations } });
+
+      expect(counts).toEqual({ favorites: 1 });
+      expect(await openStore('favorites', { backend: 'sharded', directory }).get('52')).toEqual({ idMeal: '52', strMeal: 'Soup' });
+      expect(await openStore('favorites', { backend: 'json', directory }).get('52')).toEqual({ idMeal: '52', strMeal: 'Soup' });
+    });
+
+    it('should refuse to migrate a backend onto itself', async () => {
+      await expect(migrateStorage('json', 'json', { directory })).rejects.toThrow(StorageError);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+// test/sync.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Keep our favorites and the base snapshots in memory; the other file is real
+vi.mock('../src/storage.js', async importOriginal => ({
+  ...(await importOriginal()),
+  openStore: () => {
+    let entries = new Map();
+    return {
+      location: 'memory',
+      initialize: async () => {},
+      get: async key => entries.get(key),
+      getAll: async () => new Map(entries),
+      update: async mutate => {
+        const next = mutate(new Map(entries));
+        if (next !== undefined) {
+          entries = next;
+        }
+        return entries;
+      }
+    };
+  }
+}));
+
+import * as favorites from '../src/favorites.js';
+import { mergeFavorites, diffFavorites, syncFavorites, readFavoritesFile, SyncError } from '../src/sync.js';
+
+vi.spyOn(console, 'log').mockImplementation(() => { });
+
+const meal = (id, details = {}) => ({ idMeal: id, strMeal: `Meal ${id}`, ...details });
+
+describe('Sync Module', () => {
+  describe('mergeFavorites', () => {
+    it('should take the side that changed and apply additions and removals from both', () => {
+      const base = [meal('1', { rating: 3, tags: ['quick', 'spicy'], cookedOn: ['2024-01-01'] }), meal('2'), meal('3')];
+      const ours = [meal('1', { rating: 5, tags: ['quick', 'spicy', 'weeknight'], cookedOn: ['2024-01-01'] }), meal('3'), meal('4')];
+      const theirs = [meal('1', { rating: 3, tags: ['quick'], cookedOn: ['2024-03-01', '2024-01-01'], notes: 'Less salt' }), meal('2'), meal('5')];
+      const resolve = vi.fn();
+
+      const { favorites: merged, conflicts } = mergeFavorites({ base, ours, theirs, resolve });
+
+      expect(merged).toEqual([
+        meal('1', { rating: 5, tags: ['quick', 'weeknight'], cookedOn: ['2024-01-01', '2024-03-01'], notes: 'Less salt' }),
+        meal('4'),
+        meal('5')
+      ]);
+      expect(conflicts).toEqual([]);
+      expect(resolve).not.toHaveBeenCalled();
+    });
+
+    it('should combine both sides without removing anything when there is no base', () => {
+      const ours = [meal('1', { rating: 4, tags: ['quick'] }), meal('2')];
+      const theirs = [meal('1', { rating: null, tags: ['spicy'], notes: 'Good' }), meal('3')];
+
+      const { favorites: merged } = mergeFavorites({ base: null, ours, theirs });
+
+      expect(merged).toEqual([meal('1', { rating: 4, tags: ['quick', 'spicy'], notes: 'Good' }), meal('2'), meal('3')]);
+    });
+
+    it('should ask about changes on both sides and apply the answers', () => {
+      const base = [meal('1', { rating: 3, notes: 'Base' }), meal('2', { rating: 2 }), meal('3')];
+      const ours = [meal('1', { rating: 4, notes: 'Mine' }), meal('3', { rating: 5 })];
+      const theirs = [meal('1', { rating: 5, notes: 'Theirs' }), meal('2', { rating: 1 })];
+      const answers = { rating: 'theirs', notes: 'both', removed: 'ours' };
+      const resolve = vi.fn(conflict => answers[conflict.field]);
+
+      const { favorites: merged, conflicts } = mergeFavorites({ base, ours, theirs, resolve });
+
+      expect(merged).toEqual([meal('1', { rating: 5, notes: 'Mine\n\nTheirs' }), meal('3', { rating: 5 })]);
+      expect(conflicts.map(({ idMeal, field, resolution }) => [idMeal, field, resolution])).toEqual([
+        ['1', 'rating', 'theirs'],
+        ['1', 'notes', 'both'],
+        ['3', 'removed', 'ours'],
+        ['2', 'removed', 'ours']
+      ]);
+      expect(resolve).toHaveBeenCalledWith(expect.objectContaining({ idMeal: '2', field: 'removed', ours: null, theirs: meal('2', { rating: 1 }) }));
+    });
+
+    it('should refuse answers it can not apply', () => {
+      const merge = resolution => mergeFavorites({
+        base: [meal('1', { rating: 3 })],
+        ours: [meal('1', { rating: 4 })],
+        theirs: [meal('1', { rating: 5 })],
+        resolve: () => resolution
+      });
+
+      expect(() => merge('both')).toThrow(SyncError);
+      expect(() => merge('mine')).toThrow('with "mine"');
+    });
+
+    it('should count what changed', () => {
+      expect(diffFavorites([meal('1'), meal('2')], [meal('1', { rating: 4 }), meal('3')])).toEqual({ added: 1, removed: 1, updated: 1 });
+    });
+  });
+
+  describe('syncFavorites', () => {
+    let directory;
+    let file;
+
+    const writeShared = contents => fs.writeFile(file, JSON.stringify(contents));
+    const readShared = async () => JSON.parse(await fs.readFile(file, 'utf-8'));
+    const ids = list => list.map(favorite => favorite.idMeal);
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-sync-'));
+      file = path.join(directory, 'favorites.json');
+      await favorites.replaceFavorites([meal('1'), meal('2')]);
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should pull another file into our favorites and leave it alone', async () => {
+      await writeShared([meal('2', { rating: 4 }), meal('3')]);
+
+      const result = await syncFavorites(file, { direction: 'pull' });
+
+      expect(result).toMatchObject({ hadBase: false, local: { added: 1, removed: 0, updated: 1 }, other: null });
+      expect(ids(await favorites.readAllFavorites())).toEqual(['1', '2', '3']);
+      expect(await readShared()).toEqual([meal('2', { rating: 4 }), meal('3')]);
+    });
+
+    it('should push our favorites into a shared file, creating it', async () => {
+      const result = await syncFavorites(file, { direction: 'push' });
+
+      expect(result.other).toEqual({ added: 2, removed: 0, updated: 0 });
+      expect(await readShared()).toMatchObject({ schemaVersion: 3, favorites: [meal('1'), meal('2')] });
+    });
+
+    it('should use the last sync as the base, so removals reach the other side', async () => {
+      await syncFavorites(file, { direction: 'both' });
+      await favorites.removeFavorite('1');
+      const shared = await readShared();
+      shared.favorites.push(meal('3'));
+      await writeShared(shared);
+
+      const result = await syncFavorites(file);
+
+      expect(result).toMatchObject({ hadBase: true, local: { added: 1, removed: 0 }, other: { added: 0, removed: 1 } });
+      expect(ids(await favorites.readAllFavorites())).toEqual(['2', '3']);
+      expect(ids((await readShared()).favorites)).toEqual(['2', '3']);
+    });
+
+    it('should upgrade older files and refuse ones that are not favorites', async () => {
+      await writeShared([{ recipe: meal('4') }]);
+      expect(ids(await readFavoritesFile(file))).toEqual(['4']);
+
+      await syncFavorites(file, { direction: 'both' });
+      expect((await readShared()).schemaVersion).toBe(3);
+      expect((await fs.readdir(directory)).filter(name => name.endsWith('.bak'))).toHaveLength(2);
+
+      await fs.writeFile(file, '{"hello": "world"}');
+      await expect(syncFavorites(file)).rejects.toThrow('is not a favorites file');
+      await expect(syncFavorites(path.join(directory, 'missing.json'), { direction: 'pull' })).rejects.toThrow('no favorites file');
+      await expect(syncFavorites(file, { direction: 'sideways' })).rejects.toThrow('Unknown sync direction');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+// test/utils.test.js
+import { describe, it, expect } from 'vitest';
+import { formatBytes, formatDuration, parseDuration, formatRecipe, formatFavoriteDetails } from '../src/utils.js';
+
+describe('Utils Module', () => {
+  describe('formatBytes', () => {
+    it.each([
+      [0, '0 B'],
+      [512, '512 B'],
+      [1536, '1.5 KB'],
+      [5 * 1024 * 1024, '5.0 MB']
+    ])('should format %d bytes as "%s"', (bytes, expected) => {
+      expect(formatBytes(bytes)).toBe(expected);
+    });
+  });
+
+  describe('formatDuration', () => {
+    it.each([
+      [0, '0s'],
+      [45 * 1000, '45s'],
+      [60 * 60 * 1000, '1h'],
+      [90 * 60 * 1000, '1h 30m'],
+      [(3 * 24 + 4) * 60 * 60 * 1000 + 5000, '3d 4h']
+    ])('should format %d ms as "%s"', (ms, expected) => {
+      expect(formatDuration(ms)).toBe(expected);
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should parse single and combined units', () => {
+      expect(parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(parseDuration('1h 30m')).toBe(90 * 60 * 1000);
+      expect(parseDuration(' 45S ')).toBe(45 * 1000);
+    });
+
+    it('should return null for anything else', () => {
+      expect(parseDuration('')).toBeNull();
+      expect(parseDuration('7 days')).toBeNull();
+      expect(parseDuration('-1h')).toBeNull();
+    });
+  });
+
+  describe('formatFavoriteDetails', () => {
+    it('should show the rating, cook log, notes and tweaks', () => {
+      const output = formatFavoriteDetails({
+        rating: 4,
+        tags: ['spicy'],
+        cookedOn: ['2024-01-15', '2024-06-01'],
+        notes: 'Good with rice',
+        tweaks: ['Half the chili']
+      });
+
+      expect(output).toContain('Rating: **** (4/5)');
+      expect(output).toContain('Your tags: spicy');
+      expect(output).toContain('Cooked 2 times, last on 2024-06-01');
+      expect(output).toContain('Notes: Good with rice');
+      expect(output).toContain('1. Half the chili');
+    });
+
+    it('should be added to formatRecipe only for favorites', () => {
+      const meal = { idMeal: '1', strMeal: 'Soup', strInstructions: 'Boil.' };
+
+      expect(formatRecipe(meal)).not.toContain('Your Notes');
+      expect(formatRecipe(meal, { idMeal: '1' })).toContain('Rating: not rated\nNot cooked yet');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+// test/warmup.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { warmUpCache } from '../src/warmup.js';
+import { CancelledError, NotFoundError } from '../src/errors.js';
+
+describe('Warm-up Module', () => {
+  const lookupFor = meals => ({
+    searchMealsByName: vi.fn(async term => meals.filter(meal => meal.strMeal.toLowerCase().includes(term))),
+    getMealById: vi.fn(async id => {
+      const meal = meals.find(candidate => candidate.idMeal === id);
+      if (!meal) {
+        throw new NotFoundError(`No recipe found with ID ${id}`);
+      }
+      return meal;
+    })
+  });
+
+  const meals = [
+    { idMeal: '1', strMeal: 'Chicken Pie' },
+    { idMeal: '2', strMeal: 'Chicken Curry' },
+    { idMeal: '3', strMeal: 'Beef Stew' }
+  ];
+
+  it('should run the searches and fetch every recipe once, including the ones they found', async () => {
+    const lookup = lookupFor(meals);
+    const onProgress = vi.fn();
+
+    const result = await warmUpCache({ recipeIds: ['3', '1'], searchTerms: ['chicken'] }, { lookup, onProgress });
+
+    expect(result).toEqual({ searches: 1, recipes: 3, failures: [] });
+    expect(lookup.getMealById.mock.calls.map(([id]) => id).sort()).toEqual(['1', '2', '3']);
+    expect(onProgress).toHaveBeenLastCalledWith(4, 4, expect.any(String));
+  });
+
+  it('should report failures and carry on', async () => {
+    const lookup = lookupFor(meals);
+    lookup.searchMealsByName.mockRejectedValueOnce(new Error('Network error'));
+
+    const result = await warmUpCache({ recipeIds: ['1', '99'], searchTerms: ['stew'] }, { lookup });
+
+    expect(result.recipes).toBe(1);
+    expect(result.searches).toBe(0);
+    expect(result.failures.map(failure => failure.label)).toEqual(['search "stew"', 'recipe 99']);
+    expect(result.failures[1].error).toBeInstanceOf(NotFoundError);
+  });
+
+  it('should throw CancelledError when cancelled', async () => {
+    const controller = new AbortController();
+    const lookup = lookupFor(meals);
+    lookup.getMealById.mockImplementation(async () => {
+      controller.abort();
+      throw new CancelledError('Request cancelled');
+    });
+
+    await expect(warmUpCache({ recipeIds: ['1'] }, { lookup, signal: controller.signal }))
+      .rejects.toBeInstanceOf(CancelledError);
+  });
+});
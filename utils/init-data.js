@@ -6,6 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { NAMESPACES } from '../src/storage.js';
 
 // Get the directory path using ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -47,7 +48,9 @@ async function initData() {
       console.log('Favorites file already exists');
     } catch (error) {
       console.log('Creating favorites file...');
-      await fs.writeFile(favoritesFile, JSON.stringify([], null, 2));
+      const now = new Date().toISOString();
+      const favorites = { schemaVersion: NAMESPACES.favorites.schemaVersion, meta: { createdAt: now, updatedAt: now }, favorites: [] };
+      await fs.writeFile(favoritesFile, JSON.stringify(favorites, null, 2));
     }
     
     console.log('Data initialization complete!');
@@ -0,0 +1,201 @@
+// utils/mock-server.js
+/**
+ * Local stand-in for TheMealDB API, serving a fixture dataset so the CLI
+ * can be run and demoed without network access.
+ *
+ * Usage:
+ *   npm run mock-server
+ *   MEALDB_BASE_URL=http://localhost:3001/api/json/v1 npm start
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURE_FILE = path.join(__dirname, 'fixtures/meals.json');
+const DEFAULT_PORT = 3001;
+
+/**
+ * Get the non-empty ingredient names of a meal
+ *
+ * @param {Object} meal - Raw meal object
+ * @returns {Array<string>} - Ingredient names
+ */
+function getIngredients(meal) {
+  const ingredients = [];
+  for (let i = 1; i <= 20; i++) {
+    const ingredient = meal[`strIngredient${i}`];
+    if (ingredient && ingredient.trim() !== '') {
+      ingredients.push(ingredient.trim());
+    }
+  }
+  return ingredients;
+}
+
+/**
+ * Reduce a meal to the short form returned by filter.php
+ *
+ * @param {Object} meal - Raw meal object
+ * @returns {Object} - { strMeal, strMealThumb, idMeal }
+ */
+function toSummary(meal) {
+  return {
+    strMeal: meal.strMeal,
+    strMealThumb: meal.strMealThumb,
+    idMeal: meal.idMeal
+  };
+}
+
+/**
+ * Get the sorted unique values of a list
+ *
+ * @param {Array<string>} values - Values to deduplicate
+ * @returns {Array<string>} - Sorted unique values
+ */
+function unique(values) {
+  return Array.from(new Set(values)).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Wrap a result array the way TheMealDB does (null instead of an empty array)
+ *
+ * @param {Array} meals - Result array
+ * @returns {Object} - { meals }
+ */
+function mealsResponse(meals) {
+  return { meals: meals.length > 0 ? meals : null };
+}
+
+/**
+ * Resolve a MealDB endpoint against the fixture dataset
+ *
+ * @param {Array<Object>} meals - Fixture meals
+ * @param {string} endpoint - Endpoint file name, e.g. "search.php"
+ * @param {URLSearchParams} params - Query string parameters
+ * @returns {Object|null} - Response body or null for an unknown endpoint
+ */
+export function resolveEndpoint(meals, endpoint, params) {
+  const matches = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  switch (endpoint) {
+    case 'search.php': {
+      if (params.has('s')) {
+        const query = params.get('s').toLowerCase();
+        return mealsResponse(meals.filter(meal => meal.strMeal.toLowerCase().includes(query)));
+      }
+      const letter = (params.get('f') || '').charAt(0).toLowerCase();
+      return mealsResponse(meals.filter(meal => letter && meal.strMeal.toLowerCase().startsWith(letter)));
+    }
+    case 'lookup.php':
+      return mealsResponse(meals.filter(meal => meal.idMeal === params.get('i')));
+    case 'random.php':
+      return mealsResponse(meals.length > 0 ? [meals[Math.floor(Math.random() * meals.length)]] : []);
+    case 'filter.php': {
+      let filtered = [];
+      if (params.has('i')) {
+        filtered = meals.filter(meal => getIngredients(meal).some(name => matches(name, params.get('i'))));
+      } else if (params.has('c')) {
+        filtered = meals.filter(meal => matches(meal.strCategory || '', params.get('c')));
+      } else if (params.has('a')) {
+        filtered = meals.filter(meal => matches(meal.strArea || '', params.get('a')));
+      }
+      return mealsResponse(filtered.map(toSummary));
+    }
+    case 'categories.php':
+      return {
+        categories: unique(meals.map(meal => meal.strCategory)).map((strCategory, index) => ({
+          idCategory: String(index + 1),
+          strCategory,
+          strCategoryThumb: `https://www.themealdb.com/images/category/${strCategory.toLowerCase()}.png`,
+          strCategoryDescription: `${strCategory} recipes from the sample dataset.`
+        }))
+      };
+    case 'list.php': {
+      if (params.get('c') === 'list') {
+        return { meals: unique(meals.map(meal => meal.strCategory)).map(strCategory => ({ strCategory })) };
+      }
+      if (params.get('a') === 'list') {
+        return { meals: unique(meals.map(meal => meal.strArea)).map(strArea => ({ strArea })) };
+      }
+      if (params.get('i') === 'list') {
+        return {
+          meals: unique(meals.flatMap(getIngredients)).map((strIngredient, index) => ({
+            idIngredient: String(index + 1),
+            strIngredient,
+            strDescription: null,
+            strType: null
+          }))
+        };
+      }
+      return { meals: null };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create an HTTP server that answers MealDB requests from a fixture dataset.
+ * Any path ending in a known endpoint is accepted, so the API key segment
+ * (e.g. /api/json/v1/1/search.php) can be anything.
+ *
+ * @param {Array<Object>} meals - Fixture meals
+ * @returns {http.Server} - Server that is not yet listening
+ *
+ * @see {@link https://nodejs.org/api/http.html#httpcreateserveroptions-requestlistener | Node.js: http.createServer}
+ */
+export function createMockServer(meals) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = path.posix.basename(url.pathname);
+    const body = req.method === 'GET' ? resolveEndpoint(meals, endpoint, url.searchParams) : null;
+
+    if (body === null) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+}
+
+/**
+ * Load the fixture dataset
+ *
+ * @param {string} file - Path to a JSON array of raw meals
+ * @returns {Promise<Array<Object>>} - Fixture meals
+ */
+export async function loadFixtures(file = FIXTURE_FILE) {
+  return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+/**
+ * Start the mock server
+ */
+async function startServer() {
+  try {
+    const port = Number(process.env.MOCK_SERVER_PORT) || DEFAULT_PORT;
+    const meals = await loadFixtures(process.env.MOCK_SERVER_FIXTURES || FIXTURE_FILE);
+    const server = createMockServer(meals);
+
+    server.listen(port, () => {
+      console.log(`Mock MealDB server serving ${meals.length} meals on http://localhost:${port}`);
+      console.log(`Run the CLI against it with MEALDB_BASE_URL=http://localhost:${port}/api/json/v1`);
+    });
+  } catch (error) {
+    console.error('Error starting mock server:', error.message);
+    process.exit(1);
+  }
+}
+
+// Only start listening when run directly, not when imported by tests
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer();
+}